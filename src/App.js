@@ -1,12 +1,54 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, getDocs } from 'firebase/firestore';
-import { getStorage, ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { getFirestore } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import JSZip from 'jszip';
+import { USE_FIREBASE_EMULATORS, EMULATOR_FIREBASE_CONFIG, connectFirebaseEmulators } from './firebaseEmulators';
+import { precacheCardImages } from './cardImageCache';
+import { createCardImageVersions } from './cardImageResize';
+import {
+  normalizePackTemplate, countCardsByRarity, createRandomSeed, generateBoosterPack, simulateBombFrequency,
+} from './boosterPacks';
+import {
+  createFirestoreBackend, createIndexedDbBackend, migrateStorageData,
+  getWorkspaceBasePath, getWorkspaceImagePathPrefix, subscribeWorkspaces, createWorkspace, joinWorkspace, leaveWorkspace,
+  normalizeRating, uploadCards, withCardHistory, updateCard, deleteCard, deleteCustomAttribute, forkRatingProfile, deleteRatingProfile,
+  saveVote, deleteSet,
+  uploadCardImage, toCardImageFields, findDuplicateImages, getCardsNeedingImageMigration, migrateCardImagePaths,
+  findImageProblems, isThumbnailPath, relinkCardImage, unlinkCardImage, deleteOrphanedImages,
+} from './storage';
+import {
+  SET_ARCHIVE_FORMAT, SET_ARCHIVE_VERSION, SET_ARCHIVE_JSON_NAME, SET_ARCHIVE_IMAGE_DIR, toArchiveDate, fromArchiveDate, getImageExtension,
+} from './setArchive';
+import { CARD_TYPES, PRIMARY_COLORS, FILTER_COLORS, RARITIES } from './cardFields';
+import { CSV_LIST_SEPARATOR, RATING_CSV_CLEAR_MARKER, RATING_CSV_FIELD_LABELS, parseCsv, buildRatingCsv, buildRatingCsvImportPlan } from './ratingCsv';
+import {
+  extractScryfallCards, filterScryfallCardsBySet, buildScryfallIndex, findScryfallCandidates, buildScryfallUpdateFields,
+} from './scryfall';
+import {
+  SEVENTEEN_LANDS_STATS, formatSeventeenLandsStat, getSeventeenLandsStat, buildSeventeenLandsImportPlan, buildRatingDiscrepancies,
+} from './seventeenLands';
+import {
+  DRAFT_COLORS, getDraftColorProfile, DRAFT_PLAYABLE_RATING, DRAFT_REMOVAL_ATTRIBUTE_NAME, DRAFT_MANA_COSTS, DRAFT_POOL_COLOR_GROUPS,
+  getDraftColorGroup, buildDraftPoolSummary, rankDraftPack,
+} from './draftAssistant';
+import { DECK_SIZE, BASIC_LANDS, countManaPips, suggestBasicLands, buildDeckStats, getBasicLandCount, buildDeckList } from './deckBuilding';
+import { RATING_HISTOGRAM_BINS, buildSetAnalytics } from './setAnalytics';
+import { SEALED_POOL_SIZE, splitSealedBuild, evaluateSealedPool } from './sealedPool';
+import { startBotDraft, advanceBotDraft, buildBotDraftReplay } from './botDraft';
+import { buildQuizQuestion, getQuizAnswerId, buildQuizHistory } from './quiz';
+import { ARCHETYPE_ROLES, getSetArchetypes, getArchetypeLabel, fitsArchetype } from './archetypes';
+import { getCardRating } from './cardRatings';
+import { TEAM_RATING_SPLIT_SPREAD, summarizeVotes } from './teamRatings';
+import { buildRatingSources, buildRatingDiffs } from './ratingDiffs';
+import { TIER_SCALE_PRESETS, getSetTierScale, getTierForRating, formatTierRange } from './tierScales';
 import {
   UploadCloud, XCircle, ChevronDown, ChevronUp, Star, Filter, Edit, Save, Trash2, Plus, Search, Image as ImageIcon,
   Palette, Swords, Feather, ScrollText, LandPlot, Shield, Zap, RefreshCcw, Eye, Heart, List, Hash, Type, Skull, BookOpenText,
-  EyeOff, RefreshCcw as FlipIcon, ArrowRight, Ghost, MessageSquare // MessageSquare アイコンを追加
+  EyeOff, RefreshCcw as FlipIcon, ArrowRight, Ghost, MessageSquare, // MessageSquare アイコンを追加
+  Download, Upload, FileSpreadsheet, Wand2, BarChart3, Scale, Database, CloudUpload, WifiOff, Wrench, Link, Unlink, ImageOff, RefreshCw, Crown, Hand, RotateCcw, Target, Layers, PieChart, Package, Gift, Dices, Copy, Bot, Repeat, GraduationCap, Signpost,
+  Users, UserPlus, LogOut, ArrowLeftRight, ListOrdered
 } from 'lucide-react'; // アイコンライブラリ
 
 // Firebaseの設定は環境変数から取得
@@ -16,17 +58,27 @@ import {
 const APP_ID = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
 // eslint-disable-next-line no-undef
 const FIREBASE_CONFIG = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : (
-  process.env.REACT_APP_FIREBASE_CONFIG ? JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG) : {}
+  process.env.REACT_APP_FIREBASE_CONFIG ? JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG) : (
+    USE_FIREBASE_EMULATORS ? EMULATOR_FIREBASE_CONFIG : {} // エミュレーター使用時は設定がなくても動かせる
+  )
 );
 // eslint-disable-next-line no-undef
 const INITIAL_AUTH_TOKEN = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : process.env.REACT_APP_FIREBASE_AUTH_TOKEN || null;
 
-// カードタイプと色の定義
-const CARD_TYPES = ['クリーチャー', 'インスタント', 'ソーサリー', 'エンチャント', 'アーティファクト', 'プレインズウォーカー', '土地'];
-// 色は単色と無色のみを定義。多色はカードデータで複数色を持つことで表現
-const PRIMARY_COLORS = ['白', '青', '黒', '赤', '緑', '無色'];
-const FILTER_COLORS = ['白', '青', '黒', '赤', '緑', '多色', '無色']; // フィルターに表示する色オプション
-const RARITIES = ['コモン', 'アンコモン', 'レア', '神話レア'];
+// 保存先の選択 ('firebase' または 'local')。起動時に決まり、切り替えるとページを再読み込みする。
+// Firebase の設定がない場合は常にローカル (IndexedDB) 保存になる
+const STORAGE_MODE_KEY = 'mtg-limited-helper:storageMode';
+const IS_FIREBASE_CONFIGURED = Object.keys(FIREBASE_CONFIG).length > 0;
+const STORAGE_MODE = IS_FIREBASE_CONFIGURED
+  ? (window.localStorage.getItem(STORAGE_MODE_KEY) || process.env.REACT_APP_STORAGE_MODE || 'firebase')
+  : 'local';
+const LOCAL_USER_ID = 'local'; // ローカル保存時の画像パスなどに使うユーザーID
+const LOCAL_MIGRATED_AT_KEY = 'mtg-limited-helper:localDataMigratedAt';
+// 移行済みのローカルのデータのID (移行先ごと)。もう一度移行するときに同じデータを複製しないために使う
+const LOCAL_MIGRATED_IDS_KEY = 'mtg-limited-helper:localDataMigratedIds';
+// 選択中のチームのワークスペース (空なら個人のデータ) と、チームでの表示名
+const WORKSPACE_ID_KEY = 'mtg-limited-helper:workspaceId';
+const MEMBER_NAME_KEY = 'mtg-limited-helper:memberName';
 
 // カスタム属性のアイコンマッピング（事前に用意するアイコン）
 const CUSTOM_ATTRIBUTE_ICONS = {
@@ -48,6 +100,21 @@ const CUSTOM_ATTRIBUTE_ICONS = {
   '先制攻撃': Type,
 };
 
+// ファイル名に使えない文字を置き換える
+const toSafeFileName = (name) => name.replace(/[\\/:*?"<>|]/g, '_');
+
+// Blob をファイルとしてダウンロードさせる
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
 // モーダルコンポーネント
 const Modal = ({ isOpen, onClose, title, children }) => {
   if (!isOpen) return null;
@@ -78,8 +145,16 @@ const LoadingSpinner = () => (
   </div>
 );
 
+// 一覧表示用の画像URL (サムネイルがなければ表示用の画像)
+const getCardThumbnailUrl = (card) => card.thumbnailUrl || card.imageUrl;
+
 // カードアイテムコンポーネント (UPDATED: コメント表示機能追加)
-const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange, onToggleCustomAttribute, customAttributes, isStealthMode }) => {
+const CardItem = ({
+  card, onEdit, onToggleBomb, onRatingChange, onManaCostChange, onToggleCustomAttribute, customAttributes, isStealthMode,
+  ratingArchetypeId, onArchetypeRatingChange, ratingProfile, isTeamRating, teamRating, memberId, onVoteChange, tier,
+}) => {
+  const myVote = isTeamRating && teamRating ? teamRating.votes.find(vote => vote.memberId === memberId) : null;
+  const baseRating = getCardRating(card, null, ratingProfile ? ratingProfile.id : '');
   const IconComponent = card.isBomb ? Star : Star; // ボムレアのアイコンは常にStar
   const iconColorClass = card.isBomb ? 'text-yellow-400' : 'text-gray-400';
   const [isFlipped, setIsFlipped] = useState(false); // DFC用フリップ状態
@@ -95,9 +170,10 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
   // height / width = 370 / 265 = 1.396226...
   const aspectRatioPadding = (370 / 265) * 100; // %
 
+  // グリッドにはサムネイルを表示する (サムネイルのない古いカードは元の画像)
   const displayedImageUrl = isFlipped && card.isDoubleFaced && card.backFaceImageUrl
-    ? card.backFaceImageUrl
-    : card.imageUrl;
+    ? card.backFaceThumbnailUrl || card.backFaceImageUrl
+    : getCardThumbnailUrl(card);
 
   const hasComment = card.comment && card.comment.trim() !== '';
 
@@ -150,6 +226,16 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
             );
           })}
         </div>
+        {/* Tier のバッジ (右上、評価のあるカードのみ) */}
+        {!isStealthMode && tier && (
+          <span
+            className="absolute top-2 right-2 text-white text-xs font-bold px-2 py-1 rounded-md shadow"
+            style={{ backgroundColor: tier.color }}
+            title={`Tier: ${tier.name}`}
+          >
+            {tier.name}
+          </span>
+        )}
         {/* DFCフリップボタン */}
         {!isStealthMode && card.isDoubleFaced && (
           <button
@@ -167,18 +253,49 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
         {!isStealthMode && (
           <>
             <div className="flex items-center mt-auto mb-2">
-              <label htmlFor={`rating-${card.id}`} className="text-gray-700 mr-2">評価:</label>
-              <input
-                id={`rating-${card.id}`}
-                type="number"
-                step="0.1"
-                min="0.0"
-                max="5.0"
-                value={card.rating !== undefined ? card.rating : ''}
-                onChange={(e) => onRatingChange(card.id, parseFloat(e.target.value))}
-                className="w-20 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-center text-gray-800"
-                placeholder="0.0-5.0"
-              />
+              <label htmlFor={`rating-${card.id}`} className="text-gray-700 mr-2">
+                {ratingArchetypeId ? `評価 (${ratingArchetypeId}):` : ratingProfile ? `評価 (${ratingProfile.name}):` : isTeamRating ? '自分の評価:' : '評価:'}
+              </label>
+              {ratingArchetypeId ? (
+                // アーキタイプの評価を空にすると全体の評価に戻る
+                <input
+                  id={`rating-${card.id}`}
+                  type="number"
+                  step="0.1"
+                  min="0.0"
+                  max="5.0"
+                  value={(card.archetypeRatings || {})[ratingArchetypeId] ?? ''}
+                  onChange={(e) => onArchetypeRatingChange(card.id, ratingArchetypeId, e.target.value)}
+                  className="w-20 p-2 border border-purple-300 rounded-md focus:ring-purple-500 focus:border-purple-500 text-center text-gray-800"
+                  placeholder={baseRating !== null ? baseRating.toFixed(1) : '0.0-5.0'}
+                  title="空欄の場合は全体の評価を使います"
+                />
+              ) : isTeamRating ? (
+                // チームのワークスペースでは自分の評価だけを付ける (空欄にすると取り消す)
+                <input
+                  id={`rating-${card.id}`}
+                  type="number"
+                  step="0.1"
+                  min="0.0"
+                  max="5.0"
+                  value={myVote ? myVote.rating : ''}
+                  onChange={(e) => onVoteChange(card.id, e.target.value)}
+                  className="w-20 p-2 border border-green-300 rounded-md focus:ring-green-500 focus:border-green-500 text-center text-gray-800"
+                  placeholder="0.0-5.0"
+                />
+              ) : (
+                <input
+                  id={`rating-${card.id}`}
+                  type="number"
+                  step="0.1"
+                  min="0.0"
+                  max="5.0"
+                  value={baseRating !== null ? baseRating : ''}
+                  onChange={(e) => onRatingChange(card.id, parseFloat(e.target.value))}
+                  className="w-20 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-center text-gray-800"
+                  placeholder="0.0-5.0"
+                />
+              )}
               <button
                 onClick={(e) => { e.stopPropagation(); onToggleBomb(card.id); }}
                 className={`ml-2 p-1 rounded-full bg-black bg-opacity-50 hover:bg-opacity-75 transition-colors duration-200 ${iconColorClass}`}
@@ -187,6 +304,22 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
                 <IconComponent size={20} fill={card.isBomb ? 'currentColor' : 'none'} />
               </button>
             </div>
+            {isTeamRating && (
+              <div className="text-xs text-gray-600 mb-2">
+                {teamRating ? (
+                  <>
+                    <span className={teamRating.spread >= TEAM_RATING_SPLIT_SPREAD ? 'text-amber-600' : ''}>
+                      チーム: <span className="font-semibold text-gray-800">{teamRating.average.toFixed(1)}</span> (幅 {teamRating.spread.toFixed(1)}・{teamRating.votes.length}票)
+                    </span>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {teamRating.votes.map(vote => (
+                        <span key={vote.memberId} className="bg-gray-100 px-1 rounded">{vote.memberName} {vote.rating.toFixed(1)}</span>
+                      ))}
+                    </div>
+                  </>
+                ) : 'チームの評価はまだありません'}
+              </div>
+            )}
             <div className="flex items-center mb-2">
               <label htmlFor={`mana-cost-${card.id}`} className="text-gray-700 mr-2">
                 コスト:
@@ -201,6 +334,15 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
                 placeholder="0+"
               />
             </div>
+            {card.seventeenLands && (
+              <div className="grid grid-cols-2 gap-x-2 text-xs text-gray-600 mb-2" title="17landsのデータ">
+                {SEVENTEEN_LANDS_STATS.map(stat => (
+                  <span key={stat.key}>
+                    {stat.label}: <span className="font-semibold text-gray-800">{formatSeventeenLandsStat(stat, getSeventeenLandsStat(card, stat.key))}</span>
+                  </span>
+                ))}
+              </div>
+            )}
           </>
         )}
         {!isStealthMode && customAttributes.length > 0 && (
@@ -222,302 +364,3000 @@ const CardItem = ({ card, onEdit, onToggleBomb, onRatingChange, onManaCostChange
             })}
           </div>
         )}
+        {!isStealthMode && Object.keys(card.archetypeRoles || {}).length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {Object.entries(card.archetypeRoles).map(([archetypeId, role]) => (
+              <span key={archetypeId} className="px-2 py-1 rounded-full text-xs flex items-center gap-1 bg-purple-100 text-purple-800">
+                <Signpost size={12} />
+                {archetypeId} {ARCHETYPE_ROLES[role] || role}
+              </span>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
+// 評価CSVの値をプレビュー表示用の文字列に変換
+const formatRatingCsvValue = (field, value, customAttributes) => {
+  if (value === undefined || value === null || value === '') return '(なし)';
+  if (field === 'isBomb') return value ? 'はい' : 'いいえ';
+  if (field === 'customAttributeIds') {
+    return value.map(attrId => customAttributes.find(ca => ca.id === attrId)?.name || attrId).join(', ') || '(なし)';
+  }
+  if (Array.isArray(value)) return value.join(', ') || '(なし)';
+  return String(value);
+};
 
-function App() {
-  // Firebaseインスタンスをstateで管理
-  const [firebaseApp, setFirebaseApp] = useState(null);
-  const [firestoreDb, setFirestoreDb] = useState(null);
-  const [firebaseAuth, setFirebaseAuth] = useState(null);
-  const [firebaseStorage, setFirebaseStorage] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [cards, setCards] = useState([]);
-  const [customAttributes, setCustomAttributes] = useState([]);
-  const [sets, setSets] = useState([]);
-  const [currentSetId, setCurrentSetId] = useState(null);
-  const [isUploadModalOpen, setIsUploadModalOpen] = useState(false);
-  const [isEditModalOpen, setIsEditModalOpen] = useState(false);
-  const [editingCard, setEditingCard] = useState(null);
-  const [isCustomAttrModalOpen, setIsCustomAttrModalOpen] = useState(false);
-  const [isRarityModalOpen, setIsRarityModalOpen] = useState(false);
-  const [isTypeAssignmentModalOpen, setIsTypeAssignmentModalOpen] = useState(false);
-  const [isSetManagementModalOpen, setIsSetManagementModalOpen] = useState(false);
-  const [isStealthMode, setIsStealthMode] = useState(false);
-
-  // フィルターステート
-  const [filters, setFilters] = useState({
-    colors: [],
-    rarities: [],
-    types: [],
-    isBomb: false,
-    customAttributeIds: [],
-    searchTerm: '',
-  });
-
-  // ソートステート
-  const [sortBy, setSortBy] = useState('default');
-  const [displayMode, setDisplayMode] = useState('grid'); // 'grid', 'tier'
+// 評価CSVの入出力モーダル
+const RatingCsvModal = ({ isOpen, onClose, cards, sets, customAttributes, currentSetId, onApplyUpdates }) => {
+  const [exportScope, setExportScope] = useState('current'); // 'current', 'all'
+  const [importPlan, setImportPlan] = useState(null);
+  const [importFileName, setImportFileName] = useState('');
+  const importFileInputRef = useRef(null);
 
-  // Firebase初期化
   useEffect(() => {
-    const initializeFirebaseServices = async () => {
-      if (Object.keys(FIREBASE_CONFIG).length === 0) {
-        console.error("Firebase configuration is empty. Check your .env file or __firebase_config.");
-        setLoading(false);
-        return;
-      }
-
-      try {
-        const appInstance = initializeApp(FIREBASE_CONFIG);
-        setFirebaseApp(appInstance);
-        setFirestoreDb(getFirestore(appInstance));
-        setFirebaseAuth(getAuth(appInstance));
-        setFirebaseStorage(getStorage(appInstance));
-
-        const authInstance = getAuth(appInstance);
-        const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
-          if (user) {
-            setUserId(user.uid);
-          } else {
-            try {
-              const anonymousUser = await signInAnonymously(authInstance);
-              setUserId(anonymousUser.user.uid);
-            } catch (anonError) {
-              console.error("Error signing in anonymously:", anonError);
-            }
-          }
-          setLoading(false);
-        });
-
-        if (INITIAL_AUTH_TOKEN) {
-          try {
-            await signInWithCustomToken(authInstance, INITIAL_AUTH_TOKEN);
-          } catch (error) {
-            console.error("Error signing in with custom token:", error);
-            try {
-              await signInAnonymously(authInstance);
-            } catch (anonError) {
-              console.error("Error signing in anonymously after custom token failure:", anonError);
-            }
-          }
-        } else {
-          try {
-            await signInAnonymously(authInstance);
-          } catch (anonError) {
-            console.error("Error signing in anonymously:", anonError);
-          }
-        }
+    setImportPlan(null);
+    setImportFileName('');
+  }, [isOpen]);
 
-        return () => unsubscribe();
-      } catch (error) {
-        console.error("Firebase initialization failed:", error);
-        setLoading(false);
-      }
-    };
+  if (!isOpen) return null;
 
-    initializeFirebaseServices();
-  }, []);
+  const handleExport = () => {
+    const targetCards = exportScope === 'current' ? cards.filter(card => card.setId === currentSetId) : cards;
+    const csv = buildRatingCsv(targetCards, sets, customAttributes);
+    const setName = exportScope === 'current' ? (sets.find(s => s.id === currentSetId)?.name || 'no-set') : 'all-sets';
+    const fileName = `ratings_${toSafeFileName(setName)}_${new Date().toISOString().slice(0, 10)}.csv`;
+    // Excel で文字化けしないよう BOM を付ける
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), fileName);
+  };
 
-  // Firestoreからのデータ取得 (カード、カスタム属性、セット)
-  useEffect(() => {
-    if (!firestoreDb || !userId) return;
+  const handleImportFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const rows = parseCsv(await file.text());
+      setImportPlan(buildRatingCsvImportPlan(rows, cards, sets, customAttributes, currentSetId));
+      setImportFileName(file.name);
+    } catch (error) {
+      console.error("Error reading CSV:", error);
+    }
+  };
 
-    const cardsCollectionRef = collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`);
-    const unsubscribeCards = onSnapshot(cardsCollectionRef, (snapshot) => {
-      const fetchedCards = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setCards(fetchedCards);
-    }, (error) => {
-      console.error("Error fetching cards:", error);
-    });
+  const handleApply = async () => {
+    if (!importPlan || importPlan.changes.length === 0) return;
+    await onApplyUpdates(importPlan.changes.map(change => ({ cardId: change.card.id, fields: change.fields })));
+    onClose();
+  };
 
-    const customAttrsCollectionRef = collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/customAttributes`);
-    const unsubscribeCustomAttrs = onSnapshot(customAttrsCollectionRef, (snapshot) => {
-      const fetchedAttrs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setCustomAttributes(fetchedAttrs);
-    }, (error) => {
-      console.error("Error fetching custom attributes:", error);
-    });
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="評価CSVの入出力">
+      <div className="mb-6">
+        <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><Download size={20} /> エクスポート</h3>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="radio"
+              checked={exportScope === 'current'}
+              onChange={() => setExportScope('current')}
+              className="form-radio h-4 w-4 text-blue-600"
+            />
+            <span className="text-gray-800 text-sm">現在のセット</span>
+          </label>
+          <label className="flex items-center space-x-2 cursor-pointer">
+            <input
+              type="radio"
+              checked={exportScope === 'all'}
+              onChange={() => setExportScope('all')}
+              className="form-radio h-4 w-4 text-blue-600"
+            />
+            <span className="text-gray-800 text-sm">すべてのセット</span>
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={exportScope === 'current' && !currentSetId}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            <Download size={20} /> CSVをダウンロード
+          </button>
+        </div>
+      </div>
 
-    const setsCollectionRef = collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/sets`);
-    const unsubscribeSets = onSnapshot(setsCollectionRef, (snapshot) => {
-      const fetchedSets = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setSets(fetchedSets);
-      if (fetchedSets.length > 0 && (!currentSetId || !fetchedSets.some(s => s.id === currentSetId))) {
-        setCurrentSetId(fetchedSets[0].id);
-      } else if (fetchedSets.length === 0) {
-        setCurrentSetId(null);
-      }
-    }, (error) => {
-      console.error("Error fetching sets:", error);
-    });
+      <div className="pt-4 border-t border-gray-200">
+        <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><Upload size={20} /> インポート</h3>
+        <p className="text-gray-600 text-sm mb-2">
+          カード名 (name) とセット名 (set) で既存のカードを照合して一括更新します。空欄のセルは変更しません。
+          set 列が空の行は現在のセットで照合します。色とカスタム属性は「{CSV_LIST_SEPARATOR}」区切りで指定してください。
+          カスタム属性やコメントを空にするには「{RATING_CSV_CLEAR_MARKER}」と入力してください。
+        </p>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleImportFileChange}
+          ref={importFileInputRef}
+          className="block w-full text-sm text-gray-500
+                     file:mr-4 file:py-2 file:px-4
+                     file:rounded-md file:border-0
+                     file:text-sm file:font-semibold
+                     file:bg-blue-50 file:text-blue-700
+                     hover:file:bg-blue-100"
+        />
 
-    return () => {
-      unsubscribeCards();
-      unsubscribeCustomAttrs();
-      unsubscribeSets();
-    };
-  }, [firestoreDb, userId, currentSetId]);
+        {importPlan && (
+          <div className="mt-4">
+            <p className="text-gray-800 font-semibold mb-2">
+              {importFileName}: 変更されるカード {importPlan.changes.length} 枚 / 照合できなかった行 {importPlan.unmatched.length} 行
+            </p>
+            {importPlan.changes.length > 0 && (
+              <div className="max-h-80 overflow-y-auto border rounded-md mb-4">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-100 sticky top-0">
+                    <tr>
+                      <th className="text-left p-2">行</th>
+                      <th className="text-left p-2">カード名</th>
+                      <th className="text-left p-2">セット</th>
+                      <th className="text-left p-2">変更内容</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPlan.changes.map(change => (
+                      <tr key={change.card.id} className="border-t align-top">
+                        <td className="p-2 text-gray-500">{change.rowNumber}</td>
+                        <td className="p-2 text-gray-800">{change.card.name}</td>
+                        <td className="p-2 text-gray-600">{change.setName}</td>
+                        <td className="p-2">
+                          {change.diffs.map(diff => (
+                            <div key={diff.field} className="text-gray-700">
+                              <span className="font-semibold">{RATING_CSV_FIELD_LABELS[diff.field]}:</span>{' '}
+                              <span className="text-red-600 line-through">{formatRatingCsvValue(diff.field, diff.before, customAttributes)}</span>
+                              {' → '}
+                              <span className="text-green-700">{formatRatingCsvValue(diff.field, diff.after, customAttributes)}</span>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {importPlan.unmatched.length > 0 && (
+              <div className="max-h-60 overflow-y-auto border border-red-200 bg-red-50 rounded-md p-2 mb-4">
+                <h4 className="font-bold text-red-700 mb-1">照合できなかった行</h4>
+                <ul className="text-sm text-red-700 space-y-1">
+                  {importPlan.unmatched.map(item => (
+                    <li key={item.rowNumber}>
+                      {item.rowNumber}行目 {item.name && `「${item.name}」`}{item.setName && ` (${item.setName})`}: {item.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <button
+              onClick={handleApply}
+              disabled={importPlan.changes.length === 0}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <Save size={20} /> {importPlan.changes.length} 枚のカードを更新
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
 
-  // カードアップロード処理
-  const handleUploadCards = async (files, colors, setId, isDoubleFaced, backFaceFile) => {
-    if (!userId || !firebaseStorage || !firestoreDb) {
-      console.error("Firebaseサービスが利用できません。");
-      return;
-    }
-    if (!setId) {
-      console.error("カードをアップロードするセットを選択してください。");
-      setIsUploadModalOpen(true);
-      return;
-    }
-    if (isDoubleFaced && files.length !== 1) {
-      console.error("裏表のあるカードをアップロードする場合、表面の画像は1枚のみ選択してください。");
-      return;
-    }
-    if (isDoubleFaced && !backFaceFile) {
-      console.error("裏表のあるカードの場合、裏面画像も選択してください。");
-      return;
-    }
-    if (colors.length === 0) {
-      console.error("カードの色を1つ以上選択してください。");
-      return;
-    }
+const formatScryfallCandidate = (scryfallCard) =>
+  `${scryfallCard.printed_name || scryfallCard.name} (${(scryfallCard.set || '').toUpperCase()} #${scryfallCard.collector_number})`;
 
-    setLoading(true);
-    for (const file of files) {
-      try {
-        const storageRef = ref(firebaseStorage, `card_images/${userId}/${file.name}`);
-        await uploadBytes(storageRef, file);
-        const imageUrl = await getDownloadURL(storageRef);
-
-        let backFaceImageUrl = null;
-        if (isDoubleFaced && backFaceFile) {
-          const backStorageRef = ref(firebaseStorage, `card_images/${userId}/back_${backFaceFile.name}`);
-          await uploadBytes(backStorageRef, backFaceFile);
-          backFaceImageUrl = await getDownloadURL(backStorageRef);
-        }
+// Scryfallデータからの自動入力モーダル。読み込んだデータ (scryfallData) はアップロード時の自動入力にも使う
+const ScryfallImportModal = ({ isOpen, onClose, cards, scryfallData, onChangeScryfallData, onApplyUpdates }) => {
+  const { cards: scryfallCards, fileName: dataFileName, setCode } = scryfallData;
+  const [selections, setSelections] = useState({}); // cardId -> 選択した候補のインデックス ('' は適用しない)
+  const [overwriteFilled, setOverwriteFilled] = useState(true);
+  const [renameByCollectorNumber, setRenameByCollectorNumber] = useState(true);
+  const [isReading, setIsReading] = useState(false);
 
-        const newCard = {
-          name: file.name.split('.')[0],
-          color: colors,
-          rarity: '',
-          type: '',
-          rating: 0.0,
-          manaCost: null,
-          isBomb: false,
-          isDoubleFaced: isDoubleFaced,
-          backFaceImageUrl: backFaceImageUrl,
-          customAttributeIds: [],
-          imageUrl: imageUrl,
-          comment: '',
-          setId: setId,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
-        await addDoc(collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`), newCard);
-      } catch (error) {
-        console.error("Error uploading card:", file.name, error);
-      }
-    }
-    setLoading(false);
-    setIsUploadModalOpen(false);
-    console.log("カードをアップロードしました！");
-  };
+  useEffect(() => {
+    setSelections({});
+  }, [isOpen, scryfallCards, setCode]);
 
-  // カード情報更新処理
-  const handleUpdateCard = async (cardId, updatedFields) => {
-    if (!userId || !firestoreDb) return;
-    try {
-      const cardRef = doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardId);
-      await updateDoc(cardRef, { ...updatedFields, updatedAt: new Date() });
-    } catch (error) {
-      console.error("Error updating card:", error);
-    }
-  };
+  // bulk data は数万件あるため、インデックスはデータかセットコードが変わったときだけ作り直す
+  const filteredScryfallCards = useMemo(() => filterScryfallCardsBySet(scryfallCards, setCode), [scryfallCards, setCode]);
+  const scryfallIndex = useMemo(() => buildScryfallIndex(filteredScryfallCards), [filteredScryfallCards]);
+  const matches = cards.map(card => ({ card, ...findScryfallCandidates(card, scryfallIndex) }));
 
-  // カード削除処理
-  const handleDeleteCard = async (cardId, imageUrl, backFaceImageUrl) => {
-    if (!userId || !firestoreDb || !firebaseStorage) return;
-    const userConfirmed = window.confirm('本当にこのカードを削除しますか？');
-    if (!userConfirmed) return;
+  if (!isOpen) return null;
 
-    setLoading(true);
+  const handleDataFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setIsReading(true);
     try {
-      if (imageUrl) {
-        const url = new URL(imageUrl);
-        const path = decodeURIComponent(url.pathname);
-        const storageBucketPath = url.hostname.split('.')[0];
-        const fullPath = path.startsWith('/o/') ? path.substring(3) : path;
-        const imagePath = fullPath.startsWith(`${storageBucketPath}/`) ? fullPath.substring(storageBucketPath.length + 1) : fullPath;
-        const storageRef = ref(firebaseStorage, imagePath);
-        await deleteObject(storageRef);
-      }
-      if (backFaceImageUrl) {
-        const url = new URL(backFaceImageUrl);
-        const path = decodeURIComponent(url.pathname);
-        const storageBucketPath = url.hostname.split('.')[0];
-        const fullPath = path.startsWith('/o/') ? path.substring(3) : path;
-        const imagePath = fullPath.startsWith(`${storageBucketPath}/`) ? fullPath.substring(storageBucketPath.length + 1) : fullPath;
-        const storageRef = ref(firebaseStorage, imagePath);
-        await deleteObject(storageRef);
-      }
-      await deleteDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardId));
+      const json = JSON.parse(await file.text());
+      onChangeScryfallData({ ...scryfallData, cards: extractScryfallCards(json), fileName: file.name });
     } catch (error) {
-      console.error("Error deleting card:", error);
+      console.error("Error reading Scryfall data:", error);
     } finally {
-      setLoading(false);
+      setIsReading(false);
     }
   };
 
-  // ボムレア切り替え
-  const handleToggleBomb = (cardId) => {
-    const cardToUpdate = cards.find(card => card.id === cardId);
-    if (cardToUpdate) {
-      handleUpdateCard(cardId, { isBomb: !cardToUpdate.isBomb });
-    }
+  // 候補が1つだけなら自動で選択、複数ある場合は選択されるまで適用しない
+  const getSelectedCandidate = ({ card, candidates }) => {
+    const selection = selections[card.id];
+    if (selection === undefined) return candidates.length === 1 ? candidates[0] : null;
+    return selection === '' ? null : candidates[parseInt(selection)];
   };
 
-  // 評価変更
-  const handleRatingChange = (cardId, newRating) => {
-    const clampedRating = Math.max(0.0, Math.min(5.0, newRating));
-    const roundedRating = Math.round(clampedRating * 10) / 10;
-    handleUpdateCard(cardId, { rating: roundedRating });
-  };
+  const buildUpdateFields = (match, scryfallCard) =>
+    buildScryfallUpdateFields(match.card, scryfallCard, match.matchedBy, { overwriteFilled, renameByCollectorNumber });
 
-  // マナコスト変更
-  const handleManaCostChange = (cardId, newManaCost) => {
-    const parsedCost = parseInt(newManaCost);
-    const validatedCost = isNaN(parsedCost) || parsedCost < 0 ? null : parsedCost;
-    handleUpdateCard(cardId, { manaCost: validatedCost });
-  };
+  const pendingUpdates = matches
+    .map(match => {
+      const scryfallCard = getSelectedCandidate(match);
+      return scryfallCard ? { cardId: match.card.id, fields: buildUpdateFields(match, scryfallCard) } : null;
+    })
+    .filter(update => update && Object.keys(update.fields).length > 0);
 
-  // カスタム属性の追加
-  const handleAddCustomAttribute = async (name) => {
-    if (!userId || !name.trim() || !firestoreDb) return;
-    try {
-      await addDoc(collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/customAttributes`), { name: name.trim() });
-    } catch (error) {
-      console.error("Error adding custom attribute:", error);
-    }
+  const handleApply = async () => {
+    if (pendingUpdates.length === 0) return;
+    await onApplyUpdates(pendingUpdates);
+    onClose();
   };
 
-  // カスタム属性の削除
-  const handleDeleteCustomAttribute = async (attrId) => {
-    if (!userId || !firestoreDb) return;
-    const userConfirmed = window.confirm('このカスタム属性を削除しますか？この属性が割り当てられているカードからも削除されます。');
-    if (!userConfirmed) return;
-    try {
-      const cardsToUpdate = cards.filter(card => card.customAttributeIds && card.customAttributeIds.includes(attrId));
-      for (const card of cardsToUpdate) {
-        await updateDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, card.id), {
-          customAttributeIds: card.customAttributeIds.filter(id => id !== attrId)
-        });
+  const ambiguousCount = matches.filter(m => m.candidates.length > 1).length;
+  const unmatchedCount = matches.filter(m => m.candidates.length === 0).length;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Scryfallデータから自動入力">
+      <p className="text-gray-600 text-sm mb-4">
+        Scryfall の bulk data またはセット単位の JSON ファイルを読み込み、現在のセットのカードを名前またはコレクター番号 (ファイル名) で照合して、
+        マナコスト・色・カードタイプ・レアリティ・裏面画像を入力します。読み込んだデータは、この後にアップロードするカードの自動入力にも使います。
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="scryfall-data-file">
+            Scryfall JSONファイル
+          </label>
+          <input
+            type="file"
+            id="scryfall-data-file"
+            accept=".json,application/json"
+            onChange={handleDataFileChange}
+            className="block w-full text-sm text-gray-500
+                       file:mr-4 file:py-2 file:px-4
+                       file:rounded-md file:border-0
+                       file:text-sm file:font-semibold
+                       file:bg-blue-50 file:text-blue-700
+                       hover:file:bg-blue-100"
+          />
+          {isReading && <p className="text-sm text-gray-600 mt-1">読み込み中...</p>}
+          {dataFileName && !isReading && (
+            <p className="text-sm text-gray-600 mt-1">{dataFileName}: {scryfallCards.length} 件 (照合対象 {filteredScryfallCards.length} 件)</p>
+          )}
+        </div>
+        <div>
+          <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="scryfall-set-code">
+            セットコードで絞り込み (任意)
+          </label>
+          <input
+            type="text"
+            id="scryfall-set-code"
+            value={setCode}
+            onChange={(e) => onChangeScryfallData({ ...scryfallData, setCode: e.target.value })}
+            className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            placeholder="例: MH3"
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-4 mb-4">
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={overwriteFilled}
+            onChange={(e) => setOverwriteFilled(e.target.checked)}
+            className="form-checkbox h-4 w-4 text-blue-600 rounded"
+          />
+          <span className="text-gray-800 text-sm">入力済みの項目も上書きする</span>
+        </label>
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={renameByCollectorNumber}
+            onChange={(e) => setRenameByCollectorNumber(e.target.checked)}
+            className="form-checkbox h-4 w-4 text-blue-600 rounded"
+          />
+          <span className="text-gray-800 text-sm">コレクター番号で一致したカードの名前をScryfallの名前にする</span>
+        </label>
+      </div>
+
+      {scryfallCards.length > 0 && (
+        <>
+          <p className="text-gray-800 font-semibold mb-2">
+            {cards.length} 枚中: 候補が複数 {ambiguousCount} 枚 / 一致なし {unmatchedCount} 枚 / 更新予定 {pendingUpdates.length} 枚
+          </p>
+          <div className="max-h-96 overflow-y-auto border rounded-md mb-4">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-100 sticky top-0">
+                <tr>
+                  <th className="text-left p-2">カード</th>
+                  <th className="text-left p-2">照合結果</th>
+                  <th className="text-left p-2">入力される内容</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matches.map(match => {
+                  const selectedCandidate = getSelectedCandidate(match);
+                  const updateFields = selectedCandidate ? buildUpdateFields(match, selectedCandidate) : {};
+                  return (
+                    <tr key={match.card.id} className={`border-t align-top ${match.candidates.length > 1 ? 'bg-yellow-50' : ''}`}>
+                      <td className="p-2">
+                        <div className="flex items-center gap-2">
+                          {match.card.imageUrl && <img src={getCardThumbnailUrl(match.card)} alt={match.card.name} className="w-10 rounded" />}
+                          <span className="text-gray-800">{match.card.name}</span>
+                        </div>
+                      </td>
+                      <td className="p-2">
+                        {match.candidates.length === 0 && <span className="text-red-600">一致なし</span>}
+                        {match.candidates.length === 1 && (
+                          <span className="text-green-700">{formatScryfallCandidate(match.candidates[0])}</span>
+                        )}
+                        {match.candidates.length > 1 && (
+                          <select
+                            value={selections[match.card.id] ?? ''}
+                            onChange={(e) => setSelections(prev => ({ ...prev, [match.card.id]: e.target.value }))}
+                            className="p-1 border border-yellow-400 rounded-md"
+                          >
+                            <option value="">候補を選択 ({match.candidates.length}件)</option>
+                            {match.candidates.map((candidate, index) => (
+                              <option key={`${candidate.id}-${index}`} value={index}>{formatScryfallCandidate(candidate)}</option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="p-2 text-gray-700">
+                        {Object.entries(updateFields).map(([field, value]) => (
+                          <div key={field}>
+                            <span className="font-semibold">{field}:</span> {Array.isArray(value) ? value.join(', ') : String(value)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={handleApply}
+            disabled={pendingUpdates.length === 0}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Save size={20} /> {pendingUpdates.length} 枚のカードに適用
+          </button>
+        </>
+      )}
+    </Modal>
+  );
+};
+
+// 17lands のカード評価CSVの取り込みモーダル
+const SeventeenLandsImportModal = ({ isOpen, onClose, cards, onApplyUpdates }) => {
+  const [importPlan, setImportPlan] = useState(null);
+  const [importFileName, setImportFileName] = useState('');
+
+  useEffect(() => {
+    setImportPlan(null);
+    setImportFileName('');
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setImportPlan(buildSeventeenLandsImportPlan(parseCsv(await file.text()), cards));
+      setImportFileName(file.name);
+    } catch (error) {
+      console.error("Error reading 17lands CSV:", error);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!importPlan || importPlan.matched.length === 0) return;
+    const importedAt = new Date().toISOString();
+    await onApplyUpdates(importPlan.matched.map(({ card, stats }) => ({
+      cardId: card.id,
+      fields: { seventeenLands: { ...stats, source: importFileName, importedAt } },
+    })));
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="17landsデータの取り込み">
+      <p className="text-gray-600 text-sm mb-4">
+        17lands の Card Data からダウンロードしたCSVを読み込み、現在のセットのカードに GIH WR・OH WR・ALSA・IWD を保存します。
+        カードは英語名 (Scryfallから自動入力した場合) またはカード名で照合します。
+      </p>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFileChange}
+        className="block w-full text-sm text-gray-500
+                   file:mr-4 file:py-2 file:px-4
+                   file:rounded-md file:border-0
+                   file:text-sm file:font-semibold
+                   file:bg-blue-50 file:text-blue-700
+                   hover:file:bg-blue-100"
+      />
+      {importPlan && (
+        <div className="mt-4">
+          <p className="text-gray-800 font-semibold mb-2">
+            {importFileName}: 一致 {importPlan.matched.length} 枚 / 一致なし {importPlan.unmatched.length} 行 (セット内のカード {cards.length} 枚)
+          </p>
+          {importPlan.matched.length > 0 && (
+            <div className="max-h-80 overflow-y-auto border rounded-md mb-4">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100 sticky top-0">
+                  <tr>
+                    <th className="text-left p-2">カード</th>
+                    {SEVENTEEN_LANDS_STATS.map(stat => <th key={stat.key} className="text-right p-2">{stat.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {importPlan.matched.map(({ card, name, stats }) => (
+                    <tr key={card.id} className="border-t">
+                      <td className="p-2 text-gray-800">{card.name}{card.name !== name && <span className="text-gray-500"> ({name})</span>}</td>
+                      {SEVENTEEN_LANDS_STATS.map(stat => (
+                        <td key={stat.key} className="p-2 text-right text-gray-700">{formatSeventeenLandsStat(stat, stats[stat.key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {importPlan.unmatched.length > 0 && (
+            <div className="max-h-60 overflow-y-auto border border-red-200 bg-red-50 rounded-md p-2 mb-4">
+              <h4 className="font-bold text-red-700 mb-1">一致しなかった行</h4>
+              <ul className="text-sm text-red-700 space-y-1">
+                {importPlan.unmatched.map(item => (
+                  <li key={item.rowNumber}>{item.rowNumber}行目 {item.name && `「${item.name}」`}: {item.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <button
+            onClick={handleApply}
+            disabled={importPlan.matched.length === 0}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Save size={20} /> {importPlan.matched.length} 枚のカードに保存
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+// 自分の評価と 17lands の GIH WR のずれを一覧表示する
+const RatingDiscrepancyView = ({ cards, onEdit }) => {
+  const discrepancies = buildRatingDiscrepancies(cards);
+
+  if (discrepancies.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+        <p>17landsのデータ (GIH WR) があるカードがありません。「17landsデータ」から取り込んでください。</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 pb-2 border-b-2 border-blue-500">評価とデータの乖離</h2>
+      <p className="text-gray-600 text-sm mb-4">
+        セット内での評価の順位と GIH WR の順位 (パーセンタイル) を比べ、差が大きい順に並べています。
+      </p>
+      <table className="w-full text-sm">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="text-left p-2">カード</th>
+            <th className="text-right p-2">評価</th>
+            <th className="text-right p-2">評価の順位</th>
+            <th className="text-right p-2">GIH WR</th>
+            <th className="text-right p-2">GIH WRの順位</th>
+            <th className="text-left p-2">判定</th>
+          </tr>
+        </thead>
+        <tbody>
+          {discrepancies.map(({ card, ratingPercentile, gihPercentile, difference }) => (
+            <tr key={card.id} className="border-t hover:bg-gray-50 cursor-pointer" onClick={() => onEdit(card)}>
+              <td className="p-2">
+                <div className="flex items-center gap-2">
+                  {card.imageUrl && <img src={getCardThumbnailUrl(card)} alt={card.name} className="w-10 rounded" />}
+                  <span className="text-gray-800">{card.name}</span>
+                </div>
+              </td>
+              <td className="p-2 text-right text-gray-800">{(card.rating || 0).toFixed(1)}</td>
+              <td className="p-2 text-right text-gray-600">上位 {Math.round((1 - ratingPercentile) * 100)}%</td>
+              <td className="p-2 text-right text-gray-800">{formatSeventeenLandsStat(SEVENTEEN_LANDS_STATS[0], getSeventeenLandsStat(card, 'gihWr'))}</td>
+              <td className="p-2 text-right text-gray-600">上位 {Math.round((1 - gihPercentile) * 100)}%</td>
+              <td className={`p-2 font-semibold ${difference > 0 ? 'text-red-600' : 'text-blue-600'}`}>
+                {difference > 0 ? '過大評価?' : '過小評価?'} ({Math.round(Math.abs(difference) * 100)}pt)
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// 2つの評価 (メンバー同士、プロファイル同士、自分の評価と取り込んだデータなど) を並べ、差の大きいカードから表示する
+const RatingDiffView = ({ cards, ratingProfiles, votes, teamRatings, onEdit }) => {
+  const [sourceAId, setSourceAId] = useState('base');
+  const [sourceBId, setSourceBId] = useState('');
+  const sources = buildRatingSources(cards, ratingProfiles, votes, teamRatings);
+
+  if (sources.length < 2) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+        <p>比較できる評価がありません。評価プロファイルを作るか、チームのワークスペースで評価を付けるか、17landsのデータを取り込んでください。</p>
+      </div>
+    );
+  }
+
+  const sourceA = sources.find(source => source.id === sourceAId) || sources[0];
+  const sourceB = sources.find(source => source.id === sourceBId && source !== sourceA) || sources.find(source => source !== sourceA);
+  const diffs = buildRatingDiffs(cards, sourceA, sourceB);
+  const formatRating = (rating) => (rating !== null ? rating.toFixed(1) : '-');
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 pb-2 border-b-2 border-blue-500">評価の比較</h2>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select
+          value={sourceA.id}
+          onChange={(e) => setSourceAId(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          aria-label="比較する評価 (A)"
+        >
+          {sources.map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+        </select>
+        <ArrowLeftRight size={20} className="text-gray-500" />
+        <select
+          value={sourceB.id}
+          onChange={(e) => setSourceBId(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          aria-label="比較する評価 (B)"
+        >
+          {sources.filter(source => source !== sourceA).map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+        </select>
+        <span className="text-gray-600 text-sm">
+          差が1.0以上: {diffs.filter(diff => diff.difference !== null && Math.abs(diff.difference) >= 1).length}枚 / {cards.length}枚
+        </span>
+      </div>
+      <table className="w-full text-sm">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="text-left p-2">カード</th>
+            <th className="text-right p-2">{sourceA.label}</th>
+            <th className="text-right p-2">{sourceB.label}</th>
+            <th className="text-right p-2">差</th>
+          </tr>
+        </thead>
+        <tbody>
+          {diffs.map(({ card, ratingA, ratingB, difference }) => (
+            <tr key={card.id} className="border-t hover:bg-gray-50 cursor-pointer" onClick={() => onEdit(card)}>
+              <td className="p-2">
+                <div className="flex items-center gap-2">
+                  {card.imageUrl && <img src={getCardThumbnailUrl(card)} alt={card.name} className="w-10 rounded" />}
+                  <span className="text-gray-800">{card.name}</span>
+                </div>
+              </td>
+              <td className="p-2 text-right text-gray-800">{formatRating(ratingA)}</td>
+              <td className="p-2 text-right text-gray-800">{formatRating(ratingB)}</td>
+              <td className={`p-2 text-right font-semibold ${difference > 0 ? 'text-blue-600' : difference < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                {difference === null ? '-' : `${difference > 0 ? '+' : ''}${difference.toFixed(1)}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// ドラフトのピック済みカード (色 × マナコスト、色ごとの枚数、寄せている色のメーター、ピック順)
+const DraftPoolPanel = ({ poolCards, customAttributes }) => {
+  const colorProfile = getDraftColorProfile(poolCards);
+  const { grid, colorStats } = buildDraftPoolSummary(poolCards, customAttributes);
+  const usedGroups = DRAFT_POOL_COLOR_GROUPS.filter(group => (
+    Object.keys(grid[group].byCost).length > 0 || grid[group].unknownCost.length > 0
+  ));
+
+  if (poolCards.length === 0) {
+    return <p className="text-gray-600 text-sm">まだピックしていません。</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-bold mb-2 text-gray-800">
+          寄せている色: {colorProfile.mainColors.join('') || 'なし'}
+        </h3>
+        <div className="space-y-1">
+          {DRAFT_COLORS.map(color => {
+            const share = colorProfile.totalWeight > 0 ? colorProfile.weights[color] / colorProfile.totalWeight : 0;
+            return (
+              <div key={color} className="flex items-center gap-2 text-sm">
+                <span className="w-6 text-gray-700">{color}</span>
+                <div className="flex-1 bg-gray-100 rounded-full h-3 overflow-hidden">
+                  <div
+                    className={`h-3 rounded-full ${colorProfile.mainColors.includes(color) ? 'bg-blue-500' : 'bg-gray-400'}`}
+                    style={{ width: `${Math.round(share * 100)}%` }}
+                  />
+                </div>
+                <span className="w-10 text-right text-gray-600">{Math.round(share * 100)}%</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-bold mb-2 text-gray-800">色ごとの枚数</h3>
+        <table className="w-full text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left p-1">色</th>
+              <th className="text-right p-1" title={`評価${DRAFT_PLAYABLE_RATING.toFixed(1)}以上`}>プレイアブル</th>
+              <th className="text-right p-1">クリーチャー</th>
+              <th className="text-right p-1">{DRAFT_REMOVAL_ATTRIBUTE_NAME}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...DRAFT_COLORS, '無色'].map(color => (
+              <tr key={color} className={`border-t ${colorProfile.mainColors.includes(color) ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>
+                <td className="p-1">{color}</td>
+                <td className="p-1 text-right">{colorStats[color].playables}</td>
+                <td className="p-1 text-right">{colorStats[color].creatures}</td>
+                <td className="p-1 text-right">{colorStats[color].removal}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-1">多色のカードはそれぞれの色に数えています。</p>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-bold mb-2 text-gray-800">色 × マナコスト</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="text-left p-1">色</th>
+                {DRAFT_MANA_COSTS.map(cost => (
+                  <th key={cost} className="text-left p-1">{cost === DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1] ? `${cost}+` : cost}</th>
+                ))}
+                <th className="text-left p-1">?</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usedGroups.map(group => (
+                <tr key={group} className="border-t align-top">
+                  <td className="p-1 font-semibold text-gray-700">{group}</td>
+                  {DRAFT_MANA_COSTS.map(cost => (
+                    <td key={cost} className="p-1 text-gray-800">
+                      {(grid[group].byCost[cost] || []).map((card, index) => <div key={index}>{card.name}</div>)}
+                    </td>
+                  ))}
+                  <td className="p-1 text-gray-800">
+                    {grid[group].unknownCost.map((card, index) => <div key={index}>{card.name}</div>)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-bold mb-2 text-gray-800">ピック順</h3>
+        <ol className="list-decimal list-inside text-sm text-gray-800 space-y-1 max-h-60 overflow-y-auto">
+          {poolCards.map((card, index) => (
+            <li key={index}>{card.name}</li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+// ボットとのドラフトのリプレイ。ピックごとに見たパック、ピックしたカード、流したカードのうち一周して戻ってきたものを表示する
+const BotDraftReplay = ({ log, cardsById }) => {
+  const replay = buildBotDraftReplay(log);
+  const cardName = (cardId) => (cardsById.get(cardId) || {}).name || '不明なカード';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><Repeat size={18} /> ピックのリプレイ</h3>
+      {replay.length === 0 ? (
+        <p className="text-gray-600">ピックするとここに記録されます。</p>
+      ) : (
+        <ol className="space-y-3 max-h-[32rem] overflow-y-auto">
+          {replay.map(({ round, pick, picked, passed, wheeled }, index) => (
+            <li key={index} className="border-t pt-2 text-sm">
+              <div className="font-semibold text-gray-800">
+                パック{round + 1} ピック{pick + 1}: {cardName(picked)}
+              </div>
+              <div className="text-gray-600">
+                流したカード: {passed.length === 0 ? 'なし' : passed.map((cardId, i) => (
+                  <span key={i}>
+                    {i > 0 && '、'}
+                    <span className={wheeled && wheeled.includes(cardId) ? 'text-green-700 font-semibold' : ''}>{cardName(cardId)}</span>
+                  </span>
+                ))}
+              </div>
+              {wheeled && (
+                <div className="text-xs text-gray-500">
+                  一周して戻ってきたカード ({wheeled.length}枚): {wheeled.map(cardName).join('、') || 'なし'}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// ドラフト中のピック補助。パックのカードを入力 (クリック) すると、評価・ボム・ピック済みの色から順位付けする。
+// ドラフトは drafts コレクションに保存され、あとから選び直して振り返れる
+const DraftAssistantView = ({
+  cards, customAttributes, drafts, currentDraft, onSelectDraft, onStartDraft, onDeleteDraft,
+  onAddToPack, onRemoveFromPack, onPick, onClearPack, onOpenPack, onStartBotDraft, onBuildDeck,
+}) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const cardsById = useMemo(() => new Map(cards.map(card => [card.id, card])), [cards]);
+  const pack = currentDraft ? currentDraft.pack || [] : [];
+  const pool = currentDraft ? currentDraft.picks || [] : [];
+  const botDraft = currentDraft ? currentDraft.botDraft : null;
+
+  const poolCards = pool.map(cardId => cardsById.get(cardId)).filter(Boolean);
+  // 同じカードが複数枚入ることがあるため、パック内の位置をキーにする
+  const packEntries = pack
+    .map((cardId, index) => ({ key: index, card: cardsById.get(cardId) }))
+    .filter(entry => entry.card);
+  const ranking = rankDraftPack(packEntries, poolCards);
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+  const candidates = cards
+    .filter(card => !normalizedSearch
+      || (card.name || '').toLowerCase().includes(normalizedSearch)
+      || (card.englishName || '').toLowerCase().includes(normalizedSearch))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter' && normalizedSearch && candidates.length > 0) {
+      onAddToPack(candidates[0].id);
+      setSearchTerm('');
+    }
+  };
+
+  const draftSelector = (
+    <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-2">
+      <label className="text-gray-700 text-sm font-bold" htmlFor="draft-select">ドラフト:</label>
+      <select
+        id="draft-select"
+        value={currentDraft ? currentDraft.id : ''}
+        onChange={(e) => onSelectDraft(e.target.value || null)}
+        className="shadow border rounded py-1 px-2 text-gray-700"
+      >
+        <option value="">ドラフトを選択</option>
+        {drafts.map(draft => (
+          <option key={draft.id} value={draft.id}>{draft.name} ({(draft.picks || []).length}ピック)</option>
+        ))}
+      </select>
+      <button
+        onClick={onStartDraft}
+        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+      >
+        <Plus size={16} /> 新しいドラフト
+      </button>
+      <button
+        onClick={onStartBotDraft}
+        className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+      >
+        <Bot size={16} /> ボットとドラフト
+      </button>
+      {currentDraft && (
+        <button
+          onClick={() => onDeleteDraft(currentDraft.id)}
+          className="text-red-500 hover:text-red-700 transition-colors duration-200 flex items-center gap-1 text-sm"
+        >
+          <Trash2 size={16} /> このドラフトを削除
+        </button>
+      )}
+    </div>
+  );
+
+  if (!currentDraft) {
+    return (
+      <div className="space-y-6">
+        {draftSelector}
+        <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+          <p>「新しいドラフト」で開始するか、保存したドラフトを選択して振り返ってください。「ボットとドラフト」では、セットのカードから作ったパックで7人のボットと練習できます。</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {draftSelector}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex items-center justify-between mb-4 pb-2 border-b-2 border-blue-500">
+              <h2 className="text-2xl font-bold text-gray-800">
+                {botDraft && !botDraft.finished ? `パック${botDraft.round + 1} ピック${botDraft.pick + 1}` : '現在のパック'} ({packEntries.length}枚)
+              </h2>
+              {botDraft ? (
+                <span className="text-sm text-gray-500">ボットとのドラフト (シード: {botDraft.seed})</span>
+              ) : packEntries.length > 0 ? (
+                <button onClick={onClearPack} className="text-gray-500 hover:text-gray-700 text-sm flex items-center gap-1">
+                  <RotateCcw size={16} /> パックを空にする
+                </button>
+              ) : (
+                <button onClick={onOpenPack} className="text-blue-500 hover:text-blue-700 text-sm flex items-center gap-1">
+                  <Gift size={16} /> ランダムなパックを開封
+                </button>
+              )}
+            </div>
+            {botDraft && botDraft.finished ? (
+              <div className="flex flex-wrap items-center gap-4">
+                <p className="text-gray-600">ドラフトが終わりました。下のリプレイでピックを振り返れます。</p>
+                <button
+                  onClick={() => onBuildDeck(currentDraft.id)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+                >
+                  <Layers size={16} /> このプールでデッキを作成
+                </button>
+              </div>
+            ) : ranking.length === 0 ? (
+              <p className="text-gray-600">下の一覧からパックに入っているカードをクリックするか、カード名を入力してEnterで追加してください。練習では「ランダムなパックを開封」でセットのカードからパックを作れます。</p>
+            ) : (
+              <ol className="space-y-2">
+                {ranking.map(({ key, card, score, reasons }, rank) => (
+                  <li
+                    key={key}
+                    className={`flex items-center gap-3 p-2 rounded-md ${rank === 0 ? 'bg-yellow-50 ring-2 ring-yellow-400' : 'bg-gray-50'}`}
+                  >
+                    <span className="w-6 text-center font-bold text-gray-500">{rank + 1}</span>
+                    {card.imageUrl && <img src={getCardThumbnailUrl(card)} alt={card.name} className="w-12 rounded" />}
+                    <div className="flex-1 min-w-0">
+                      <div className="font-semibold text-gray-800 flex items-center gap-2">
+                        {card.name}
+                        {rank === 0 && <span className="text-xs bg-yellow-400 text-yellow-900 px-2 py-0.5 rounded-full flex items-center gap-1"><Crown size={12} /> おすすめ</span>}
+                      </div>
+                      <div className="text-xs text-gray-500">{reasons.join(' / ')}</div>
+                    </div>
+                    <span className="font-bold text-gray-800 w-12 text-right">{score.toFixed(1)}</span>
+                    <button
+                      onClick={() => onPick(card.id)}
+                      className="bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+                    >
+                      <Hand size={16} /> ピック
+                    </button>
+                    {!botDraft && (
+                      <button
+                        onClick={() => onRemoveFromPack(key)}
+                        className="text-gray-400 hover:text-red-500 transition-colors duration-200"
+                        aria-label={`${card.name} をパックから外す`}
+                      >
+                        <XCircle size={20} />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+
+          {botDraft ? (
+            <BotDraftReplay log={botDraft.log} cardsById={cardsById} />
+          ) : (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-bold mb-2 text-gray-800">パックにカードを追加</h3>
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={handleSearchKeyDown}
+                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
+                placeholder="カード名 (日本語・英語) で絞り込み、Enterで先頭のカードを追加"
+              />
+              <div className="grid grid-cols-4 sm:grid-cols-6 lg:grid-cols-8 gap-2 max-h-96 overflow-y-auto">
+                {candidates.map(card => (
+                  <button
+                    key={card.id}
+                    onClick={() => onAddToPack(card.id)}
+                    className="border-2 border-transparent hover:border-blue-400 rounded-md overflow-hidden text-left"
+                    title={card.name}
+                  >
+                    <img
+                      src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+                      alt={card.name || 'カード画像'}
+                      className="w-full h-auto object-cover"
+                    />
+                    <span className="block text-xs text-gray-700 truncate p-1">{card.name}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 h-fit">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">ピック済み ({poolCards.length}枚)</h2>
+          <DraftPoolPanel poolCards={poolCards} customAttributes={customAttributes} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// デッキのカード一覧 (ドラッグでメインデッキとサイドボードの間を移動、クリックでもう一方へ移動)
+const DeckZone = ({ title, zone, cardIds, cardsById, onMoveCard }) => {
+  const [isDragOver, setIsDragOver] = useState(false);
+  const entries = cardIds
+    .map((cardId, index) => ({ index, card: cardsById.get(cardId) }))
+    .filter(entry => entry.card)
+    .sort((a, b) => (a.card.manaCost ?? 99) - (b.card.manaCost ?? 99) || (a.card.name || '').localeCompare(b.card.name || ''));
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    // 外からドラッグしたファイルやテキストなど、デッキのカード以外のドロップは無視する
+    const payload = e.dataTransfer.getData('application/json');
+    if (!payload) return;
+    let dropped;
+    try {
+      dropped = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+    if (dropped.fromZone !== zone && ['mainDeck', 'sideboard'].includes(dropped.fromZone)) onMoveCard(dropped.fromZone, dropped.index);
+  };
+
+  return (
+    <div
+      className={`bg-white rounded-lg shadow-md p-4 min-h-[10rem] ${isDragOver ? 'ring-2 ring-blue-400' : ''}`}
+      onDragOver={(e) => { e.preventDefault(); setIsDragOver(true); }}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+    >
+      <h3 className="text-lg font-bold mb-2 text-gray-800">{title} ({entries.length}枚)</h3>
+      <div className="grid grid-cols-4 sm:grid-cols-6 lg:grid-cols-8 gap-2">
+        {entries.map(({ index, card }) => (
+          <button
+            key={index}
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('application/json', JSON.stringify({ fromZone: zone, index }))}
+            onClick={() => onMoveCard(zone, index)}
+            className="border-2 border-transparent hover:border-blue-400 rounded-md overflow-hidden text-left"
+            title={`${card.name} (クリックで${zone === 'mainDeck' ? 'サイドボード' : 'メインデッキ'}へ)`}
+          >
+            <img
+              src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+              alt={card.name || 'カード画像'}
+              className="w-full h-auto object-cover"
+            />
+            <span className="block text-xs text-gray-700 truncate p-1">{card.name}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ドラフトやシールドのプールから40枚のデッキを組む。デッキは decks コレクションに保存する
+const DeckBuilderView = ({ cards, drafts, decks, currentDeck, onSelectDeck, onCreateDeck, onUpdateDeck, onDeleteDeck, onExportDeck }) => {
+  const [sourceDraftId, setSourceDraftId] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const cardsById = useMemo(() => new Map(cards.map(card => [card.id, card])), [cards]);
+
+  const mainDeck = currentDeck ? currentDeck.mainDeck || [] : [];
+  const sideboard = currentDeck ? currentDeck.sideboard || [] : [];
+  const basicLands = currentDeck ? currentDeck.basicLands || {} : {};
+  const mainCards = mainDeck.map(cardId => cardsById.get(cardId)).filter(Boolean);
+  const stats = buildDeckStats(mainCards);
+  const basicLandCount = getBasicLandCount(basicLands);
+  const totalCount = mainCards.length + basicLandCount;
+  const suggestedLands = suggestBasicLands(stats.pips, DECK_SIZE - mainCards.length);
+  const maxCurveCount = Math.max(1, ...DRAFT_MANA_COSTS.map(cost => stats.curve[cost].creatures + stats.curve[cost].others));
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+  const handleSearchKeyDown = (e) => {
+    if (e.key !== 'Enter' || !normalizedSearch) return;
+    const match = cards.find(card => (card.name || '').toLowerCase().includes(normalizedSearch)
+      || (card.englishName || '').toLowerCase().includes(normalizedSearch));
+    if (match) {
+      onUpdateDeck(deck => ({ sideboard: [...(deck.sideboard || []), match.id] }));
+      setSearchTerm('');
+    }
+  };
+
+  // 変更は保存されている最新のデッキに対して行う (続けて移動しても前の移動が失われないように)
+  const handleMoveCard = (fromZone, index) => {
+    const cardId = (fromZone === 'mainDeck' ? mainDeck : sideboard)[index];
+    const toZone = fromZone === 'mainDeck' ? 'sideboard' : 'mainDeck';
+    onUpdateDeck(deck => {
+      const from = deck[fromZone] || [];
+      if (!from.includes(cardId)) return null;
+      return { [fromZone]: removeCardAt(from, index, cardId), [toZone]: [...(deck[toZone] || []), cardId] };
+    });
+  };
+
+  const handleBasicLandChange = (color, delta) => {
+    onUpdateDeck(deck => {
+      const latestLands = deck.basicLands || {};
+      return { basicLands: { ...latestLands, [color]: Math.max(0, (latestLands[color] || 0) + delta) } };
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-2">
+        <label className="text-gray-700 text-sm font-bold" htmlFor="deck-select">デッキ:</label>
+        <select
+          id="deck-select"
+          value={currentDeck ? currentDeck.id : ''}
+          onChange={(e) => onSelectDeck(e.target.value || null)}
+          className="shadow border rounded py-1 px-2 text-gray-700"
+        >
+          <option value="">デッキを選択</option>
+          {decks.map(deck => <option key={deck.id} value={deck.id}>{deck.name}</option>)}
+        </select>
+        <span className="text-gray-400">|</span>
+        <select
+          value={sourceDraftId}
+          onChange={(e) => setSourceDraftId(e.target.value)}
+          className="shadow border rounded py-1 px-2 text-gray-700"
+          aria-label="デッキの元にするプール"
+        >
+          <option value="">空のデッキ (カードを検索して追加)</option>
+          {drafts.map(draft => (
+            <option key={draft.id} value={draft.id}>{draft.name} の{draft.format === 'sealed' ? 'プール' : 'ピック'} ({(draft.picks || []).length}枚)</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onCreateDeck(sourceDraftId || null)}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+        >
+          <Plus size={16} /> 新しいデッキ
+        </button>
+        {currentDeck && (
+          <>
+            <button
+              onClick={() => onExportDeck(currentDeck)}
+              className="text-blue-500 hover:text-blue-700 transition-colors duration-200 flex items-center gap-1 text-sm"
+            >
+              <Download size={16} /> エクスポート
+            </button>
+            <button
+              onClick={() => onDeleteDeck(currentDeck.id)}
+              className="text-red-500 hover:text-red-700 transition-colors duration-200 flex items-center gap-1 text-sm"
+            >
+              <Trash2 size={16} /> このデッキを削除
+            </button>
+          </>
+        )}
+      </div>
+
+      {!currentDeck ? (
+        <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+          <p>元にするプール (ドラフトのピックやシールドのプール) を選んで「新しいデッキ」を押すか、保存したデッキを選択してください。</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            <DeckZone title="メインデッキ" zone="mainDeck" cardIds={mainDeck} cardsById={cardsById} onMoveCard={handleMoveCard} />
+            <DeckZone title="サイドボード" zone="sideboard" cardIds={sideboard} cardsById={cardsById} onMoveCard={handleMoveCard} />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              placeholder="カード名を入力してEnterでサイドボードに追加 (シールドのプールなど)"
+            />
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-6 h-fit space-y-6">
+            <div>
+              <h3 className={`text-2xl font-bold ${totalCount === DECK_SIZE ? 'text-green-600' : 'text-gray-800'}`}>
+                {totalCount} / {DECK_SIZE}枚
+              </h3>
+              <p className="text-sm text-gray-600">
+                クリーチャー {stats.creatures} / それ以外 {stats.nonCreatures} / 土地 {stats.lands + basicLandCount}
+              </p>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-bold mb-2 text-gray-800">マナカーブ</h3>
+              <div className="flex items-end gap-2 h-32">
+                {DRAFT_MANA_COSTS.map(cost => {
+                  const { creatures, others } = stats.curve[cost];
+                  return (
+                    <div key={cost} className="flex-1 flex flex-col items-center justify-end h-full">
+                      <span className="text-xs text-gray-600">{creatures + others}</span>
+                      <div className="w-full bg-purple-300" style={{ height: `${(others / maxCurveCount) * 100}%` }} title={`それ以外 ${others}`} />
+                      <div className="w-full bg-blue-500" style={{ height: `${(creatures / maxCurveCount) * 100}%` }} title={`クリーチャー ${creatures}`} />
+                      <span className="text-xs text-gray-700">{cost === DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1] ? `${cost}+` : cost}</span>
+                    </div>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                <span className="inline-block w-3 h-3 bg-blue-500 align-middle"></span> クリーチャー
+                <span className="inline-block w-3 h-3 bg-purple-300 align-middle ml-2"></span> それ以外
+                {stats.unknownCost > 0 && ` / コスト未設定 ${stats.unknownCost}枚`}
+              </p>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-bold mb-2 text-gray-800">基本土地</h3>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="text-left p-1">土地</th>
+                    <th className="text-right p-1">シンボル</th>
+                    <th className="text-right p-1">提案</th>
+                    <th className="text-right p-1">枚数</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {BASIC_LANDS.map(land => (
+                    <tr key={land.color} className="border-t">
+                      <td className="p-1 text-gray-800">{land.name} ({land.color})</td>
+                      <td className="p-1 text-right text-gray-600">{Math.round(stats.pips[land.color] * 10) / 10}</td>
+                      <td className="p-1 text-right text-gray-600">{suggestedLands[land.color]}</td>
+                      <td className="p-1 text-right">
+                        <div className="flex items-center justify-end gap-1">
+                          <button onClick={() => handleBasicLandChange(land.color, -1)} className="px-2 bg-gray-200 rounded hover:bg-gray-300" aria-label={`${land.name}を減らす`}>-</button>
+                          <span className="w-6 text-center text-gray-800">{basicLands[land.color] || 0}</span>
+                          <button onClick={() => handleBasicLandChange(land.color, 1)} className="px-2 bg-gray-200 rounded hover:bg-gray-300" aria-label={`${land.name}を増やす`}>+</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                onClick={() => onUpdateDeck({ basicLands: suggestedLands })}
+                className="mt-2 w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200"
+              >
+                提案どおりにする ({DECK_SIZE - mainCards.length}枚)
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ラベルごとの枚数を縦棒で表示する小さなヒストグラム (max を揃えると表どうしで比べられる)
+const MiniHistogram = ({ bins, labels, max }) => (
+  <div className="flex items-end gap-1 h-16">
+    {labels.map(label => (
+      <div key={label} className="flex-1 flex flex-col items-center justify-end h-full" title={`${label}: ${bins[label]}枚`}>
+        <div className="w-full bg-blue-400 rounded-t" style={{ height: `${max > 0 ? (bins[label] / max) * 100 : 0}%` }} />
+        <span className="text-[10px] text-gray-600">{label}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// 現在のセットの分析ダッシュボード。フォーマット開始前に色の層の厚さを判断するために使う
+const SetAnalyticsView = ({ cards, customAttributes }) => {
+  const [attributeRarity, setAttributeRarity] = useState('コモン');
+  const { byColor, byRarity, attributeCounts, rarityGroups } = buildSetAnalytics(cards, customAttributes);
+  const colorGroups = DRAFT_POOL_COLOR_GROUPS.filter(group => byColor[group].total > 0);
+  const rarities = rarityGroups.filter(rarity => byRarity[rarity].total > 0);
+  const maxRatingBin = Math.max(0, ...[...colorGroups.map(g => byColor[g]), ...rarities.map(r => byRarity[r])]
+    .flatMap(stats => RATING_HISTOGRAM_BINS.map(bin => stats.ratingBins[bin])));
+  const maxCurve = Math.max(0, ...colorGroups.flatMap(group => DRAFT_MANA_COSTS.map(cost => byColor[group].curve[cost])));
+  const formatBombDensity = (stats) => (stats.total > 0 ? `${stats.bombs}枚 (${Math.round((stats.bombs / stats.total) * 100)}%)` : '-');
+  const getAttributeTotal = (attrId, rarity) => {
+    const targetRarities = rarity === 'all' ? rarityGroups : [rarity];
+    return (group) => targetRarities.reduce((sum, r) => sum + attributeCounts[attrId][r][group], 0);
+  };
+
+  if (cards.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+        <p>このセットにはカードがありません。</p>
+      </div>
+    );
+  }
+
+  const curveLabels = DRAFT_MANA_COSTS.map(cost => (cost === DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1] ? `${cost}+` : `${cost}`));
+  const toCurveBins = (curve) => Object.fromEntries(DRAFT_MANA_COSTS.map((cost, index) => [curveLabels[index], curve[cost]]));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">色ごとの評価とマナカーブ ({cards.length}枚)</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="text-left p-2">色</th>
+                <th className="text-right p-2">枚数</th>
+                <th className="text-right p-2">ボム</th>
+                <th className="text-left p-2 w-1/3">評価の分布 (0〜5)</th>
+                <th className="text-left p-2 w-1/3">マナカーブ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {colorGroups.map(group => (
+                <tr key={group} className="border-t">
+                  <td className="p-2 font-semibold text-gray-800">{group}</td>
+                  <td className="p-2 text-right text-gray-700">{byColor[group].total}</td>
+                  <td className="p-2 text-right text-gray-700">{formatBombDensity(byColor[group])}</td>
+                  <td className="p-2"><MiniHistogram bins={byColor[group].ratingBins} labels={RATING_HISTOGRAM_BINS} max={maxRatingBin} /></td>
+                  <td className="p-2"><MiniHistogram bins={toCurveBins(byColor[group].curve)} labels={curveLabels} max={maxCurve} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">レアリティごとの評価</h2>
+        <table className="w-full text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="text-left p-2">レアリティ</th>
+              <th className="text-right p-2">枚数</th>
+              <th className="text-right p-2">ボム</th>
+              <th className="text-left p-2 w-1/2">評価の分布 (0〜5)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rarities.map(rarity => (
+              <tr key={rarity} className="border-t">
+                <td className="p-2 font-semibold text-gray-800">{rarity}</td>
+                <td className="p-2 text-right text-gray-700">{byRarity[rarity].total}</td>
+                <td className="p-2 text-right text-gray-700">{formatBombDensity(byRarity[rarity])}</td>
+                <td className="p-2"><MiniHistogram bins={byRarity[rarity].ratingBins} labels={RATING_HISTOGRAM_BINS} max={maxRatingBin} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4 pb-2 border-b-2 border-blue-500">
+          <h2 className="text-2xl font-bold text-gray-800">カスタム属性ごとの枚数</h2>
+          <select
+            value={attributeRarity}
+            onChange={(e) => setAttributeRarity(e.target.value)}
+            className="shadow border rounded py-1 px-2 text-gray-700"
+            aria-label="集計するレアリティ"
+          >
+            <option value="all">すべてのレアリティ</option>
+            {rarityGroups.map(rarity => <option key={rarity} value={rarity}>{rarity}</option>)}
+          </select>
+        </div>
+        {customAttributes.length === 0 ? (
+          <p className="text-gray-600">カスタム属性がありません。</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="text-left p-2">属性</th>
+                  {DRAFT_POOL_COLOR_GROUPS.map(group => <th key={group} className="text-right p-2">{group}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {customAttributes.map(attr => {
+                  const countFor = getAttributeTotal(attr.id, attributeRarity);
+                  return (
+                    <tr key={attr.id} className="border-t">
+                      <td className="p-2 font-semibold text-gray-800">{attr.name}</td>
+                      {DRAFT_POOL_COLOR_GROUPS.map(group => (
+                        <td key={group} className={`p-2 text-right ${countFor(group) > 0 ? 'text-gray-800' : 'text-gray-300'}`}>{countFor(group)}</td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// カードIDの一覧から index の位置のカードを取り除く。表示した後に一覧が変わって位置がずれていれば、
+// 同じカードの最初の1枚を取り除く (見つからなければそのまま)
+const removeCardAt = (cardIds, index, cardId) => {
+  const removeIndex = cardIds[index] === cardId ? index : cardIds.indexOf(cardId);
+  return removeIndex === -1 ? cardIds : cardIds.filter((_, i) => i !== removeIndex);
+};
+
+// シールドのプールを入力し、色の組み合わせごとのビルドを評価する。
+// プールは drafts コレクションに format: 'sealed' として保存し、picks にプールのカードを入れる
+const SealedPoolView = ({ cards, customAttributes, pools, currentPool, onSelectPool, onCreatePool, onDeletePool, onUpdatePool, onBuildDeck }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [playableRating, setPlayableRating] = useState(DRAFT_PLAYABLE_RATING);
+  const cardsById = useMemo(() => new Map(cards.map(card => [card.id, card])), [cards]);
+
+  const poolCardIds = currentPool ? currentPool.picks || [] : [];
+  const poolCards = poolCardIds.map(cardId => cardsById.get(cardId)).filter(Boolean);
+  const builds = evaluateSealedPool(poolCards, customAttributes, playableRating);
+
+  const normalizedSearch = searchTerm.trim().toLowerCase();
+  const candidates = cards
+    .filter(card => !normalizedSearch
+      || (card.name || '').toLowerCase().includes(normalizedSearch)
+      || (card.englishName || '').toLowerCase().includes(normalizedSearch))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const addToPool = (cardId) => onUpdatePool(pool => ({ picks: [...(pool.picks || []), cardId] }));
+  const removeFromPool = (index) => {
+    const cardId = poolCardIds[index];
+    onUpdatePool(pool => ({ picks: removeCardAt(pool.picks || [], index, cardId) }));
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter' && normalizedSearch && candidates.length > 0) {
+      addToPool(candidates[0].id);
+      setSearchTerm('');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-2">
+        <label className="text-gray-700 text-sm font-bold" htmlFor="sealed-pool-select">シールドのプール:</label>
+        <select
+          id="sealed-pool-select"
+          value={currentPool ? currentPool.id : ''}
+          onChange={(e) => onSelectPool(e.target.value || null)}
+          className="shadow border rounded py-1 px-2 text-gray-700"
+        >
+          <option value="">プールを選択</option>
+          {pools.map(pool => (
+            <option key={pool.id} value={pool.id}>{pool.name} ({(pool.picks || []).length}枚)</option>
+          ))}
+        </select>
+        <button
+          onClick={onCreatePool}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+        >
+          <Plus size={16} /> 新しいプール
+        </button>
+        {currentPool && (
+          <button
+            onClick={() => onDeletePool(currentPool.id)}
+            className="text-red-500 hover:text-red-700 transition-colors duration-200 flex items-center gap-1 text-sm"
+          >
+            <Trash2 size={16} /> このプールを削除
+          </button>
+        )}
+      </div>
+
+      {!currentPool ? (
+        <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+          <p>「新しいプール」でシールドのプールを作成するか、保存したプールを選択してください。</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4 pb-2 border-b-2 border-blue-500">
+              <h2 className="text-2xl font-bold text-gray-800">ビルドの評価</h2>
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                プレイアブルとみなす評価:
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  step="0.5"
+                  value={playableRating}
+                  onChange={(e) => setPlayableRating(parseFloat(e.target.value) || 0)}
+                  className="shadow border rounded w-20 py-1 px-2 text-gray-700"
+                />
+              </label>
+            </div>
+            {poolCards.length === 0 ? (
+              <p className="text-gray-600">下の一覧からプールのカードを追加してください。</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="text-left p-2">順位</th>
+                      <th className="text-left p-2">色</th>
+                      <th className="text-right p-2">プレイアブル</th>
+                      <th className="text-right p-2">{DRAFT_REMOVAL_ATTRIBUTE_NAME}</th>
+                      <th className="text-right p-2">ボム</th>
+                      <th className="text-right p-2">2マナ域</th>
+                      <th className="text-right p-2">クリーチャー</th>
+                      <th className="text-right p-2">点数</th>
+                      <th className="text-left p-2">内訳</th>
+                      <th className="p-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {builds.slice(0, 10).map((build, rank) => (
+                      <tr key={build.key} className={`border-t align-top ${rank === 0 ? 'bg-yellow-50' : ''}`}>
+                        <td className="p-2 font-bold text-gray-500">{rank + 1}</td>
+                        <td className="p-2 font-semibold text-gray-800">
+                          {build.colors.join('')}
+                          {build.splashColor && (
+                            <span className="text-gray-500 font-normal"> + {build.splashColor}タッチ ({build.splashCards.map(card => card.name).join(', ')})</span>
+                          )}
+                        </td>
+                        <td className="p-2 text-right text-gray-700">{build.playables}</td>
+                        <td className="p-2 text-right text-gray-700">{build.removal}</td>
+                        <td className="p-2 text-right text-gray-700">{build.bombs}</td>
+                        <td className="p-2 text-right text-gray-700">{build.twoDrops}</td>
+                        <td className="p-2 text-right text-gray-700">{build.creatures}</td>
+                        <td className="p-2 text-right font-bold text-gray-800">{build.score.toFixed(2)}</td>
+                        <td className="p-2 text-xs text-gray-500">{build.reasons.join(' / ')}</td>
+                        <td className="p-2">
+                          <button
+                            onClick={() => onBuildDeck(currentPool, build)}
+                            className="text-blue-500 hover:text-blue-700 transition-colors duration-200 flex items-center gap-1 whitespace-nowrap"
+                          >
+                            <Layers size={16} /> デッキを作成
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white rounded-lg shadow-md p-6">
+              <h3 className="text-lg font-bold mb-2 text-gray-800">プールにカードを追加</h3>
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={handleSearchKeyDown}
+                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
+                placeholder="カード名 (日本語・英語) で絞り込み、Enterで先頭のカードを追加"
+              />
+              <div className="grid grid-cols-4 sm:grid-cols-6 lg:grid-cols-8 gap-2 max-h-96 overflow-y-auto">
+                {candidates.map(card => (
+                  <button
+                    key={card.id}
+                    onClick={() => addToPool(card.id)}
+                    className="border-2 border-transparent hover:border-blue-400 rounded-md overflow-hidden text-left"
+                    title={card.name}
+                  >
+                    <img
+                      src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+                      alt={card.name || 'カード画像'}
+                      className="w-full h-auto object-cover"
+                    />
+                    <span className="block text-xs text-gray-700 truncate p-1">{card.name}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-md p-6 h-fit">
+              <h3 className="text-lg font-bold mb-2 text-gray-800">プール ({poolCards.length} / {SEALED_POOL_SIZE}枚)</h3>
+              <ul className="text-sm text-gray-800 space-y-1 max-h-96 overflow-y-auto">
+                {poolCardIds.map((cardId, index) => cardsById.get(cardId) && (
+                  <li key={index} className="flex items-center justify-between">
+                    <span>{cardsById.get(cardId).name} <span className="text-gray-500">({getDraftColorGroup(cardsById.get(cardId))})</span></span>
+                    <button
+                      onClick={() => removeFromPool(index)}
+                      className="text-gray-400 hover:text-red-500 transition-colors duration-200"
+                      aria-label={`${cardsById.get(cardId).name} をプールから外す`}
+                    >
+                      <XCircle size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ブースターパックのシミュレーター。セットのカードからシードを使ってパックを作り (同じシードなら同じパック)、
+// ボムの出現頻度を確かめたり、作ったパックで練習ドラフトをしたりする
+const BoosterPackView = ({ cards, packTemplate, onSaveTemplate, onUseForDraft, onStartBotDraft }) => {
+  const [seed, setSeed] = useState(createRandomSeed);
+  const [bombStats, setBombStats] = useState(null);
+  const template = normalizePackTemplate(packTemplate);
+  const pack = generateBoosterPack(cards, template, seed);
+  const rarityCounts = countCardsByRarity(cards, template);
+  const missingSlots = [
+    template.commons > 0 && rarityCounts.commons === 0 && 'コモン',
+    template.uncommons > 0 && rarityCounts.uncommons === 0 && 'アンコモン',
+    template.rares > 0 && rarityCounts.rares + rarityCounts.mythics === 0 && 'レア・神話レア',
+  ].filter(Boolean);
+
+  const updateTemplate = (fields) => {
+    setBombStats(null);
+    onSaveTemplate({ ...template, ...fields });
+  };
+
+  const handleCopySeed = async () => {
+    try {
+      await navigator.clipboard.writeText(seed);
+    } catch (error) {
+      console.error("Error copying seed:", error);
+    }
+  };
+
+  const countInput = (field, label) => (
+    <label className="text-sm text-gray-700 flex items-center gap-2">
+      {label}
+      <input
+        type="number"
+        min="0"
+        max="20"
+        value={template[field]}
+        onChange={(e) => updateTemplate({ [field]: parseInt(e.target.value, 10) })}
+        className="shadow border rounded w-16 py-1 px-2 text-gray-700"
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h2 className="text-2xl font-bold text-gray-800 pb-2 border-b-2 border-blue-500">パックの構成</h2>
+        <div className="flex flex-wrap items-center gap-4">
+          {countInput('commons', 'コモン')}
+          {countInput('uncommons', 'アンコモン')}
+          {countInput('rares', 'レア・神話レア')}
+          <label className="text-sm text-gray-700 flex items-center gap-2">
+            神話レアの確率 (%)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.5"
+              value={Math.round(template.mythicRate * 1000) / 10}
+              onChange={(e) => updateTemplate({ mythicRate: parseFloat(e.target.value) / 100 })}
+              className="shadow border rounded w-20 py-1 px-2 text-gray-700"
+            />
+          </label>
+          <label className="text-sm text-gray-700 flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={template.doubleFacedSlot}
+              onChange={(e) => updateTemplate({ doubleFacedSlot: e.target.checked })}
+              className="form-checkbox h-4 w-4 text-blue-600"
+            />
+            両面カードの枠 (コモン1枠を置き換え)
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          セットのカード: コモン {rarityCounts.commons}枚 / アンコモン {rarityCounts.uncommons}枚 / レア {rarityCounts.rares}枚 / 神話レア {rarityCounts.mythics}枚
+          {template.doubleFacedSlot && ` / 両面カード ${rarityCounts.doubleFaced}枚`}
+        </p>
+        {missingSlots.length > 0 && (
+          <p className="text-sm text-red-600">{missingSlots.join('、')}のカードがありません。カードのレアリティを設定してください。</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-4 pb-2 border-b-2 border-blue-500">
+          <h2 className="text-2xl font-bold text-gray-800 mr-auto">パック ({pack.length}枚)</h2>
+          <label className="text-sm text-gray-700 font-bold" htmlFor="booster-pack-seed">シード:</label>
+          <input
+            id="booster-pack-seed"
+            type="text"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            className="shadow border rounded w-32 py-1 px-2 text-gray-700"
+          />
+          <button
+            onClick={handleCopySeed}
+            className="text-gray-500 hover:text-gray-700 transition-colors duration-200"
+            aria-label="シードをコピー"
+          >
+            <Copy size={18} />
+          </button>
+          <button
+            onClick={() => setSeed(createRandomSeed())}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+          >
+            <Dices size={16} /> 別のパックを開封
+          </button>
+          <button
+            onClick={() => onUseForDraft(pack.map(card => card.id))}
+            disabled={pack.length === 0}
+            className="bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1 disabled:opacity-50"
+          >
+            <Target size={16} /> このパックで練習ドラフト
+          </button>
+          <button
+            onClick={() => onStartBotDraft(seed)}
+            disabled={pack.length === 0}
+            className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1 disabled:opacity-50"
+          >
+            <Bot size={16} /> このシードでボットとドラフト
+          </button>
+        </div>
+        {pack.length === 0 ? (
+          <p className="text-gray-600">パックを作れるカードがありません。</p>
+        ) : (
+          <div className="grid grid-cols-4 sm:grid-cols-5 lg:grid-cols-7 gap-2">
+            {pack.map((card, index) => (
+              <div
+                key={index}
+                className={`rounded-md overflow-hidden border-2 ${card.isBomb ? 'border-yellow-400' : 'border-transparent'}`}
+                title={`${card.name} (${card.rarity})`}
+              >
+                <img
+                  src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+                  alt={card.name || 'カード画像'}
+                  className="w-full h-auto object-cover"
+                />
+                <span className="block text-xs text-gray-700 truncate p-1">
+                  {card.isBomb && <Star size={12} className="inline text-yellow-400 mr-1" fill="currentColor" />}
+                  {card.name}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4 pb-2 border-b-2 border-blue-500">
+          <h2 className="text-2xl font-bold text-gray-800">ボムの出現頻度</h2>
+          <button
+            onClick={() => setBombStats(simulateBombFrequency(cards, template, seed))}
+            className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+          >
+            <BarChart3 size={16} /> シミュレーション
+          </button>
+        </div>
+        {bombStats ? (
+          <ul className="text-gray-800 space-y-1">
+            <li>1パックあたりのボム: 平均 {bombStats.averageBombs.toFixed(2)}枚</li>
+            <li>1パックにボムが入る確率: {(bombStats.atLeastOnePerPack * 100).toFixed(1)}%</li>
+            <li>3パック (1回のドラフトで開封する分) のどれかにボムが入る確率: {(bombStats.atLeastOnePerDraft * 100).toFixed(1)}%</li>
+            <li className="text-xs text-gray-500">{bombStats.packCount}パックを開封した結果 (シード: {seed})</li>
+          </ul>
+        ) : (
+          <p className="text-gray-600">現在の構成とシードでたくさんのパックを開封し、ボムレアが出る頻度を確かめます。</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ピック順のクイズ。評価を隠して2〜3枚のカードを並べ、どれをピックするか選ぶと保存された評価を表示する。
+// 回答は quizzes コレクションに保存し、セッションごとの一致率の推移を表示する
+const QuizView = ({ cards, quizzes, currentQuiz, getRating, onAnswer, onStartQuiz }) => {
+  const [optionCount, setOptionCount] = useState(2);
+  const [question, setQuestion] = useState(() => buildQuizQuestion(cards, 2, getRating));
+  const [chosenId, setChosenId] = useState(null);
+  const cardsById = useMemo(() => new Map(cards.map(card => [card.id, card])), [cards]);
+
+  const options = (question || []).map(cardId => cardsById.get(cardId)).filter(Boolean);
+  const answerId = options.length > 0 ? getQuizAnswerId(options, getRating) : null;
+  const answers = currentQuiz ? currentQuiz.answers || [] : [];
+  const correctCount = answers.filter(answer => answer.correct).length;
+  const history = buildQuizHistory(quizzes);
+
+  const nextQuestion = (count = optionCount) => {
+    setQuestion(buildQuizQuestion(cards, count, getRating));
+    setChosenId(null);
+  };
+
+  const handleChoose = (cardId) => {
+    if (chosenId) return;
+    setChosenId(cardId);
+    onAnswer({ cardIds: question, chosenId: cardId, correct: cardId === answerId });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-4">
+        <label className="text-gray-700 text-sm font-bold flex items-center gap-2">
+          カードの枚数:
+          <select
+            value={optionCount}
+            onChange={(e) => {
+              setOptionCount(Number(e.target.value));
+              nextQuestion(Number(e.target.value));
+            }}
+            className="shadow border rounded py-1 px-2 text-gray-700"
+          >
+            <option value={2}>2枚</option>
+            <option value={3}>3枚</option>
+          </select>
+        </label>
+        <span className="text-gray-800">
+          このセッション: {answers.length > 0 ? `${correctCount} / ${answers.length}問 (${Math.round((correctCount / answers.length) * 100)}%)` : 'まだ回答していません'}
+        </span>
+        <button
+          onClick={() => {
+            onStartQuiz();
+            nextQuestion();
+          }}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1 ml-auto"
+        >
+          <Plus size={16} /> 新しいセッション
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">どのカードをピックしますか？</h2>
+        {options.length === 0 ? (
+          <div className="flex flex-wrap items-center gap-4">
+            <p className="text-gray-600">評価の差がある{optionCount}枚のカードが見つかりません。カードに評価を付けてください。</p>
+            <button onClick={() => nextQuestion()} className="text-blue-500 hover:text-blue-700 text-sm flex items-center gap-1">
+              <RefreshCw size={16} /> もう一度探す
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap justify-center gap-6">
+              {options.map(card => {
+                const ringClass = !chosenId ? 'hover:ring-4 hover:ring-blue-400'
+                  : card.id === answerId ? 'ring-4 ring-green-500'
+                    : card.id === chosenId ? 'ring-4 ring-red-500' : 'opacity-75';
+                return (
+                  <button
+                    key={card.id}
+                    onClick={() => handleChoose(card.id)}
+                    disabled={Boolean(chosenId)}
+                    className={`w-48 rounded-lg overflow-hidden shadow-md text-left transition-all duration-200 ${ringClass}`}
+                  >
+                    <img
+                      src={card.imageUrl || `https://placehold.co/265x370/cccccc/333333?text=No+Image`}
+                      alt={card.name || 'カード画像'}
+                      className="w-full h-auto object-cover"
+                    />
+                    <div className="p-2">
+                      <div className="font-semibold text-gray-800 truncate">{card.name}</div>
+                      {chosenId && (
+                        <div className="text-sm text-gray-700 flex items-center gap-1">
+                          評価 {(getRating(card) || 0).toFixed(1)}
+                          {card.isBomb && <span className="text-yellow-500 flex items-center gap-1"><Star size={14} fill="currentColor" /> ボム</span>}
+                        </div>
+                      )}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+            {chosenId && (
+              <div className="mt-6 flex flex-wrap items-center justify-center gap-4">
+                <p className={`font-bold ${chosenId === answerId ? 'text-green-600' : 'text-red-600'}`}>
+                  {chosenId === answerId ? 'チームの評価と一致しました！' : `チームの評価では「${cardsById.get(answerId).name}」が上です。`}
+                </p>
+                <button
+                  onClick={() => nextQuestion()}
+                  className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 flex items-center gap-1"
+                >
+                  <ArrowRight size={16} /> 次の問題
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">一致率の推移</h2>
+        {history.length === 0 ? (
+          <p className="text-gray-600">回答するとセッションごとの一致率が記録されます。</p>
+        ) : (
+          <ul className="space-y-2">
+            {history.map(({ id, date, total, correct }) => (
+              <li key={id} className="flex items-center gap-3 text-sm">
+                <span className="w-40 text-gray-600">{date ? new Date(date).toLocaleString() : '-'}</span>
+                <div className="flex-1 bg-gray-200 rounded h-3">
+                  <div className="bg-green-500 h-3 rounded" style={{ width: `${(correct / total) * 100}%` }} />
+                </div>
+                <span className="w-32 text-right text-gray-800">{Math.round((correct / total) * 100)}% ({correct}/{total}問)</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// セットのアーキタイプ (2色の組み合わせ10種類) の名前・説明・キーとなるメカニズムを編集する
+const ArchetypeModal = ({ isOpen, onClose, set, onSave }) => {
+  const [archetypes, setArchetypes] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) setArchetypes(getSetArchetypes(set));
+  }, [isOpen, set]);
+
+  if (!isOpen || !set) return null;
+
+  const handleChange = (id, field, value) => {
+    setArchetypes(prev => prev.map(archetype => (archetype.id === id ? { ...archetype, [field]: value } : archetype)));
+  };
+
+  const handleSave = async () => {
+    await onSave(set.id, archetypes.map(({ id, colors, name, description, keyMechanic }) => ({
+      id, colors, name: name.trim(), description: description.trim(), keyMechanic: keyMechanic.trim(),
+    })));
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`${set.name} のアーキタイプ`}>
+      <p className="text-gray-600 text-sm mb-4">
+        2色の組み合わせごとにアーキタイプを設定します。カードはカード編集画面でシグナルやキーカードに指定でき、フィルターでアーキタイプごとに絞り込めます。
+      </p>
+      <div className="space-y-3">
+        {archetypes.map(archetype => (
+          <div key={archetype.id} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-start bg-gray-100 p-3 rounded-md">
+            <span className="md:col-span-1 font-bold text-gray-800 py-2">{archetype.id}</span>
+            <input
+              type="text"
+              value={archetype.name}
+              onChange={(e) => handleChange(archetype.id, 'name', e.target.value)}
+              className="md:col-span-3 shadow border rounded py-2 px-3 text-gray-700"
+              placeholder="名前 (例: 飛行)"
+              aria-label={`${archetype.id} の名前`}
+            />
+            <input
+              type="text"
+              value={archetype.keyMechanic}
+              onChange={(e) => handleChange(archetype.id, 'keyMechanic', e.target.value)}
+              className="md:col-span-3 shadow border rounded py-2 px-3 text-gray-700"
+              placeholder="キーとなるメカニズム"
+              aria-label={`${archetype.id} のキーとなるメカニズム`}
+            />
+            <textarea
+              value={archetype.description}
+              onChange={(e) => handleChange(archetype.id, 'description', e.target.value)}
+              rows="2"
+              className="md:col-span-5 shadow border rounded py-2 px-3 text-gray-700"
+              placeholder="説明"
+              aria-label={`${archetype.id} の説明`}
+            ></textarea>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-end mt-4">
+        <button
+          onClick={handleSave}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+        >
+          <Save size={20} /> 保存
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+// セットの Tier の区切り (名前・下限の評価・色) の編集。プリセットから始めて名前や区切りを変えられる
+const TierScaleModal = ({ isOpen, onClose, set, onSave }) => {
+  const [tiers, setTiers] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) setTiers(getSetTierScale(set));
+  }, [isOpen, set]);
+
+  if (!isOpen || !set) return null;
+
+  const handleChange = (index, field, value) => {
+    setTiers(prev => prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const handleSave = async () => {
+    const validTiers = tiers
+      .map(tier => ({ name: tier.name.trim(), minRating: normalizeRating(parseFloat(tier.minRating) || 0), color: tier.color }))
+      .filter(tier => tier.name);
+    if (validTiers.length === 0) {
+      console.error("Tier を1つ以上設定してください。");
+      return;
+    }
+    await onSave(set.id, validTiers.sort((a, b) => b.minRating - a.minRating));
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`${set.name} の Tier`}>
+      <p className="text-gray-600 text-sm mb-4">
+        評価がその値以上になる一番上の Tier にカードを分けます。Tier表示とカードのバッジに使われます。
+      </p>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(TIER_SCALE_PRESETS).map(([presetId, preset]) => (
+          <button
+            key={presetId}
+            onClick={() => setTiers(preset.tiers)}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-semibold py-1 px-3 rounded-md transition-colors duration-200"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <div className="space-y-2">
+        {tiers.map((tier, index) => (
+          <div key={index} className="flex items-center gap-2 bg-gray-100 p-2 rounded-md">
+            <input
+              type="color"
+              value={tier.color}
+              onChange={(e) => handleChange(index, 'color', e.target.value)}
+              className="w-10 h-10 rounded"
+              aria-label={`${tier.name} の色`}
+            />
+            <input
+              type="text"
+              value={tier.name}
+              onChange={(e) => handleChange(index, 'name', e.target.value)}
+              className="shadow border rounded py-2 px-3 text-gray-700 flex-grow"
+              placeholder="名前 (例: A+)"
+              aria-label={`Tier ${index + 1} の名前`}
+            />
+            <label className="text-gray-700 text-sm">評価</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.0"
+              max="5.0"
+              value={tier.minRating}
+              onChange={(e) => handleChange(index, 'minRating', e.target.value)}
+              className="w-20 shadow border rounded py-2 px-3 text-gray-700 text-center"
+              aria-label={`${tier.name} の下限の評価`}
+            />
+            <span className="text-gray-700 text-sm">以上</span>
+            <button
+              onClick={() => setTiers(prev => prev.filter((_, i) => i !== index))}
+              className="text-red-500 hover:text-red-700 transition-colors duration-200"
+              aria-label={`${tier.name} を削除`}
+            >
+              <Trash2 size={20} />
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-4">
+        <button
+          onClick={() => setTiers(prev => [...prev, { name: '', minRating: 0, color: '#6b7280' }])}
+          className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+        >
+          <Plus size={20} /> Tier を追加
+        </button>
+        <button
+          onClick={handleSave}
+          className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+        >
+          <Save size={20} /> 保存
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+// チームのワークスペースの作成・参加・切り替え。ワークスペースではカードと画像をメンバー全員で共有し、
+// 評価はメンバーごとに付ける (Firestore 保存時のみ)
+const WorkspaceModal = ({
+  isOpen, onClose, workspaces, workspaceId, memberName, onMemberNameChange, onSelect, onCreate, onJoin, onLeave,
+}) => {
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [joinWorkspaceId, setJoinWorkspaceId] = useState('');
+
+  if (!isOpen) return null;
+
+  const handleCreate = async () => {
+    if (!newWorkspaceName.trim()) return;
+    await onCreate(newWorkspaceName.trim());
+    setNewWorkspaceName('');
+  };
+
+  const handleJoin = async () => {
+    if (!joinWorkspaceId.trim()) return;
+    await onJoin(joinWorkspaceId.trim());
+    setJoinWorkspaceId('');
+  };
+
+  const handleCopyWorkspaceId = async (id) => {
+    try {
+      await navigator.clipboard.writeText(id);
+    } catch (error) {
+      console.error("Error copying workspace ID:", error);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="チームのワークスペース">
+      <div className="mb-4">
+        <label htmlFor="member-name" className="block text-gray-700 text-sm font-bold mb-2">チームでの表示名:</label>
+        <input
+          id="member-name"
+          type="text"
+          value={memberName}
+          onChange={(e) => onMemberNameChange(e.target.value)}
+          className="shadow border rounded w-full py-2 px-3 text-gray-700"
+          placeholder="評価の一覧に表示される名前"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <button
+          onClick={() => onSelect('')}
+          className={`w-full text-left p-3 rounded-md ${workspaceId === '' ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'}`}
+        >
+          個人のデータ
+        </button>
+        {workspaces.map(workspace => (
+          <div
+            key={workspace.id}
+            className={`flex items-center gap-2 p-3 rounded-md ${workspace.id === workspaceId ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-800'}`}
+          >
+            <button onClick={() => onSelect(workspace.id)} className="flex-grow text-left">
+              <span className="font-semibold">{workspace.name}</span>
+              <span className="text-sm ml-2 opacity-80">メンバー{workspace.memberIds.length}人 / ID: {workspace.id}</span>
+            </button>
+            <button
+              onClick={() => handleCopyWorkspaceId(workspace.id)}
+              className="p-1 rounded-md hover:bg-black hover:bg-opacity-10"
+              aria-label={`「${workspace.name}」のIDをコピー`}
+              title="IDをコピーしてメンバーに共有"
+            >
+              <Copy size={16} />
+            </button>
+            <button
+              onClick={() => onLeave(workspace)}
+              disabled={workspace.memberIds.length <= 1}
+              className="p-1 rounded-md hover:bg-black hover:bg-opacity-10 disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label={`「${workspace.name}」から退出`}
+              title={workspace.memberIds.length <= 1 ? '最後のメンバーは退出できません' : undefined}
+            >
+              <LogOut size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-6 pt-4 border-t border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h3 className="font-bold text-gray-800 mb-2 flex items-center gap-2"><Plus size={16} /> 新しく作る</h3>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newWorkspaceName}
+              onChange={(e) => setNewWorkspaceName(e.target.value)}
+              className="shadow border rounded py-2 px-3 text-gray-700 flex-grow"
+              placeholder="ワークスペース名"
+              aria-label="新しいワークスペースの名前"
+            />
+            <button
+              onClick={handleCreate}
+              disabled={!newWorkspaceName.trim()}
+              className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-3 rounded-md transition-colors duration-200 disabled:opacity-50"
+            >
+              作成
+            </button>
+          </div>
+        </div>
+        <div>
+          <h3 className="font-bold text-gray-800 mb-2 flex items-center gap-2"><UserPlus size={16} /> IDで参加する</h3>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={joinWorkspaceId}
+              onChange={(e) => setJoinWorkspaceId(e.target.value)}
+              className="shadow border rounded py-2 px-3 text-gray-700 flex-grow"
+              placeholder="ワークスペースID"
+              aria-label="参加するワークスペースのID"
+            />
+            <button
+              onClick={handleJoin}
+              disabled={!joinWorkspaceId.trim()}
+              className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-3 rounded-md transition-colors duration-200 disabled:opacity-50"
+            >
+              参加
+            </button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// 画像のメンテナンスで表示するカードの画像フィールド名
+const CARD_IMAGE_FIELD_LABELS = {
+  imageUrl: '表面',
+  backFaceImageUrl: '裏面',
+  thumbnailUrl: '表面のサムネイル',
+  backFaceThumbnailUrl: '裏面のサムネイル',
+};
+
+// 保存先の画像とカードを突き合わせ、どのカードからも使われていない画像の削除と、
+// 画像が見つからないカードの付け替えを行う
+const ImageCleanupModal = ({ isOpen, onClose, storage, imagePathPrefix, sets }) => {
+  const [problems, setProblems] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [selectedPaths, setSelectedPaths] = useState([]);
+  const [relinkPaths, setRelinkPaths] = useState({}); // `${cardId}:${field}` -> 付け替える画像のパス
+
+  const refresh = useCallback(async () => {
+    setIsWorking(true);
+    try {
+      setProblems(await findImageProblems(storage, imagePathPrefix));
+      setSelectedPaths([]);
+      setRelinkPaths({});
+    } catch (error) {
+      console.error("Error finding image problems:", error);
+    } finally {
+      setIsWorking(false);
+    }
+  }, [storage, imagePathPrefix]);
+
+  useEffect(() => {
+    setProblems(null);
+    if (isOpen && storage) refresh();
+  }, [isOpen, storage, refresh]);
+
+  if (!isOpen) return null;
+
+  const runAndRefresh = async (action) => {
+    setIsWorking(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Error cleaning up images:", error);
+    }
+    await refresh();
+  };
+
+  const handleDeleteSelected = () => {
+    const images = problems.orphanedImages.filter(image => selectedPaths.includes(image.path));
+    if (images.length === 0) return;
+    if (!window.confirm(`${images.length}件の画像を削除しますか？この操作は元に戻せません。`)) return;
+    runAndRefresh(async () => {
+      const failedPaths = await deleteOrphanedImages(storage, images);
+      if (failedPaths.length > 0) console.error("削除できなかった画像:", failedPaths);
+    });
+  };
+
+  const handleRelink = (card, field) => {
+    const image = problems.orphanedImages.find(orphan => orphan.path === relinkPaths[`${card.id}:${field}`]);
+    if (!image) return;
+    runAndRefresh(() => relinkCardImage(storage, card.id, field, image, problems.orphanedImages));
+  };
+
+  const handleUnlink = (card, field) => {
+    runAndRefresh(() => unlinkCardImage(storage, card.id, field));
+  };
+
+  const toggleSelected = (path) => {
+    setSelectedPaths(prev => (prev.includes(path) ? prev.filter(p => p !== path) : [...prev, path]));
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="画像のメンテナンス">
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-gray-600 text-sm">
+          保存先の画像 ({imagePathPrefix}) とカードを突き合わせます。Scryfall など外部のURLや、この保存先の外にある画像は確認しません。
+        </p>
+        <button
+          onClick={refresh}
+          disabled={isWorking}
+          className="text-blue-500 hover:text-blue-700 transition-colors duration-200 disabled:opacity-50 flex items-center gap-1 text-sm"
+        >
+          <RefreshCw size={16} className={isWorking ? 'animate-spin' : ''} /> 再確認
+        </button>
+      </div>
+      {!problems ? (
+        <p className="text-gray-600">{isWorking ? '確認しています...' : '画像を確認できませんでした。'}</p>
+      ) : (
+        <>
+          <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2">
+            <ImageOff size={20} /> 画像が見つからないカード ({problems.brokenImages.length}件)
+          </h3>
+          {problems.brokenImages.length === 0 ? (
+            <p className="text-gray-600 text-sm mb-4">ありません。</p>
+          ) : (
+            <ul className="space-y-2 mb-4">
+              {problems.brokenImages.map(({ card, field, path }) => {
+                const key = `${card.id}:${field}`;
+                const relinkCandidates = problems.orphanedImages.filter(image => (
+                  field.toLowerCase().includes('thumbnail') || !isThumbnailPath(image.path)
+                ));
+                return (
+                  <li key={key} className="bg-gray-100 p-3 rounded-md text-sm">
+                    <div className="text-gray-800">
+                      {card.name || card.id} の{CARD_IMAGE_FIELD_LABELS[field]}
+                      <span className="text-gray-500"> ({sets.find(set => set.id === card.setId)?.name || 'セットなし'})</span>
+                    </div>
+                    <div className="text-gray-500 truncate mb-2">{path}</div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={relinkPaths[key] || ''}
+                        onChange={(e) => setRelinkPaths(prev => ({ ...prev, [key]: e.target.value }))}
+                        className="shadow border rounded py-1 px-2 text-gray-700 max-w-xs"
+                      >
+                        <option value="">付け替える画像を選択</option>
+                        {relinkCandidates.map(image => (
+                          <option key={image.path} value={image.path}>{image.path.split('/').pop()}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleRelink(card, field)}
+                        disabled={isWorking || !relinkPaths[key]}
+                        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                      >
+                        <Link size={16} /> 付け替え
+                      </button>
+                      <button
+                        onClick={() => handleUnlink(card, field)}
+                        disabled={isWorking}
+                        className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-1 px-3 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                      >
+                        <Unlink size={16} /> 画像を外す
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2">
+            <ImageIcon size={20} /> どのカードにも使われていない画像 ({problems.orphanedImages.length}件)
+          </h3>
+          {problems.orphanedImages.length === 0 ? (
+            <p className="text-gray-600 text-sm">ありません。</p>
+          ) : (
+            <>
+              <label className="flex items-center space-x-2 cursor-pointer mb-2">
+                <input
+                  type="checkbox"
+                  checked={selectedPaths.length === problems.orphanedImages.length}
+                  onChange={(e) => setSelectedPaths(e.target.checked ? problems.orphanedImages.map(image => image.path) : [])}
+                  className="form-checkbox h-4 w-4 text-blue-600 rounded"
+                />
+                <span className="text-gray-800 text-sm">すべて選択</span>
+              </label>
+              <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 max-h-80 overflow-y-auto mb-4">
+                {problems.orphanedImages.map(image => (
+                  <label key={image.path} className={`relative cursor-pointer border-2 rounded-md overflow-hidden ${selectedPaths.includes(image.path) ? 'border-red-500' : 'border-transparent'}`}>
+                    <img src={image.url} alt={image.path} className="w-full h-auto object-cover" />
+                    <input
+                      type="checkbox"
+                      checked={selectedPaths.includes(image.path)}
+                      onChange={() => toggleSelected(image.path)}
+                      className="absolute top-1 left-1 form-checkbox h-4 w-4 text-red-600 rounded"
+                    />
+                    <span className="block text-xs text-gray-600 truncate p-1">{image.path.split('/').pop()}</span>
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={handleDeleteSelected}
+                disabled={isWorking || selectedPaths.length === 0}
+                className="w-full bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                <Trash2 size={20} /> 選択した{selectedPaths.length}件の画像を削除
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </Modal>
+  );
+};
+
+function App() {
+  // Firebaseインスタンスをstateで管理
+  const [firebaseApp, setFirebaseApp] = useState(null);
+  const [firestoreDb, setFirestoreDb] = useState(null);
+  const [firebaseAuth, setFirebaseAuth] = useState(null);
+  const [firebaseStorage, setFirebaseStorage] = useState(null);
+  const [storage, setStorage] = useState(null); // 保存先 (src/storage のバックエンド)
+  const [userId, setUserId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [cards, setCards] = useState([]);
+  const [customAttributes, setCustomAttributes] = useState([]);
+  const [sets, setSets] = useState([]);
+  const [currentSetId, setCurrentSetId] = useState(null);
+  const [isUploadModalOpen, setIsUploadModalOpen] = useState(false);
+  const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [editingCard, setEditingCard] = useState(null);
+  const [isCustomAttrModalOpen, setIsCustomAttrModalOpen] = useState(false);
+  const [isRarityModalOpen, setIsRarityModalOpen] = useState(false);
+  const [isTypeAssignmentModalOpen, setIsTypeAssignmentModalOpen] = useState(false);
+  const [isSetManagementModalOpen, setIsSetManagementModalOpen] = useState(false);
+  const [isStealthMode, setIsStealthMode] = useState(false);
+  const [isRatingCsvModalOpen, setIsRatingCsvModalOpen] = useState(false);
+  const [isScryfallModalOpen, setIsScryfallModalOpen] = useState(false);
+  const [scryfallData, setScryfallData] = useState({ cards: [], fileName: '', setCode: '' }); // 読み込んだ Scryfall のカードデータ
+  const [isSeventeenLandsModalOpen, setIsSeventeenLandsModalOpen] = useState(false);
+  const [isImageCleanupModalOpen, setIsImageCleanupModalOpen] = useState(false);
+  const [archetypeSetId, setArchetypeSetId] = useState(null); // アーキタイプを編集しているセット
+  const [tierScaleSetId, setTierScaleSetId] = useState(null); // Tier の区切りを編集しているセット
+  const [precacheProgress, setPrecacheProgress] = useState(null); // { done, total } (オフライン用の画像保存中)
+  const [localMigrationResult, setLocalMigrationResult] = useState(null); // 直前のローカルデータの移行結果 (migrateStorageData の結果。移行するデータがなければ { isEmpty: true })
+
+  // フィルターステート
+  const [filters, setFilters] = useState({
+    colors: [],
+    rarities: [],
+    types: [],
+    isBomb: false,
+    customAttributeIds: [],
+    archetypeId: '',
+    archetypeRolesOnly: false,
+    searchTerm: '',
+  });
+
+  // ソートステート
+  const [sortBy, setSortBy] = useState('default');
+  const [ratingArchetypeId, setRatingArchetypeId] = useState(''); // 評価の基準にするアーキタイプ (空なら全体の評価)
+  const [ratingProfileId, setRatingProfileId] = useState(''); // 表示・編集する評価プロファイル (空なら基本の評価)
+  const [newRatingProfileName, setNewRatingProfileName] = useState('');
+  const currentSetRatingProfiles = (sets.find(s => s.id === currentSetId) || {}).ratingProfiles || [];
+  const activeRatingProfile = currentSetRatingProfiles.find(profile => profile.id === ratingProfileId) || null;
+  const activeRatingProfileId = activeRatingProfile ? activeRatingProfile.id : '';
+  const [displayMode, setDisplayMode] = useState('grid'); // 'grid', 'tier', 'discrepancy', 'compare', 'draft', 'sealed', 'packs', 'quiz', 'deck', 'analytics'
+  // { name, setId, format: 'draft' | 'sealed', pack: カードID[], picks: カードID[] } (シールドは picks がプール)
+  const [drafts, setDrafts] = useState([]);
+  const [currentDraftId, setCurrentDraftId] = useState(null);
+  const [decks, setDecks] = useState([]); // { name, setId, draftId, mainDeck: カードID[], sideboard: カードID[], basicLands: { 色: 枚数 } }
+  const [currentDeckId, setCurrentDeckId] = useState(null);
+  const [quizzes, setQuizzes] = useState([]); // { setId, answers: { cardIds: カードID[], chosenId, correct }[] }
+  const [currentQuizId, setCurrentQuizId] = useState(null);
+  // チームのワークスペース (Firestore 保存時のみ)。workspaceId が空なら個人のデータを使う
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(() => (STORAGE_MODE === 'firebase' ? window.localStorage.getItem(WORKSPACE_ID_KEY) || '' : ''));
+  const [memberName, setMemberName] = useState(() => window.localStorage.getItem(MEMBER_NAME_KEY) || '');
+  const [isWorkspaceModalOpen, setIsWorkspaceModalOpen] = useState(false);
+  const [votes, setVotes] = useState([]); // { setId, cardId, memberId, memberName, rating } (メンバーごとの評価)
+  const activeWorkspace = workspaces.find(workspace => workspace.id === workspaceId) || null;
+  const teamRatings = useMemo(() => summarizeVotes(votes), [votes]);
+  // ワークスペースでアーキタイプ・プロファイルの評価を見ていなければ、チームの平均で並べ替えて Tier を分ける
+  const isTeamRating = Boolean(workspaceId) && !ratingArchetypeId && !activeRatingProfileId;
+  // カード画像の保存先 (ワークスペースではメンバー全員が読めるパス)
+  const imagePathPrefix = workspaceId ? getWorkspaceImagePathPrefix(APP_ID, workspaceId) : `card_images/${userId}`;
+
+  // Firebase初期化
+  useEffect(() => {
+    const initializeFirebaseServices = async () => {
+      if (STORAGE_MODE === 'local') {
+        setUserId(LOCAL_USER_ID);
+        setStorage(createIndexedDbBackend());
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const appInstance = initializeApp(FIREBASE_CONFIG);
+        const authInstance = getAuth(appInstance);
+        const dbInstance = getFirestore(appInstance);
+        const storageInstance = getStorage(appInstance);
+        if (USE_FIREBASE_EMULATORS) {
+          connectFirebaseEmulators({ auth: authInstance, db: dbInstance, storage: storageInstance });
+        }
+        setFirebaseApp(appInstance);
+        setFirestoreDb(dbInstance);
+        setFirebaseAuth(authInstance);
+        setFirebaseStorage(storageInstance);
+
+        const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
+          if (user) {
+            setUserId(user.uid);
+          } else {
+            try {
+              const anonymousUser = await signInAnonymously(authInstance);
+              setUserId(anonymousUser.user.uid);
+            } catch (anonError) {
+              console.error("Error signing in anonymously:", anonError);
+            }
+          }
+          setLoading(false);
+        });
+
+        if (INITIAL_AUTH_TOKEN) {
+          try {
+            await signInWithCustomToken(authInstance, INITIAL_AUTH_TOKEN);
+          } catch (error) {
+            console.error("Error signing in with custom token:", error);
+            try {
+              await signInAnonymously(authInstance);
+            } catch (anonError) {
+              console.error("Error signing in anonymously after custom token failure:", anonError);
+            }
+          }
+        } else {
+          try {
+            await signInAnonymously(authInstance);
+          } catch (anonError) {
+            console.error("Error signing in anonymously:", anonError);
+          }
+        }
+
+        return () => unsubscribe();
+      } catch (error) {
+        console.error("Firebase initialization failed:", error);
+        setLoading(false);
+      }
+    };
+
+    initializeFirebaseServices();
+  }, []);
+
+  // Firestore の保存先を準備 (ユーザーごとのパス配下、ワークスペースを選んでいればワークスペースのパス配下)
+  useEffect(() => {
+    if (STORAGE_MODE !== 'firebase' || !firestoreDb || !firebaseStorage || !userId) return;
+    setStorage(createFirestoreBackend({
+      db: firestoreDb,
+      storage: firebaseStorage,
+      basePath: workspaceId ? getWorkspaceBasePath(APP_ID, workspaceId) : `artifacts/${APP_ID}/users/${userId}`,
+    }));
+  }, [firestoreDb, firebaseStorage, userId, workspaceId]);
+
+  // 参加しているワークスペースの取得 (退出した・外されたワークスペースを選んでいたら個人のデータに戻す)
+  useEffect(() => {
+    if (STORAGE_MODE !== 'firebase' || !firestoreDb || !userId) return;
+    return subscribeWorkspaces(firestoreDb, APP_ID, userId, (fetchedWorkspaces) => {
+      setWorkspaces(fetchedWorkspaces);
+      setWorkspaceId(prev => (prev && !fetchedWorkspaces.some(workspace => workspace.id === prev) ? '' : prev));
+    }, (error) => {
+      console.error("Error fetching workspaces:", error);
+    });
+  }, [firestoreDb, userId]);
+
+  useEffect(() => {
+    if (STORAGE_MODE === 'firebase') window.localStorage.setItem(WORKSPACE_ID_KEY, workspaceId);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    window.localStorage.setItem(MEMBER_NAME_KEY, memberName);
+  }, [memberName]);
+
+  // 保存先からのデータ取得 (カード、カスタム属性、ドラフト、デッキ、クイズ、チームの評価、セット)
+  useEffect(() => {
+    if (!storage) return;
+
+    const unsubscribeCards = storage.subscribe('cards', (fetchedCards) => {
+      setCards(fetchedCards);
+    }, (error) => {
+      console.error("Error fetching cards:", error);
+    });
+
+    const unsubscribeCustomAttrs = storage.subscribe('customAttributes', (fetchedAttrs) => {
+      setCustomAttributes(fetchedAttrs);
+    }, (error) => {
+      console.error("Error fetching custom attributes:", error);
+    });
+
+    const unsubscribeDrafts = storage.subscribe('drafts', (fetchedDrafts) => {
+      setDrafts(fetchedDrafts);
+    }, (error) => {
+      console.error("Error fetching drafts:", error);
+    });
+
+    const unsubscribeDecks = storage.subscribe('decks', (fetchedDecks) => {
+      setDecks(fetchedDecks);
+    }, (error) => {
+      console.error("Error fetching decks:", error);
+    });
+
+    const unsubscribeQuizzes = storage.subscribe('quizzes', (fetchedQuizzes) => {
+      setQuizzes(fetchedQuizzes);
+    }, (error) => {
+      console.error("Error fetching quizzes:", error);
+    });
+
+    const unsubscribeVotes = storage.subscribe('votes', (fetchedVotes) => {
+      setVotes(fetchedVotes);
+    }, (error) => {
+      console.error("Error fetching votes:", error);
+    });
+
+    const unsubscribeSets = storage.subscribe('sets', (fetchedSets) => {
+      setSets(fetchedSets);
+      if (fetchedSets.length > 0 && (!currentSetId || !fetchedSets.some(s => s.id === currentSetId))) {
+        setCurrentSetId(fetchedSets[0].id);
+      } else if (fetchedSets.length === 0) {
+        setCurrentSetId(null);
+      }
+    }, (error) => {
+      console.error("Error fetching sets:", error);
+    });
+
+    return () => {
+      unsubscribeCards();
+      unsubscribeCustomAttrs();
+      unsubscribeDrafts();
+      unsubscribeDecks();
+      unsubscribeQuizzes();
+      unsubscribeVotes();
+      unsubscribeSets();
+    };
+  }, [storage, currentSetId]);
+
+  // カードアップロード処理
+  const handleUploadCards = async (files, colors, setId, isDoubleFaced, backFaceFile) => {
+    if (!userId || !storage) {
+      console.error("保存先が利用できません。");
+      return;
+    }
+    if (!setId) {
+      console.error("カードをアップロードするセットを選択してください。");
+      setIsUploadModalOpen(true);
+      return;
+    }
+    if (isDoubleFaced && files.length !== 1) {
+      console.error("裏表のあるカードをアップロードする場合、表面の画像は1枚のみ選択してください。");
+      return;
+    }
+    if (isDoubleFaced && !backFaceFile) {
+      console.error("裏表のあるカードの場合、裏面画像も選択してください。");
+      return;
+    }
+    if (colors.length === 0) {
+      console.error("カードの色を1つ以上選択してください。");
+      return;
+    }
+
+    setLoading(true);
+    const createdCardIds = await uploadCards(storage, {
+      files, colors, setId, isDoubleFaced, backFaceFile,
+      imagePathPrefix,
+      processImage: createCardImageVersions,
+    });
+    const ambiguousCount = scryfallData.cards.length > 0 ? await autoFillFromScryfall(createdCardIds) : 0;
+    setLoading(false);
+    setIsUploadModalOpen(false);
+    console.log("カードをアップロードしました！");
+    if (ambiguousCount > 0 && setId === currentSetId) {
+      setIsScryfallModalOpen(true);
+    } else if (ambiguousCount > 0) {
+      console.warn(`Scryfallの候補が複数あるカードが${ambiguousCount}枚あります。セットを切り替えて「Scryfallから自動入力」で選んでください。`);
+    }
+  };
+
+  // 読み込み済みの Scryfall データで、アップロードしたカードの未入力の項目を埋める (アップロード時に選んだ色はそのまま)。
+  // 候補が1つに決まらなかったカードの枚数を返す
+  const autoFillFromScryfall = async (cardIds) => {
+    const scryfallIndex = buildScryfallIndex(filterScryfallCardsBySet(scryfallData.cards, scryfallData.setCode));
+    let ambiguousCount = 0;
+    for (const cardId of cardIds) {
+      try {
+        const card = await storage.get('cards', cardId);
+        const { matchedBy, candidates } = findScryfallCandidates(card, scryfallIndex);
+        if (candidates.length > 1) ambiguousCount++;
+        if (candidates.length !== 1) continue;
+        const fields = buildScryfallUpdateFields(card, candidates[0], matchedBy, { overwriteFilled: false });
+        if (Object.keys(fields).length > 0) await updateCard(storage, cardId, fields);
+      } catch (error) {
+        console.error("Error auto-filling card from Scryfall:", cardId, error);
+      }
+    }
+    return ambiguousCount;
+  };
+
+  // カード情報更新処理 (評価・ボムレア・コメントの変更は変更履歴に残す)
+  const handleUpdateCard = async (cardId, updatedFields) => {
+    if (!storage) return;
+    try {
+      await updateCard(storage, cardId, withCardHistory(cards.find(card => card.id === cardId), updatedFields));
+    } catch (error) {
+      console.error("Error updating card:", error);
+    }
+  };
+
+  // カード削除処理
+  const handleDeleteCard = async (cardId, imageUrl, backFaceImageUrl) => {
+    if (!storage) return;
+    const userConfirmed = window.confirm('本当にこのカードを削除しますか？');
+    if (!userConfirmed) return;
+
+    setLoading(true);
+    try {
+      await deleteCard(storage, cardId, imageUrl, backFaceImageUrl);
+    } catch (error) {
+      console.error("Error deleting card:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ボムレア切り替え
+  const handleToggleBomb = (cardId) => {
+    const cardToUpdate = cards.find(card => card.id === cardId);
+    if (cardToUpdate) {
+      handleUpdateCard(cardId, { isBomb: !cardToUpdate.isBomb });
+    }
+  };
+
+  // 評価変更 (評価プロファイルを選んでいる場合はそのプロファイルの評価を変更する)
+  const handleRatingChange = (cardId, newRating) => {
+    if (!activeRatingProfile) {
+      handleUpdateCard(cardId, { rating: normalizeRating(newRating) });
+      return;
+    }
+    const cardToUpdate = cards.find(card => card.id === cardId);
+    if (!cardToUpdate) return;
+    const { [activeRatingProfileId]: _removed, ...otherRatings } = cardToUpdate.profileRatings || {};
+    handleUpdateCard(cardId, {
+      profileRatings: Number.isNaN(newRating) ? otherRatings : { ...otherRatings, [activeRatingProfileId]: normalizeRating(newRating) },
+    });
+  };
+
+  // ワークスペースでの自分の評価 (空欄なら取り消す)
+  const handleVoteChange = async (cardId, value) => {
+    const cardToVote = cards.find(card => card.id === cardId);
+    if (!storage || !cardToVote) return;
+    const parsedRating = parseFloat(value);
+    try {
+      await saveVote(storage, {
+        setId: cardToVote.setId,
+        cardId,
+        memberId: userId,
+        memberName: memberName.trim() || `メンバー ${userId.slice(0, 4)}`,
+        rating: Number.isNaN(parsedRating) ? null : parsedRating,
+      });
+    } catch (error) {
+      console.error("Error saving vote:", error);
+    }
+  };
+
+  // 表示中の評価 (基本の評価またはプロファイル) を複製して新しい評価プロファイルを作る
+  const handleForkRatingProfile = async () => {
+    if (!storage || !currentSetId || !newRatingProfileName.trim()) return;
+    setLoading(true);
+    try {
+      const profileId = await forkRatingProfile(storage, currentSetId, activeRatingProfileId || null, newRatingProfileName.trim());
+      setRatingProfileId(profileId);
+      setNewRatingProfileName('');
+    } catch (error) {
+      console.error("Error forking rating profile:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteRatingProfile = async () => {
+    if (!storage || !activeRatingProfile) return;
+    if (!window.confirm(`評価プロファイル「${activeRatingProfile.name}」を削除しますか？このプロファイルの評価も削除されます。`)) return;
+    setLoading(true);
+    try {
+      await deleteRatingProfile(storage, currentSetId, activeRatingProfileId);
+      setRatingProfileId('');
+    } catch (error) {
+      console.error("Error deleting rating profile:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // アーキタイプごとの評価の変更 (空欄なら上書きを外す)
+  const handleArchetypeRatingChange = (cardId, archetypeId, value) => {
+    const cardToUpdate = cards.find(card => card.id === cardId);
+    if (!cardToUpdate) return;
+    const { [archetypeId]: _removed, ...otherRatings } = cardToUpdate.archetypeRatings || {};
+    const parsedRating = parseFloat(value);
+    handleUpdateCard(cardId, {
+      archetypeRatings: Number.isNaN(parsedRating) ? otherRatings : { ...otherRatings, [archetypeId]: normalizeRating(parsedRating) },
+    });
+  };
+
+  // マナコスト変更
+  const handleManaCostChange = (cardId, newManaCost) => {
+    const parsedCost = parseInt(newManaCost);
+    const validatedCost = isNaN(parsedCost) || parsedCost < 0 ? null : parsedCost;
+    handleUpdateCard(cardId, { manaCost: validatedCost });
+  };
+
+  // 複数カードの一括更新 (評価CSVのインポートなど)
+  const handleBulkUpdateCards = async (updates) => {
+    if (!storage) return;
+    setLoading(true);
+    try {
+      await Promise.all(updates.map(({ cardId, fields }) => handleUpdateCard(cardId, fields)));
+      console.log(`${updates.length}枚のカードを更新しました！`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 現在のセットのドラフト (新しい順) と選択中のドラフト
+  const currentSetDrafts = drafts
+    .filter(draft => draft.setId === currentSetId)
+    .sort((a, b) => (toArchiveDate(b.createdAt) || '').localeCompare(toArchiveDate(a.createdAt) || ''));
+  const currentDraft = currentSetDrafts.find(draft => draft.id === currentDraftId && draft.format !== 'sealed') || null;
+  const currentSealedPool = currentSetDrafts.find(draft => draft.id === currentDraftId && draft.format === 'sealed') || null;
+
+  // ドラフトを開始する (ピックとパックは drafts に保存し、あとから振り返れるようにする)
+  const handleStartDraft = async (format = 'draft', pack = []) => {
+    if (!storage || !currentSetId) return;
+    const set = sets.find(s => s.id === currentSetId);
+    try {
+      const draftId = await storage.add('drafts', {
+        name: `${set ? set.name : ''} ${format === 'sealed' ? 'シールド ' : ''}${new Date().toLocaleString()}`.trim(),
+        setId: currentSetId,
+        format,
+        pack,
+        picks: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      setCurrentDraftId(draftId);
+    } catch (error) {
+      console.error("Error starting draft:", error);
+    }
+  };
+
+  // ドラフトやデッキの更新を1件ずつ順番に行う。update に関数を渡すと、保存されている最新のドキュメントから
+  // 変更するフィールドを求める (購読の反映を待たずに続けて操作しても、前の変更が失われないようにするため)。
+  // 関数が null を返した場合は更新しない
+  const docUpdateQueueRef = useRef(Promise.resolve());
+  const updateLatestDoc = (collectionName, id, update) => {
+    const task = docUpdateQueueRef.current.then(async () => {
+      let fields = update;
+      if (typeof update === 'function') {
+        const latestDoc = await storage.get(collectionName, id);
+        fields = latestDoc ? update(latestDoc) : null;
+      }
+      if (fields) await storage.update(collectionName, id, { ...fields, updatedAt: new Date() });
+    });
+    docUpdateQueueRef.current = task.catch(() => {});
+    return task;
+  };
+
+  const updateCurrentDraft = async (update) => {
+    const draft = currentDraft || currentSealedPool;
+    if (!storage || !draft) return;
+    try {
+      await updateLatestDoc('drafts', draft.id, update);
+    } catch (error) {
+      console.error("Error updating draft:", error);
+    }
+  };
+
+  // 選んだカードをピック済みに移し、次のパックのためにパックを空にする。
+  // ボットとのドラフトでは、ボットもピックして回ってきたパックを次のパックにする
+  const handleDraftPick = (cardId) => {
+    const setCards = cards.filter(card => card.setId === currentDraft.setId);
+    updateCurrentDraft(draft => {
+      // 続けてクリックした場合など、すでにパックにないカードはピックしない
+      if (!(draft.pack || []).includes(cardId)) return null;
+      const picks = [...(draft.picks || []), cardId];
+      if (!draft.botDraft) return { picks, pack: [] };
+      const botDraft = advanceBotDraft(draft.botDraft, cardId, setCards);
+      return { picks, pack: botDraft.finished ? [] : botDraft.packs[0].cardIds, botDraft };
+    });
+  };
+
+  // 現在のセットのパックの構成 (セットに保存されていなければ既定の構成)
+  const currentPackTemplate = normalizePackTemplate(sets.find(s => s.id === currentSetId)?.packTemplate);
+
+  // 現在のセットの Tier の区切り (minRating の高い順)
+  const currentTierScale = getSetTierScale(sets.find(s => s.id === currentSetId));
+
+  const handleSaveTierScale = async (setId, tiers) => {
+    if (!storage) return;
+    try {
+      await storage.update('sets', setId, { tierScale: { tiers } });
+    } catch (error) {
+      console.error("Error saving tier scale:", error);
+    }
+  };
+
+  const handleSaveArchetypes = async (setId, archetypes) => {
+    if (!storage) return;
+    try {
+      await storage.update('sets', setId, { archetypes });
+    } catch (error) {
+      console.error("Error saving archetypes:", error);
+    }
+  };
+
+  const handleSavePackTemplate = async (packTemplate) => {
+    if (!storage || !currentSetId) return;
+    try {
+      await storage.update('sets', currentSetId, { packTemplate: normalizePackTemplate(packTemplate) });
+    } catch (error) {
+      console.error("Error saving pack template:", error);
+    }
+  };
+
+  // シミュレーターで作ったパックを練習ドラフトに入れる (ドラフトを選択していないかボットとのドラフトなら新しく始める)
+  const handlePracticeDraft = async (pack) => {
+    if (currentDraft && !currentDraft.botDraft) {
+      await updateCurrentDraft({ pack });
+    } else {
+      await handleStartDraft('draft', pack);
+    }
+    setDisplayMode('draft');
+  };
+
+  // ボットとのドラフトを開始する (シードを指定すると同じパックでやり直せる)
+  const handleStartBotDraft = async (seed = createRandomSeed()) => {
+    if (!storage || !currentSetId) return;
+    const set = sets.find(s => s.id === currentSetId);
+    const botDraft = startBotDraft(cards.filter(card => card.setId === currentSetId), currentPackTemplate, seed);
+    try {
+      const draftId = await storage.add('drafts', {
+        name: `${set ? set.name : ''} ボット ${new Date().toLocaleString()}`.trim(),
+        setId: currentSetId,
+        format: 'draft',
+        pack: botDraft.packs[0].cardIds,
+        picks: [],
+        botDraft,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      setCurrentDraftId(draftId);
+      setDisplayMode('draft');
+    } catch (error) {
+      console.error("Error starting bot draft:", error);
+    }
+  };
+
+  // 現在のセットのデッキ (新しい順) と選択中のデッキ
+  const currentSetDecks = decks
+    .filter(deck => deck.setId === currentSetId)
+    .sort((a, b) => (toArchiveDate(b.createdAt) || '').localeCompare(toArchiveDate(a.createdAt) || ''));
+  const currentDeck = currentSetDecks.find(deck => deck.id === currentDeckId) || null;
+
+  // デッキを作成する。ドラフトを指定した場合はそのピックをサイドボードに入れる
+  const handleCreateDeck = async (draftId) => {
+    if (!storage || !currentSetId) return;
+    const draft = drafts.find(d => d.id === draftId);
+    const set = sets.find(s => s.id === currentSetId);
+    try {
+      const deckId = await storage.add('decks', {
+        name: draft ? `${draft.name} のデッキ` : `${set ? set.name : ''} デッキ ${new Date().toLocaleString()}`.trim(),
+        setId: currentSetId,
+        draftId: draft ? draft.id : null,
+        mainDeck: [],
+        sideboard: draft ? [...(draft.picks || [])] : [],
+        basicLands: {},
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      setCurrentDeckId(deckId);
+    } catch (error) {
+      console.error("Error creating deck:", error);
+    }
+  };
+
+  const handleUpdateDeck = async (update) => {
+    if (!storage || !currentDeck) return;
+    try {
+      await updateLatestDoc('decks', currentDeck.id, update);
+    } catch (error) {
+      console.error("Error updating deck:", error);
+    }
+  };
+
+  // シールドのビルドからデッキを作成する (評価の高い23枚をメインデッキ、残りをサイドボードに入れ、基本土地は提案どおり)
+  const handleBuildSealedDeck = async (pool, build) => {
+    if (!storage) return;
+    const { mainCards, restCards } = splitSealedBuild(build.buildCards);
+    const usedCounts = new Map();
+    [...mainCards, ...restCards].forEach(card => usedCounts.set(card.id, (usedCounts.get(card.id) || 0) + 1));
+    // ビルドの色に入らないカードもサイドボードに残す
+    const otherCardIds = (pool.picks || []).filter(cardId => {
+      if (!usedCounts.get(cardId)) return true;
+      usedCounts.set(cardId, usedCounts.get(cardId) - 1);
+      return false;
+    });
+    const colorLabel = `${build.colors.join('')}${build.splashColor ? `+${build.splashColor}` : ''}`;
+    try {
+      const deckId = await storage.add('decks', {
+        name: `${pool.name} ${colorLabel}`,
+        setId: pool.setId,
+        draftId: pool.id,
+        mainDeck: mainCards.map(card => card.id),
+        sideboard: [...restCards.map(card => card.id), ...otherCardIds],
+        basicLands: suggestBasicLands(countManaPips(mainCards), DECK_SIZE - mainCards.length),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      setCurrentDeckId(deckId);
+      setDisplayMode('deck');
+    } catch (error) {
+      console.error("Error creating deck from sealed pool:", error);
+    }
+  };
+
+  const handleDeleteDeck = async (deckId) => {
+    if (!storage) return;
+    if (!window.confirm('このデッキを削除しますか？')) return;
+    try {
+      await storage.remove('decks', deckId);
+      setCurrentDeckId(null);
+    } catch (error) {
+      console.error("Error deleting deck:", error);
+    }
+  };
+
+  // デッキリストをテキストファイルでダウンロードする
+  const handleExportDeck = (deck) => {
+    const toCards = (cardIds) => (cardIds || []).map(cardId => cards.find(card => card.id === cardId)).filter(Boolean);
+    const deckList = buildDeckList(toCards(deck.mainDeck), toCards(deck.sideboard), deck.basicLands);
+    downloadBlob(new Blob([deckList], { type: 'text/plain' }), `${toSafeFileName(deck.name)}.txt`);
+  };
+
+  // 現在のセットのクイズと回答中のセッション
+  const currentSetQuizzes = quizzes.filter(quiz => quiz.setId === currentSetId);
+  const currentQuiz = currentSetQuizzes.find(quiz => quiz.id === currentQuizId) || null;
+
+  // クイズの回答を保存する (セッションがなければ新しく作る)
+  const handleQuizAnswer = async (answer) => {
+    if (!storage || !currentSetId) return;
+    try {
+      if (currentQuiz) {
+        await storage.update('quizzes', currentQuiz.id, { answers: [...(currentQuiz.answers || []), answer], updatedAt: new Date() });
+      } else {
+        const quizId = await storage.add('quizzes', {
+          setId: currentSetId,
+          answers: [answer],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+        setCurrentQuizId(quizId);
       }
-      await deleteDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/customAttributes`, attrId));
+    } catch (error) {
+      console.error("Error saving quiz answer:", error);
+    }
+  };
+
+  const handleDeleteDraft = async (draftId) => {
+    if (!storage) return;
+    if (!window.confirm('このドラフトを削除しますか？ピックの記録も削除されます。')) return;
+    try {
+      await storage.remove('drafts', draftId);
+      setCurrentDraftId(null);
+    } catch (error) {
+      console.error("Error deleting draft:", error);
+    }
+  };
+
+  // カスタム属性の追加
+  const handleAddCustomAttribute = async (name) => {
+    if (!storage || !name.trim()) return;
+    try {
+      await storage.add('customAttributes', { name: name.trim() });
+    } catch (error) {
+      console.error("Error adding custom attribute:", error);
+    }
+  };
+
+  // カスタム属性の削除
+  const handleDeleteCustomAttribute = async (attrId) => {
+    if (!storage) return;
+    const userConfirmed = window.confirm('このカスタム属性を削除しますか？この属性が割り当てられているカードからも削除されます。');
+    if (!userConfirmed) return;
+    try {
+      await deleteCustomAttribute(storage, attrId);
     } catch (error) {
       console.error("Error deleting custom attribute:", error);
     }
@@ -525,7 +3365,7 @@ function App() {
 
   // カードのカスタム属性をトグルする
   const handleToggleCustomAttribute = async (cardId, attributeId) => {
-    if (!userId || !firestoreDb) return;
+    if (!storage) return;
     const cardToUpdate = cards.find(card => card.id === cardId);
     if (!cardToUpdate) return;
 
@@ -535,84 +3375,329 @@ function App() {
       : [...currentAttributes, attributeId];
 
     try {
-      await updateDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardId), {
-        customAttributeIds: newAttributes,
-        updatedAt: new Date(),
-      });
+      await storage.update('cards', cardId, {
+        customAttributeIds: newAttributes,
+        updatedAt: new Date(),
+      });
+    } catch (error) {
+      console.error("Error toggling custom attribute:", error);
+    }
+  };
+
+  // セットの追加
+  const handleAddSet = async (name) => {
+    if (!storage || !name.trim()) return;
+    try {
+      const newSetId = await storage.add('sets', { name: name.trim(), createdAt: new Date() });
+      setCurrentSetId(newSetId);
+    } catch (error) {
+      console.error("Error adding set:", error);
+    }
+  };
+
+  // セットの削除
+  const handleDeleteSet = async (setId) => {
+    if (!storage) return;
+    const userConfirmed = window.confirm('このセットを削除しますか？このセットに紐づくカードもすべて削除されます。');
+    if (!userConfirmed) return;
+
+    setLoading(true);
+    try {
+      await deleteSet(storage, setId);
+
+      if (currentSetId === setId) {
+        setCurrentSetId(sets.length > 1 ? sets.find(s => s.id !== setId)?.id : null);
+      }
+
+    } catch (error) {
+      console.error("Error deleting set:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // セットのエクスポート (セット情報・カード・参照しているカスタム属性を1つのアーカイブにまとめる)
+  const handleExportSet = async (setId, includeImages) => {
+    const set = sets.find(s => s.id === setId);
+    if (!set) return;
+    if (includeImages && !storage) {
+      console.error("保存先が利用できないため、画像を含めてエクスポートできません。");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const cardsInSet = cards.filter(card => card.setId === setId);
+      const referencedAttributeIds = new Set(cardsInSet.flatMap(card => card.customAttributeIds || []));
+      const zip = includeImages ? new JSZip() : null;
+
+      const archivedCards = [];
+      for (const card of cardsInSet) {
+        const { id, setId: _setId, createdAt, updatedAt, ...cardData } = card;
+        const archivedCard = {
+          ...cardData,
+          id,
+          createdAt: toArchiveDate(createdAt),
+          updatedAt: toArchiveDate(updatedAt),
+        };
+        if (zip) {
+          const faces = [['imageUrl', 'imageFile', 'front'], ['backFaceImageUrl', 'backFaceImageFile', 'back']];
+          for (const [urlField, fileField, suffix] of faces) {
+            if (!card[urlField]) continue;
+            try {
+              const blob = await storage.getImageBlob(card[urlField]);
+              const fileName = `${SET_ARCHIVE_IMAGE_DIR}/${id}_${suffix}.${getImageExtension(blob.type)}`;
+              zip.file(fileName, blob);
+              archivedCard[fileField] = fileName;
+            } catch (imageError) {
+              console.warn(`Warning: Could not download ${suffix} image for card ${id}:`, imageError);
+            }
+          }
+        }
+        archivedCards.push(archivedCard);
+      }
+
+      const archive = {
+        format: SET_ARCHIVE_FORMAT,
+        version: SET_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        set: {
+          id: set.id,
+          name: set.name,
+          createdAt: toArchiveDate(set.createdAt),
+          ...(set.packTemplate ? { packTemplate: set.packTemplate } : {}),
+          ...(set.archetypes ? { archetypes: set.archetypes } : {}),
+          ...(set.tierScale ? { tierScale: set.tierScale } : {}),
+          ...(set.ratingProfiles ? { ratingProfiles: set.ratingProfiles } : {}),
+        },
+        customAttributes: customAttributes
+          .filter(attr => referencedAttributeIds.has(attr.id))
+          .map(attr => ({ id: attr.id, name: attr.name })),
+        cards: archivedCards,
+      };
+
+      const baseFileName = `${toSafeFileName(set.name)}_${archive.exportedAt.slice(0, 10)}`;
+      const json = JSON.stringify(archive, null, 2);
+      if (zip) {
+        zip.file(SET_ARCHIVE_JSON_NAME, json);
+        downloadBlob(await zip.generateAsync({ type: 'blob' }), `${baseFileName}.zip`);
+      } else {
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${baseFileName}.json`);
+      }
+    } catch (error) {
+      console.error("Error exporting set:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 現在のセットのカード画像をオフライン用にまとめてキャッシュする
+  const handlePrecacheSetImages = async () => {
+    if (!currentSetId || precacheProgress) return;
+    const imageUrls = cards
+      .filter(card => card.setId === currentSetId)
+      .flatMap(card => [card.imageUrl, card.backFaceImageUrl, card.thumbnailUrl, card.backFaceThumbnailUrl]);
+
+    setPrecacheProgress({ done: 0, total: 0 });
+    try {
+      const result = await precacheCardImages(imageUrls, (done, total) => setPrecacheProgress({ done, total }));
+      console.log(`オフライン用に画像を保存しました: 新規${result.cached}枚, 保存済み${result.skipped}枚, 失敗${result.failed}枚`);
+    } catch (error) {
+      console.error("Error pre-caching card images:", error);
+    } finally {
+      setPrecacheProgress(null);
+    }
+  };
+
+  // 保存先の切り替え (起動時に決まるため、保存して再読み込みする)
+  const handleChangeStorageMode = (mode) => {
+    if (mode === STORAGE_MODE) return;
+    window.localStorage.setItem(STORAGE_MODE_KEY, mode);
+    window.location.reload();
+  };
+
+  // チームのワークスペースを作って切り替える
+  const handleCreateWorkspace = async (name) => {
+    if (!firestoreDb || !userId) return;
+    try {
+      setWorkspaceId(await createWorkspace(firestoreDb, APP_ID, userId, name));
+    } catch (error) {
+      console.error("Error creating workspace:", error);
+    }
+  };
+
+  // ワークスペースIDで参加して切り替える
+  const handleJoinWorkspace = async (id) => {
+    if (!firestoreDb || !userId) return;
+    if (workspaces.some(workspace => workspace.id === id)) {
+      setWorkspaceId(id);
+      return;
+    }
+    try {
+      const joinedWorkspace = await joinWorkspace(firestoreDb, APP_ID, userId, id);
+      console.log(`ワークスペース「${joinedWorkspace.name}」に参加しました。`);
+      setWorkspaceId(id);
+    } catch (error) {
+      console.error("Error joining workspace:", error);
+    }
+  };
+
+  const handleLeaveWorkspace = async (workspace) => {
+    if (!firestoreDb || !userId) return;
+    const userConfirmed = window.confirm(`ワークスペース「${workspace.name}」から退出しますか？共有されたカードと評価は他のメンバーに残ります。`);
+    if (!userConfirmed) return;
+    try {
+      if (workspace.id === workspaceId) setWorkspaceId('');
+      await leaveWorkspace(firestoreDb, APP_ID, userId, workspace.id);
     } catch (error) {
-      console.error("Error toggling custom attribute:", error);
+      console.error("Error leaving workspace:", error);
     }
   };
 
-  // セットの追加
-  const handleAddSet = async (name) => {
-    if (!userId || !name.trim() || !firestoreDb) return;
+  // ローカル (IndexedDB) に保存したデータを Firestore へ一括で移行する
+  const handleMigrateLocalData = async () => {
+    if (!storage || storage.kind !== 'firebase') return;
+    const localBackend = createIndexedDbBackend();
+    setLocalMigrationResult(null);
     try {
-      const newSetRef = await addDoc(collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/sets`), { name: name.trim(), createdAt: new Date() });
-      setCurrentSetId(newSetRef.id);
+      const [localSets, localCards] = await Promise.all([localBackend.list('sets'), localBackend.list('cards')]);
+      if (localSets.length === 0 && localCards.length === 0) {
+        setLocalMigrationResult({ isEmpty: true });
+        return;
+      }
+      const migratedIdsKey = `${LOCAL_MIGRATED_IDS_KEY}:${workspaceId || userId}`;
+      const migratedIds = JSON.parse(window.localStorage.getItem(migratedIdsKey) || '{}');
+      const userConfirmed = window.confirm(Object.keys(migratedIds).length > 0
+        ? `ローカルに保存されたセット${localSets.length}件・カード${localCards.length}枚のうち、まだ移行していないデータをFirestoreへ移行しますか？ (前回移行したデータは複製しません)`
+        : `ローカルに保存されたセット${localSets.length}件・カード${localCards.length}枚をFirestoreへ移行しますか？`);
+      if (!userConfirmed) return;
+
+      setLoading(true);
+      const result = await migrateStorageData(localBackend, storage, { imagePathPrefix, migratedIds });
+      window.localStorage.setItem(migratedIdsKey, JSON.stringify(result.migratedIds));
+      window.localStorage.setItem(LOCAL_MIGRATED_AT_KEY, new Date().toISOString());
+      setLocalMigrationResult(result);
+      if (result.failedCards.length > 0) {
+        console.error("移行できなかったカード:", result.failedCards);
+      } else if (window.confirm('移行が完了しました。このブラウザに残っているローカルのデータを削除しますか？')) {
+        await localBackend.clear();
+        window.localStorage.removeItem(migratedIdsKey);
+      }
     } catch (error) {
-      console.error("Error adding set:", error);
+      console.error("Error migrating local data:", error);
+    } finally {
+      setLoading(false);
     }
   };
 
-  // セットの削除
-  const handleDeleteSet = async (setId) => {
-    if (!userId || !firestoreDb) return;
-    const userConfirmed = window.confirm('このセットを削除しますか？このセットに紐づくカードもすべて削除されます。');
+  // ファイル名のパスに保存された古いカード画像を、内容のハッシュのパスへ移し替える
+  const handleMigrateImagePaths = async () => {
+    if (!storage || !userId) return;
+    const targetCount = getCardsNeedingImageMigration(storage, cards).length;
+    if (targetCount === 0) return;
+    const userConfirmed = window.confirm(`${targetCount}枚のカードの画像を新しい保存形式に移行しますか？`);
     if (!userConfirmed) return;
 
     setLoading(true);
     try {
-      const cardsInSetQuery = query(collection(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`), where("setId", "==", setId));
-      const querySnapshot = await getDocs(cardsInSetQuery);
-      const deleteCardPromises = querySnapshot.docs.map(async (cardDoc) => {
-        const cardData = cardDoc.data();
-        if (cardData.imageUrl && firebaseStorage) {
-          try {
-            const url = new URL(cardData.imageUrl);
-            const path = decodeURIComponent(url.pathname);
-            const storageBucketPath = url.hostname.split('.')[0];
-            const fullPath = path.startsWith('/o/') ? path.substring(3) : path;
-            const imagePath = fullPath.startsWith(`${storageBucketPath}/`) ? fullPath.substring(storageBucketPath.length + 1) : fullPath;
-            const storageRef = ref(firebaseStorage, imagePath);
-            await deleteObject(storageRef);
-          } catch (storageError) {
-            console.warn(`Warning: Could not delete front image for card ${cardDoc.id} from Storage:`, storageError);
-          }
+      const result = await migrateCardImagePaths(storage, imagePathPrefix, { processImage: createCardImageVersions });
+      console.log(`画像の保存形式を移行しました: ${result.migrated}枚`);
+      if (result.failed.length > 0) {
+        console.error("移行できなかったカード:", result.failed);
+      }
+    } catch (error) {
+      console.error("Error migrating card image paths:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // セットのインポート (JSON または画像入り zip)。カスタム属性は名前で照合し、IDを振り直す
+  const handleImportSet = async (file) => {
+    if (!storage || !file) return;
+
+    setLoading(true);
+    try {
+      let zip = null;
+      let archive;
+      if (file.name.toLowerCase().endsWith('.zip')) {
+        zip = await JSZip.loadAsync(file);
+        const jsonEntry = zip.file(SET_ARCHIVE_JSON_NAME);
+        if (!jsonEntry) {
+          throw new Error(`zip内に ${SET_ARCHIVE_JSON_NAME} が見つかりません。`);
         }
-        if (cardData.backFaceImageUrl && firebaseStorage) {
-          try {
-            const url = new URL(cardData.backFaceImageUrl);
-            const path = decodeURIComponent(url.pathname);
-            const storageBucketPath = url.hostname.split('.')[0];
-            const fullPath = path.startsWith('/o/') ? path.substring(3) : path;
-            const imagePath = fullPath.startsWith(`${storageBucketPath}/`) ? fullPath.substring(storageBucketPath.length + 1) : fullPath;
-            const storageRef = ref(firebaseStorage, imagePath);
-            await deleteObject(storageRef);
-          } catch (storageError) {
-            console.warn(`Warning: Could not delete back image for card ${cardDoc.id} from Storage:`, storageError);
-          }
+        archive = JSON.parse(await jsonEntry.async('string'));
+      } else {
+        archive = JSON.parse(await file.text());
+      }
+      if (archive.format !== SET_ARCHIVE_FORMAT || !archive.set || !Array.isArray(archive.cards)) {
+        throw new Error("セットのバックアップファイルではありません。");
+      }
+      if (archive.version > SET_ARCHIVE_VERSION) {
+        throw new Error(`未対応のバックアップ形式のバージョンです: ${archive.version}`);
+      }
+      // カスタム属性: 同名の既存属性があればそれを使い、なければ新規作成する
+      const attributeIdMap = {};
+      for (const attr of archive.customAttributes || []) {
+        const existingAttr = customAttributes.find(ca => ca.name === attr.name);
+        if (existingAttr) {
+          attributeIdMap[attr.id] = existingAttr.id;
+        } else {
+          attributeIdMap[attr.id] = await storage.add('customAttributes', { name: attr.name });
         }
-        return deleteDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardDoc.id));
+      }
+
+      const setName = sets.some(s => s.name === archive.set.name) ? `${archive.set.name} (インポート)` : archive.set.name;
+      const newSetId = await storage.add('sets', {
+        name: setName,
+        createdAt: fromArchiveDate(archive.set.createdAt),
+        ...(archive.set.packTemplate ? { packTemplate: normalizePackTemplate(archive.set.packTemplate) } : {}),
+        ...(Array.isArray(archive.set.archetypes) ? { archetypes: archive.set.archetypes } : {}),
+        ...(archive.set.tierScale && Array.isArray(archive.set.tierScale.tiers) ? { tierScale: archive.set.tierScale } : {}),
+        ...(Array.isArray(archive.set.ratingProfiles) ? { ratingProfiles: archive.set.ratingProfiles } : {}),
       });
-      await Promise.all(deleteCardPromises);
 
-      await deleteDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/sets`, setId));
+      for (const archivedCard of archive.cards) {
+        const { id, imageFile, backFaceImageFile, createdAt, ...cardData } = archivedCard;
+        // アーカイブ内の画像をアップロードしたフィールド (画像がなければ元のURLのまま)
+        const uploadArchivedImage = async (field, fileName) => {
+          const entry = zip && fileName ? zip.file(fileName) : null;
+          if (!entry) return {};
+          const blob = await entry.async('blob');
+          return toCardImageFields(field, await uploadCardImage(storage, imagePathPrefix, blob, fileName, createCardImageVersions));
+        };
 
-      if (currentSetId === setId) {
-        setCurrentSetId(sets.length > 1 ? sets.find(s => s.id !== setId)?.id : null);
+        try {
+          await storage.add('cards', {
+            ...cardData,
+            customAttributeIds: (cardData.customAttributeIds || []).map(attrId => attributeIdMap[attrId]).filter(Boolean),
+            imageUrl: cardData.imageUrl || null,
+            backFaceImageUrl: cardData.backFaceImageUrl || null,
+            ...await uploadArchivedImage('imageUrl', imageFile),
+            ...await uploadArchivedImage('backFaceImageUrl', backFaceImageFile),
+            setId: newSetId,
+            createdAt: fromArchiveDate(createdAt),
+            updatedAt: new Date(),
+          });
+        } catch (cardError) {
+          console.error("Error importing card:", archivedCard.name, cardError);
+        }
       }
 
+      setCurrentSetId(newSetId);
+      console.log(`セット「${setName}」をインポートしました！ (${archive.cards.length}枚)`);
     } catch (error) {
-      console.error("Error deleting set:", error);
+      console.error("Error importing set:", error);
     } finally {
       setLoading(false);
     }
   };
 
-
   // フィルタリングされたカードの取得
   const getFilteredCards = useCallback(() => {
+    const archetype = filters.archetypeId
+      ? getSetArchetypes(sets.find(s => s.id === currentSetId)).find(a => a.id === filters.archetypeId)
+      : null;
     return cards.filter(card => {
       if (currentSetId && card.setId !== currentSetId) return false;
 
@@ -635,6 +3720,7 @@ function App() {
       if (filters.rarities.length > 0 && !filters.rarities.includes(card.rarity)) return false;
       if (filters.types.length > 0 && !filters.types.includes(card.type)) return false;
       if (filters.isBomb && !card.isBomb) return false;
+      if (archetype && !fitsArchetype(card, archetype, filters.archetypeRolesOnly)) return false;
       if (filters.customAttributeIds.length > 0) {
         if (!card.customAttributeIds || !filters.customAttributeIds.every(id => card.customAttributeIds.includes(id))) {
           return false;
@@ -648,15 +3734,22 @@ function App() {
       }
       return true;
     });
-  }, [cards, filters, currentSetId]);
+  }, [cards, filters, currentSetId, sets]);
+
+  // 並べ替えと Tier に使う評価 (チームの評価なら平均、評価がなければ null)
+  const getDisplayedRating = useCallback((card) => (
+    isTeamRating
+      ? (teamRatings[card.id] ? teamRatings[card.id].average : null)
+      : getCardRating(card, ratingArchetypeId, activeRatingProfileId)
+  ), [isTeamRating, teamRatings, ratingArchetypeId, activeRatingProfileId]);
 
   // ソートされたカードの取得
   const getSortedCards = useCallback((filteredCards) => {
     const sorted = [...filteredCards].sort((a, b) => {
       const manaA = a.manaCost !== undefined && a.manaCost !== null ? a.manaCost : Infinity;
       const manaB = b.manaCost !== undefined && b.manaCost !== null ? b.manaCost : Infinity;
-      const ratingA = a.rating !== undefined && a.rating !== null ? a.rating : -1;
-      const ratingB = b.rating !== undefined && b.rating !== null ? b.rating : -1;
+      const ratingA = getDisplayedRating(a) ?? -1;
+      const ratingB = getDisplayedRating(b) ?? -1;
       const colorsLengthA = (a.color || []).length;
       const colorsLengthB = (b.color || []).length;
       const nameA = a.name || '';
@@ -668,6 +3761,17 @@ function App() {
         return colorsLengthA - colorsLengthB;
       };
 
+      // 17landsの指標で並べる場合、データのないカードは常に後ろへ
+      const compareStat = (key, direction) => {
+        const statA = getSeventeenLandsStat(a, key);
+        const statB = getSeventeenLandsStat(b, key);
+        if (statA === null && statB === null) return defaultSort();
+        if (statA === null) return 1;
+        if (statB === null) return -1;
+        if (statA !== statB) return direction === 'desc' ? statB - statA : statA - statB;
+        return defaultSort();
+      };
+
       switch (sortBy) {
         case 'rating-desc':
           if (ratingB !== ratingA) return ratingB - ratingA;
@@ -689,42 +3793,58 @@ function App() {
           const nameCompareDesc = nameB.localeCompare(nameA);
           if (nameCompareDesc !== 0) return nameCompareDesc;
           return defaultSort();
+        case 'gihWr-desc':
+          return compareStat('gihWr', 'desc');
+        case 'ohWr-desc':
+          return compareStat('ohWr', 'desc');
+        case 'alsa-asc':
+          return compareStat('alsa', 'asc');
+        case 'iwd-desc':
+          return compareStat('iwd', 'desc');
         case 'default':
         default:
           return defaultSort();
       }
     });
     return sorted;
-  }, [sortBy]);
+  }, [sortBy, getDisplayedRating]);
 
   const filteredAndSortedCards = getSortedCards(getFilteredCards());
 
-  // Tierリスト表示用のグループ化
+  // Tierリスト表示用のグループ化 (セットの Tier の区切りごとに、Tier 内は評価の高い順)。
+  // 評価のないカードは一番下の Tier に混ぜず、unratedCards にまとめる
   const getTieredCards = useCallback(() => {
-    const tiers = {
-      '5': [], '4': [], '3': [], '2': [], '1': [], '0': []
-    };
+    const tiers = currentTierScale.map(tier => ({ tier, cards: [] }));
+    const unratedCards = [];
     filteredAndSortedCards.forEach(card => {
-      const tierKey = Math.floor(card.rating || 0).toString();
-      if (tiers[tierKey]) {
-        tiers[tierKey].push(card);
+      const tier = getTierForRating(currentTierScale, getDisplayedRating(card));
+      if (tier) {
+        tiers[currentTierScale.indexOf(tier)].cards.push(card);
       } else {
-        tiers['0'].push(card);
+        unratedCards.push(card);
       }
     });
 
-    Object.keys(tiers).forEach(tierKey => {
-      tiers[tierKey].sort((a, b) => (a.rating || 0) - (b.rating || 0));
+    tiers.forEach(({ cards: tierCards }) => {
+      tierCards.sort((a, b) => getDisplayedRating(b) - getDisplayedRating(a));
     });
 
-    return tiers;
-  }, [filteredAndSortedCards]);
+    return { tiers, unratedCards };
+  }, [filteredAndSortedCards, getDisplayedRating, currentTierScale]);
 
-  const tieredCards = getTieredCards();
+  const { tiers: tieredCards, unratedCards: unratedTierCards } = getTieredCards();
+  const tierSections = [
+    ...tieredCards.map(({ tier, cards: tierCards }, index) => ({
+      key: `${index}-${tier.name}`, name: tier.name, color: tier.color, range: formatTierRange(currentTierScale, index), cards: tierCards,
+    })),
+    { key: 'unrated', name: '未評価', color: '#9ca3af', range: null, cards: unratedTierCards },
+  ];
 
   // カードアップロードモーダル
-  const CardUploadModal = ({ isOpen, onClose, onUpload, sets, currentSetId }) => {
+  const CardUploadModal = ({ isOpen, onClose, onUpload, sets, currentSetId, cards, scryfallFileName }) => {
     const [selectedFiles, setSelectedFiles] = useState([]);
+    const [duplicateImages, setDuplicateImages] = useState([]);
+    const [skipDuplicates, setSkipDuplicates] = useState(true);
     const [selectedColors, setSelectedColors] = useState([]);
     const [uploadSetId, setUploadSetId] = useState(currentSetId || '');
     const [isDoubleFaced, setIsDoubleFaced] = useState(false);
@@ -738,8 +3858,15 @@ function App() {
       }
     }, [currentSetId, uploadSetId]);
 
-    const handleFileChange = (e) => {
-      setSelectedFiles(Array.from(e.target.files));
+    const handleFileChange = async (e) => {
+      const files = Array.from(e.target.files);
+      setSelectedFiles(files);
+      setDuplicateImages([]);
+      try {
+        setDuplicateImages(await findDuplicateImages(files, cards));
+      } catch (error) {
+        console.warn("Warning: Could not check duplicate images:", error);
+      }
     };
 
     const handleBackFaceFileChange = (e) => {
@@ -774,8 +3901,16 @@ function App() {
         return;
       }
 
-      onUpload(selectedFiles, selectedColors, uploadSetId, isDoubleFaced, backFaceFile);
+      const duplicateFiles = new Set(skipDuplicates ? duplicateImages.map(duplicate => duplicate.file) : []);
+      const filesToUpload = selectedFiles.filter(file => !duplicateFiles.has(file));
+      if (filesToUpload.length === 0) {
+        console.error("選択したファイルはすべて登録済みの画像と重複しています。");
+        return;
+      }
+
+      onUpload(filesToUpload, selectedColors, uploadSetId, isDoubleFaced, backFaceFile);
       setSelectedFiles([]);
+      setDuplicateImages([]);
       setSelectedColors([]);
       setIsDoubleFaced(false);
       setBackFaceFile(null);
@@ -847,6 +3982,29 @@ function App() {
               選択中の表面ファイル: {selectedFiles.map(f => f.name).join(', ')}
             </div>
           )}
+          {duplicateImages.length > 0 && (
+            <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+              <p className="font-semibold mb-1">登録済みの画像と同じファイルがあります ({duplicateImages.length}件)</p>
+              <ul className="list-disc list-inside mb-2">
+                {duplicateImages.map(({ file, duplicateOf }) => (
+                  <li key={file.name}>
+                    {file.name} → {duplicateOf instanceof Blob
+                      ? `${duplicateOf.name} (同時に選択したファイル)`
+                      : `${duplicateOf.name} (${sets.find(set => set.id === duplicateOf.setId)?.name || 'セットなし'})`}
+                  </li>
+                ))}
+              </ul>
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => setSkipDuplicates(e.target.checked)}
+                  className="form-checkbox h-4 w-4 text-blue-600 rounded"
+                />
+                <span>重複する画像をスキップする</span>
+              </label>
+            </div>
+          )}
         </div>
         <div className="mb-4">
           <label className="flex items-center space-x-2 cursor-pointer">
@@ -884,6 +4042,12 @@ function App() {
             )}
           </div>
         )}
+        {scryfallFileName && (
+          <p className="mb-4 text-sm text-gray-600">
+            読み込み済みのScryfallデータ ({scryfallFileName}) で、マナコスト・カードタイプ・レアリティなどの未入力の項目を自動入力します。
+            候補が複数あるカードは、アップロード後に「Scryfallから自動入力」で選んでください。
+          </p>
+        )}
         <button
           onClick={handleSubmit}
           className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
@@ -913,6 +4077,9 @@ function App() {
           ? [...currentColor, value]
           : currentColor.filter(c => c !== value);
         setEditedCard(prev => ({ ...prev, color: newColors }));
+      } else if (name === 'backFaceImageUrl') {
+        // URLを直接入力した場合はアップロードした画像のパス・ハッシュを外す
+        setEditedCard(prev => ({ ...prev, ...toCardImageFields('backFaceImageUrl', { url: value, path: null, hash: null, thumbnail: null }) }));
       } else {
         setEditedCard(prev => ({
           ...prev,
@@ -921,16 +4088,34 @@ function App() {
       }
     };
 
+    // アーキタイプのシグナル・キーカードの指定 (role が空なら外す)
+    const handleArchetypeRoleChange = (archetypeId, role) => {
+      setEditedCard(prev => {
+        const { [archetypeId]: _removed, ...otherRoles } = prev.archetypeRoles || {};
+        return { ...prev, archetypeRoles: role ? { ...otherRoles, [archetypeId]: role } : otherRoles };
+      });
+    };
+
+    // アーキタイプごとの評価の上書き (空欄なら外す)
+    const handleArchetypeRatingChange = (archetypeId, value) => {
+      const parsedRating = parseFloat(value);
+      setEditedCard(prev => {
+        const { [archetypeId]: _removed, ...otherRatings } = prev.archetypeRatings || {};
+        return {
+          ...prev,
+          archetypeRatings: Number.isNaN(parsedRating) ? otherRatings : { ...otherRatings, [archetypeId]: normalizeRating(parsedRating) },
+        };
+      });
+    };
+
     const handleBackFaceFileChange = async (e) => {
       const file = e.target.files[0];
-      if (!file || !firebaseStorage || !userId) return;
+      if (!file || !storage || !userId) return;
 
       setLoading(true);
       try {
-        const storageRef = ref(firebaseStorage, `card_images/${userId}/back_${file.name}`);
-        await uploadBytes(storageRef, file);
-        const newBackFaceImageUrl = await getDownloadURL(storageRef);
-        setEditedCard(prev => ({ ...prev, backFaceImageUrl: newBackFaceImageUrl }));
+        const uploadedImage = await uploadCardImage(storage, imagePathPrefix, file, file.name, createCardImageVersions);
+        setEditedCard(prev => ({ ...prev, ...toCardImageFields('backFaceImageUrl', uploadedImage) }));
       } catch (error) {
         console.error("Error uploading back face image:", error);
       } finally {
@@ -1049,6 +4234,36 @@ function App() {
               ))}
             </select>
           </div>
+          <div className="md:col-span-2">
+            <label className="block text-gray-700 text-sm font-bold mb-2">アーキタイプ (役割と、そのアーキタイプでの評価):</label>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              {getSetArchetypes(sets.find(s => s.id === editedCard.setId)).map(archetype => (
+                <div key={archetype.id} className="text-sm text-gray-700" title={archetype.description}>
+                  <span className="block truncate">{getArchetypeLabel(archetype)}</span>
+                  <select
+                    value={(editedCard.archetypeRoles || {})[archetype.id] || ''}
+                    onChange={(e) => handleArchetypeRoleChange(archetype.id, e.target.value)}
+                    className="shadow border rounded w-full py-1 px-2 text-gray-700 mb-1"
+                    aria-label={`${archetype.id} での役割`}
+                  >
+                    <option value="">-</option>
+                    {Object.entries(ARCHETYPE_ROLES).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0.0"
+                    max="5.0"
+                    value={(editedCard.archetypeRatings || {})[archetype.id] ?? ''}
+                    onChange={(e) => handleArchetypeRatingChange(archetype.id, e.target.value)}
+                    className="shadow border rounded w-full py-1 px-2 text-gray-700"
+                    placeholder="評価 (全体と同じ)"
+                    aria-label={`${archetype.id} での評価`}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
           <div className="md:col-span-2">
             <label className="block text-gray-700 text-sm font-bold mb-2">コメント:</label>
             <textarea
@@ -1059,6 +4274,30 @@ function App() {
               className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
             ></textarea>
           </div>
+          {(card.changeHistory || []).length > 0 && (
+            <div className="md:col-span-2">
+              <label className="block text-gray-700 text-sm font-bold mb-2">変更履歴:</label>
+              <ol className="border-l-2 border-blue-300 pl-4 space-y-2 max-h-60 overflow-y-auto">
+                {[...card.changeHistory].reverse().map((entry, index) => (
+                  <li key={index} className="text-sm flex flex-wrap items-center gap-2">
+                    <span className="text-gray-500 w-36">{new Date(entry.changedAt).toLocaleString()}</span>
+                    <span className="font-semibold text-gray-800">{RATING_CSV_FIELD_LABELS[entry.field] || entry.field}</span>
+                    <span className="text-gray-700">
+                      {formatRatingCsvValue(entry.field, entry.from, [])} → {formatRatingCsvValue(entry.field, entry.to, [])}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setEditedCard(prev => ({ ...prev, [entry.field]: entry.from ?? (entry.field === 'comment' ? '' : null) }))}
+                      className="text-blue-500 hover:text-blue-700 transition-colors duration-200 flex items-center gap-1"
+                    >
+                      <RotateCcw size={14} /> 変更前に戻す
+                    </button>
+                  </li>
+                ))}
+              </ol>
+              <p className="text-xs text-gray-500 mt-1">「変更前に戻す」を押したあと、保存すると反映されます。</p>
+            </div>
+          )}
           <div className="md:col-span-2">
             <label className="flex items-center space-x-2 cursor-pointer mb-2">
               <input
@@ -1193,8 +4432,10 @@ function App() {
   };
 
   // セット管理モーダル (新規追加)
-  const SetManagementModal = ({ isOpen, onClose, sets, onAddSet, onDeleteSet }) => {
+  const SetManagementModal = ({ isOpen, onClose, sets, onAddSet, onDeleteSet, onExportSet, onImportSet, onMigrateLocalData, localMigrationResult, imageMigrationCount, onMigrateImagePaths, onOpenImageCleanup, onEditArchetypes, onEditTierScale }) => {
     const [newSetName, setNewSetName] = useState('');
+    const [includeImages, setIncludeImages] = useState(false);
+    const importFileInputRef = useRef(null);
     const handleAdd = () => {
       if (newSetName.trim()) {
         onAddSet(newSetName.trim());
@@ -1204,6 +4445,12 @@ function App() {
       }
     };
 
+    const handleImportFileChange = (e) => {
+      const file = e.target.files[0];
+      if (file) onImportSet(file);
+      if (importFileInputRef.current) importFileInputRef.current.value = '';
+    };
+
     return (
       <Modal isOpen={isOpen} onClose={onClose} title="セットを管理">
         <div className="mb-4">
@@ -1236,23 +4483,134 @@ function App() {
               {sets.map(set => (
                 <li key={set.id} className="flex items-center justify-between bg-gray-100 p-3 rounded-md shadow-sm">
                   <span className="text-gray-800">{set.name}</span>
-                  <button
-                    onClick={() => onDeleteSet(set.id)}
-                    className="text-red-500 hover:text-red-700 transition-colors duration-200"
-                    aria-label={`${set.name} を削除`}
-                  >
-                    <Trash2 size={20} />
-                  </button>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => onEditArchetypes(set.id)}
+                      className="text-purple-500 hover:text-purple-700 transition-colors duration-200"
+                      aria-label={`${set.name} のアーキタイプを編集`}
+                      title="アーキタイプ"
+                    >
+                      <Signpost size={20} />
+                    </button>
+                    <button
+                      onClick={() => onEditTierScale(set.id)}
+                      className="text-green-600 hover:text-green-800 transition-colors duration-200"
+                      aria-label={`${set.name} の Tier を編集`}
+                      title="Tier"
+                    >
+                      <ListOrdered size={20} />
+                    </button>
+                    <button
+                      onClick={() => onExportSet(set.id, includeImages)}
+                      className="text-blue-500 hover:text-blue-700 transition-colors duration-200"
+                      aria-label={`${set.name} をエクスポート`}
+                      title="エクスポート"
+                    >
+                      <Download size={20} />
+                    </button>
+                    <button
+                      onClick={() => onDeleteSet(set.id)}
+                      className="text-red-500 hover:text-red-700 transition-colors duration-200"
+                      aria-label={`${set.name} を削除`}
+                    >
+                      <Trash2 size={20} />
+                    </button>
+                  </div>
                 </li>
               ))}
             </ul>
           )}
+          <label className="flex items-center space-x-2 cursor-pointer mt-2">
+            <input
+              type="checkbox"
+              checked={includeImages}
+              onChange={(e) => setIncludeImages(e.target.checked)}
+              className="form-checkbox h-4 w-4 text-blue-600 rounded"
+            />
+            <span className="text-gray-800 text-sm">エクスポートにカード画像を含める (zip形式)</span>
+          </label>
+        </div>
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><Upload size={20} /> バックアップからインポート:</h3>
+          <p className="text-gray-600 text-sm mb-2">
+            エクスポートしたファイル (.json または .zip) を選択すると、新しいセットとして取り込みます。カスタム属性は名前で照合されます。
+          </p>
+          <input
+            type="file"
+            accept=".json,.zip,application/json,application/zip"
+            onChange={handleImportFileChange}
+            ref={importFileInputRef}
+            className="block w-full text-sm text-gray-500
+                       file:mr-4 file:py-2 file:px-4
+                       file:rounded-md file:border-0
+                       file:text-sm file:font-semibold
+                       file:bg-blue-50 file:text-blue-700
+                       hover:file:bg-blue-100"
+          />
+        </div>
+        {STORAGE_MODE === 'firebase' && (
+          <div className="mt-6 pt-4 border-t border-gray-200">
+            <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><CloudUpload size={20} /> ローカルデータの移行:</h3>
+            <p className="text-gray-600 text-sm mb-2">
+              ローカル保存モードでこのブラウザに保存したセット・カード・画像を、まとめてFirestoreへ移行します。
+              {window.localStorage.getItem(LOCAL_MIGRATED_AT_KEY) && ` (前回の移行: ${new Date(window.localStorage.getItem(LOCAL_MIGRATED_AT_KEY)).toLocaleString()})`}
+            </p>
+            <button
+              onClick={onMigrateLocalData}
+              className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+            >
+              <CloudUpload size={20} /> Firestoreへ移行
+            </button>
+            {localMigrationResult && (localMigrationResult.isEmpty ? (
+              <p className="text-gray-600 text-sm mt-2">移行するローカルのデータはありません。</p>
+            ) : (
+              <div className="bg-gray-100 p-3 rounded-md text-sm mt-2">
+                <p className="text-gray-800">
+                  移行しました: セット{localMigrationResult.sets}件、カード{localMigrationResult.cards}枚、画像{localMigrationResult.images}枚、
+                  新規カスタム属性{localMigrationResult.customAttributes}件、ドラフト{localMigrationResult.drafts}件、デッキ{localMigrationResult.decks}件、
+                  クイズ{localMigrationResult.quizzes}件、チームの評価{localMigrationResult.votes}件
+                  {localMigrationResult.skipped > 0 && ` (移行済みのため飛ばしたデータ${localMigrationResult.skipped}件)`}
+                </p>
+                {localMigrationResult.failedCards.length > 0 && (
+                  <div className="text-red-600 mt-2">
+                    移行できなかったカード ({localMigrationResult.failedCards.length}枚): {localMigrationResult.failedCards.join('、')}
+                    <div className="text-gray-600">もう一度移行すると、移行できなかったデータだけを移行し直します。</div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        {imageMigrationCount > 0 && (
+          <div className="mt-6 pt-4 border-t border-gray-200">
+            <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><ImageIcon size={20} /> 画像の保存形式の移行:</h3>
+            <p className="text-gray-600 text-sm mb-2">
+              {imageMigrationCount}枚のカードの画像がファイル名で保存されています。同じファイル名の別の画像で上書きされないよう、画像の内容から決まる名前で保存し直します。
+            </p>
+            <button
+              onClick={onMigrateImagePaths}
+              className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+            >
+              <ImageIcon size={20} /> 画像を移行
+            </button>
+          </div>
+        )}
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <h3 className="text-lg font-bold mb-2 text-gray-800 flex items-center gap-2"><Wrench size={20} /> 画像のメンテナンス:</h3>
+          <p className="text-gray-600 text-sm mb-2">
+            どのカードにも使われていない画像の削除や、画像が見つからないカードの付け替えを行います。
+          </p>
+          <button
+            onClick={onOpenImageCleanup}
+            className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition-colors duration-200 flex items-center gap-2"
+          >
+            <Wrench size={20} /> 画像を確認
+          </button>
         </div>
       </Modal>
     );
   };
 
-
   // レアリティ一括割り当てモーダル
   const RarityAssignmentModal = ({ isOpen, onClose, cards, onUpdateCards }) => {
     const unassignedCards = cards.filter(card => !card.rarity || card.rarity === '');
@@ -1286,7 +4644,7 @@ function App() {
 
       setLoading(true);
       const updates = selectedCards.map(cardId =>
-        updateDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardId), { rarity: selectedRarity, updatedAt: new Date() })
+        storage.update('cards', cardId, { rarity: selectedRarity, updatedAt: new Date() })
       );
 
       try {
@@ -1339,7 +4697,7 @@ function App() {
                 onClick={() => handleCardSelect(card.id)}
               >
                 <img
-                  src={card.imageUrl || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+                  src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
                   alt={card.name || 'カード画像'}
                   className="w-full h-auto object-cover"
                 />
@@ -1399,7 +4757,7 @@ function App() {
 
       setLoading(true);
       const updates = selectedCards.map(cardId =>
-        updateDoc(doc(firestoreDb, `artifacts/${APP_ID}/users/${userId}/cards`, cardId), { type: selectedType, updatedAt: new Date() })
+        storage.update('cards', cardId, { type: selectedType, updatedAt: new Date() })
       );
 
       try {
@@ -1452,7 +4810,7 @@ function App() {
                 onClick={() => handleCardSelect(card.id)}
               >
                 <img
-                  src={card.imageUrl || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
+                  src={getCardThumbnailUrl(card) || `https://placehold.co/100x140/cccccc/333333?text=No+Image`}
                   alt={card.name || 'カード画像'}
                   className="w-full h-auto object-cover"
                 />
@@ -1479,7 +4837,6 @@ function App() {
     );
   };
 
-
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
@@ -1524,10 +4881,44 @@ function App() {
                 <option key={set.id} value={set.id}>{set.name}</option>
               ))}
             </select>
+            {STORAGE_MODE === 'firebase' && (
+              <button
+                onClick={handlePrecacheSetImages}
+                disabled={!currentSetId || precacheProgress !== null}
+                className="p-2 rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+                aria-label="このセットの画像をオフライン用に保存"
+                title="このセットの画像をオフライン用に保存"
+              >
+                <WifiOff size={20} />
+                {precacheProgress && <span className="text-sm">{precacheProgress.done}/{precacheProgress.total}</span>}
+              </button>
+            )}
           </div>
 
           {!isStealthMode && (
             <>
+              <div className="flex items-center gap-2">
+                <label htmlFor="storage-mode" className="text-gray-700 font-semibold flex items-center gap-1">
+                  <Database size={20} /> 保存先:
+                </label>
+                <select
+                  id="storage-mode"
+                  value={STORAGE_MODE}
+                  onChange={(e) => handleChangeStorageMode(e.target.value)}
+                  className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="firebase" disabled={!IS_FIREBASE_CONFIGURED}>Firebase</option>
+                  <option value="local">ローカル (このブラウザ)</option>
+                </select>
+              </div>
+              {STORAGE_MODE === 'firebase' && (
+                <button
+                  onClick={() => setIsWorkspaceModalOpen(true)}
+                  className={`font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2 ${activeWorkspace ? 'bg-green-600 hover:bg-green-700 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                >
+                  <Users size={20} /> {activeWorkspace ? activeWorkspace.name : 'チーム'}
+                </button>
+              )}
               <button
                 onClick={() => setIsUploadModalOpen(true)}
                 className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2"
@@ -1552,6 +4943,24 @@ function App() {
               >
                 <Plus size={20} /> 属性を管理
               </button>
+              <button
+                onClick={() => setIsScryfallModalOpen(true)}
+                className="bg-orange-500 hover:bg-orange-600 text-white font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2"
+              >
+                <Wand2 size={20} /> Scryfallから自動入力
+              </button>
+              <button
+                onClick={() => setIsSeventeenLandsModalOpen(true)}
+                className="bg-rose-600 hover:bg-rose-700 text-white font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2"
+              >
+                <BarChart3 size={20} /> 17landsデータ
+              </button>
+              <button
+                onClick={() => setIsRatingCsvModalOpen(true)}
+                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2"
+              >
+                <FileSpreadsheet size={20} /> 評価CSV
+              </button>
               <button
                 onClick={() => setIsSetManagementModalOpen(true)}
                 className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md shadow-md transition-colors duration-200 flex items-center gap-2"
@@ -1696,6 +5105,32 @@ function App() {
             <span className="text-gray-800 font-semibold">ボムレアのみ表示</span>
           </label>
 
+          <div className="flex items-center gap-2">
+            <label htmlFor="archetype-filter" className="text-gray-700 font-semibold flex items-center gap-1"><Signpost size={16} /> アーキタイプ:</label>
+            <select
+              id="archetype-filter"
+              value={filters.archetypeId}
+              onChange={(e) => setFilters(prev => ({ ...prev, archetypeId: e.target.value }))}
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">すべて</option>
+              {getSetArchetypes(sets.find(s => s.id === currentSetId)).map(archetype => (
+                <option key={archetype.id} value={archetype.id}>{getArchetypeLabel(archetype)}</option>
+              ))}
+            </select>
+            {filters.archetypeId && (
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filters.archetypeRolesOnly}
+                  onChange={() => setFilters(prev => ({ ...prev, archetypeRolesOnly: !prev.archetypeRolesOnly }))}
+                  className="form-checkbox h-4 w-4 text-blue-600 rounded"
+                />
+                <span className="text-gray-800 text-sm">シグナル・キーカードのみ</span>
+              </label>
+            )}
+          </div>
+
           <div className="flex items-center gap-2 ml-auto">
             <label htmlFor="sort-by" className="text-gray-700 font-semibold">並べ替え:</label>
             <select
@@ -1711,7 +5146,66 @@ function App() {
               <option value="manaCost-desc">コスト (高い順)</option>
               <option value="name-asc">名前 (A-Z)</option>
               <option value="name-desc">名前 (Z-A)</option>
+              <option value="gihWr-desc">GIH WR (高い順)</option>
+              <option value="ohWr-desc">OH WR (高い順)</option>
+              <option value="alsa-asc">ALSA (早い順)</option>
+              <option value="iwd-desc">IWD (高い順)</option>
+            </select>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <label htmlFor="rating-archetype" className="text-gray-700 font-semibold">評価の基準:</label>
+            <select
+              id="rating-archetype"
+              value={ratingArchetypeId}
+              onChange={(e) => setRatingArchetypeId(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">全体の評価</option>
+              {getSetArchetypes(sets.find(s => s.id === currentSetId)).map(archetype => (
+                <option key={archetype.id} value={archetype.id}>{getArchetypeLabel(archetype)} として評価</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor="rating-profile" className="text-gray-700 font-semibold">評価プロファイル:</label>
+            <select
+              id="rating-profile"
+              value={activeRatingProfileId}
+              onChange={(e) => setRatingProfileId(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">基本の評価</option>
+              {currentSetRatingProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
             </select>
+            {activeRatingProfile && (
+              <button
+                onClick={handleDeleteRatingProfile}
+                className="text-red-500 hover:text-red-700 transition-colors duration-200"
+                aria-label={`評価プロファイル「${activeRatingProfile.name}」を削除`}
+              >
+                <Trash2 size={20} />
+              </button>
+            )}
+            <input
+              type="text"
+              value={newRatingProfileName}
+              onChange={(e) => setNewRatingProfileName(e.target.value)}
+              className="p-2 border border-gray-300 rounded-md w-36"
+              placeholder="例: Week 1"
+              aria-label="新しい評価プロファイルの名前"
+            />
+            <button
+              onClick={handleForkRatingProfile}
+              disabled={!currentSetId || !newRatingProfileName.trim()}
+              className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-3 rounded-md transition-colors duration-200 flex items-center gap-1 disabled:opacity-50"
+              title="表示中の評価を複製して新しいプロファイルを作ります"
+            >
+              <Copy size={16} /> 複製して作成
+            </button>
           </div>
 
           <div className="flex items-center gap-2">
@@ -1729,12 +5223,137 @@ function App() {
             >
               <Hash size={20} />
             </button>
+            <button
+              onClick={() => setDisplayMode('discrepancy')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'discrepancy' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="評価とデータの乖離を表示"
+            >
+              <Scale size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('compare')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'compare' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="2つの評価を比較"
+            >
+              <ArrowLeftRight size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('analytics')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'analytics' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="セットの分析"
+            >
+              <PieChart size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('draft')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'draft' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="ドラフトのピック補助"
+            >
+              <Target size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('sealed')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'sealed' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="シールドのプールを評価"
+            >
+              <Package size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('packs')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'packs' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="ブースターパックのシミュレーター"
+            >
+              <Gift size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('quiz')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'quiz' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="ピック順のクイズ"
+            >
+              <GraduationCap size={20} />
+            </button>
+            <button
+              onClick={() => setDisplayMode('deck')}
+              className={`p-2 rounded-md transition-colors duration-200 ${displayMode === 'deck' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              aria-label="デッキ構築"
+            >
+              <Layers size={20} />
+            </button>
           </div>
         </div>
       </section>
 
       <main>
-        {filteredAndSortedCards.length === 0 ? (
+        {displayMode === 'draft' && currentSetId ? (
+          <DraftAssistantView
+            cards={cards.filter(card => card.setId === currentSetId)}
+            customAttributes={customAttributes}
+            drafts={currentSetDrafts.filter(draft => draft.format !== 'sealed')}
+            currentDraft={currentDraft}
+            onSelectDraft={setCurrentDraftId}
+            onStartDraft={() => handleStartDraft('draft')}
+            onDeleteDraft={handleDeleteDraft}
+            onAddToPack={(cardId) => updateCurrentDraft(draft => ({ pack: [...(draft.pack || []), cardId] }))}
+            onRemoveFromPack={(index) => {
+              const cardId = (currentDraft.pack || [])[index];
+              updateCurrentDraft(draft => ({ pack: removeCardAt(draft.pack || [], index, cardId) }));
+            }}
+            onPick={handleDraftPick}
+            onClearPack={() => updateCurrentDraft({ pack: [] })}
+            onStartBotDraft={() => handleStartBotDraft()}
+            onBuildDeck={async (draftId) => {
+              await handleCreateDeck(draftId);
+              setDisplayMode('deck');
+            }}
+            onOpenPack={() => updateCurrentDraft({
+              pack: generateBoosterPack(cards.filter(card => card.setId === currentSetId), currentPackTemplate, createRandomSeed()).map(card => card.id),
+            })}
+          />
+        ) : displayMode === 'sealed' && currentSetId ? (
+          <SealedPoolView
+            cards={cards.filter(card => card.setId === currentSetId)}
+            customAttributes={customAttributes}
+            pools={currentSetDrafts.filter(draft => draft.format === 'sealed')}
+            currentPool={currentSealedPool}
+            onSelectPool={setCurrentDraftId}
+            onCreatePool={() => handleStartDraft('sealed')}
+            onDeletePool={handleDeleteDraft}
+            onUpdatePool={updateCurrentDraft}
+            onBuildDeck={handleBuildSealedDeck}
+          />
+        ) : displayMode === 'packs' && currentSetId ? (
+          <BoosterPackView
+            cards={cards.filter(card => card.setId === currentSetId)}
+            packTemplate={currentPackTemplate}
+            onSaveTemplate={handleSavePackTemplate}
+            onUseForDraft={handlePracticeDraft}
+            onStartBotDraft={handleStartBotDraft}
+          />
+        ) : displayMode === 'quiz' && currentSetId ? (
+          <QuizView
+            key={currentSetId}
+            cards={cards.filter(card => card.setId === currentSetId)}
+            quizzes={currentSetQuizzes}
+            currentQuiz={currentQuiz}
+            getRating={getDisplayedRating}
+            onAnswer={handleQuizAnswer}
+            onStartQuiz={() => setCurrentQuizId(null)}
+          />
+        ) : displayMode === 'analytics' && currentSetId ? (
+          <SetAnalyticsView cards={cards.filter(card => card.setId === currentSetId)} customAttributes={customAttributes} />
+        ) : displayMode === 'deck' && currentSetId ? (
+          <DeckBuilderView
+            cards={cards.filter(card => card.setId === currentSetId)}
+            drafts={currentSetDrafts}
+            decks={currentSetDecks}
+            currentDeck={currentDeck}
+            onSelectDeck={setCurrentDeckId}
+            onCreateDeck={handleCreateDeck}
+            onUpdateDeck={handleUpdateDeck}
+            onDeleteDeck={handleDeleteDeck}
+            onExportDeck={handleExportDeck}
+          />
+        ) : filteredAndSortedCards.length === 0 ? (
           <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
             <p className="text-lg mb-4">
               {currentSetId ? 'このセットには表示するカードがありません。' : 'セットが選択されていません。'}
@@ -1766,6 +5385,14 @@ function App() {
                     onToggleCustomAttribute={handleToggleCustomAttribute}
                     customAttributes={customAttributes}
                     isStealthMode={isStealthMode}
+                    ratingArchetypeId={ratingArchetypeId}
+                    onArchetypeRatingChange={handleArchetypeRatingChange}
+                    ratingProfile={activeRatingProfile}
+                    isTeamRating={isTeamRating}
+                    teamRating={teamRatings[card.id]}
+                    memberId={userId}
+                    onVoteChange={handleVoteChange}
+                    tier={getTierForRating(currentTierScale, getDisplayedRating(card))}
                   />
                 ))}
               </div>
@@ -1773,14 +5400,15 @@ function App() {
 
             {displayMode === 'tier' && (
               <div className="space-y-8">
-                {Object.keys(tieredCards).sort((a, b) => parseInt(b) - parseInt(a)).map(tierKey => (
-                  tieredCards[tierKey].length > 0 && (
-                    <div key={tierKey} className="bg-white rounded-lg shadow-md p-6">
-                      <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 border-blue-500">
-                        Tier {tierKey}.0 - {parseFloat(tierKey) + 0.9}
+                {tierSections.map(({ key, name, color, range, cards: tierCards }) => (
+                  tierCards.length > 0 && (
+                    <div key={key} className="bg-white rounded-lg shadow-md p-6">
+                      <h2 className="text-2xl font-bold text-gray-800 mb-4 pb-2 border-b-2 flex items-center gap-3" style={{ borderColor: color }}>
+                        <span className="px-3 py-1 rounded-md text-white" style={{ backgroundColor: color }}>{name}</span>
+                        {range && <span className="text-base font-normal text-gray-500">{range}</span>}
                       </h2>
                       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-7 xl:grid-cols-7 gap-6">
-                        {tieredCards[tierKey].map(card => (
+                        {tierCards.map(card => (
                           <CardItem
                             key={card.id}
                             card={card}
@@ -1791,6 +5419,14 @@ function App() {
                             onToggleCustomAttribute={handleToggleCustomAttribute}
                             customAttributes={customAttributes}
                             isStealthMode={isStealthMode}
+                            ratingArchetypeId={ratingArchetypeId}
+                            onArchetypeRatingChange={handleArchetypeRatingChange}
+                            ratingProfile={activeRatingProfile}
+                            isTeamRating={isTeamRating}
+                            teamRating={teamRatings[card.id]}
+                            memberId={userId}
+                            onVoteChange={handleVoteChange}
+                            tier={getTierForRating(currentTierScale, getDisplayedRating(card))}
                           />
                         ))}
                       </div>
@@ -1799,6 +5435,20 @@ function App() {
                 ))}
               </div>
             )}
+
+            {displayMode === 'discrepancy' && (
+              <RatingDiscrepancyView cards={filteredAndSortedCards} onEdit={setEditingCard} />
+            )}
+
+            {displayMode === 'compare' && (
+              <RatingDiffView
+                cards={filteredAndSortedCards}
+                ratingProfiles={currentSetRatingProfiles}
+                votes={votes}
+                teamRatings={teamRatings}
+                onEdit={setEditingCard}
+              />
+            )}
           </>
         )}
       </main>
@@ -1810,6 +5460,8 @@ function App() {
         onUpload={handleUploadCards}
         sets={sets}
         currentSetId={currentSetId}
+        cards={cards}
+        scryfallFileName={scryfallData.cards.length > 0 ? scryfallData.fileName : ''}
       />
       {editingCard && (
         <CardEditModal
@@ -1846,6 +5498,78 @@ function App() {
         sets={sets}
         onAddSet={handleAddSet}
         onDeleteSet={handleDeleteSet}
+        onExportSet={handleExportSet}
+        onImportSet={handleImportSet}
+        onMigrateLocalData={handleMigrateLocalData}
+        localMigrationResult={localMigrationResult}
+        imageMigrationCount={storage ? getCardsNeedingImageMigration(storage, cards).length : 0}
+        onMigrateImagePaths={handleMigrateImagePaths}
+        onOpenImageCleanup={() => {
+          setIsSetManagementModalOpen(false);
+          setIsImageCleanupModalOpen(true);
+        }}
+        onEditArchetypes={(setId) => {
+          setIsSetManagementModalOpen(false);
+          setArchetypeSetId(setId);
+        }}
+        onEditTierScale={(setId) => {
+          setIsSetManagementModalOpen(false);
+          setTierScaleSetId(setId);
+        }}
+      />
+      <TierScaleModal
+        isOpen={tierScaleSetId !== null}
+        onClose={() => setTierScaleSetId(null)}
+        set={sets.find(s => s.id === tierScaleSetId)}
+        onSave={handleSaveTierScale}
+      />
+      <ArchetypeModal
+        isOpen={archetypeSetId !== null}
+        onClose={() => setArchetypeSetId(null)}
+        set={sets.find(s => s.id === archetypeSetId)}
+        onSave={handleSaveArchetypes}
+      />
+      <WorkspaceModal
+        isOpen={isWorkspaceModalOpen}
+        onClose={() => setIsWorkspaceModalOpen(false)}
+        workspaces={workspaces}
+        workspaceId={workspaceId}
+        memberName={memberName}
+        onMemberNameChange={setMemberName}
+        onSelect={setWorkspaceId}
+        onCreate={handleCreateWorkspace}
+        onJoin={handleJoinWorkspace}
+        onLeave={handleLeaveWorkspace}
+      />
+      <ImageCleanupModal
+        isOpen={isImageCleanupModalOpen}
+        onClose={() => setIsImageCleanupModalOpen(false)}
+        storage={storage}
+        imagePathPrefix={imagePathPrefix}
+        sets={sets}
+      />
+      <RatingCsvModal
+        isOpen={isRatingCsvModalOpen}
+        onClose={() => setIsRatingCsvModalOpen(false)}
+        cards={cards}
+        sets={sets}
+        customAttributes={customAttributes}
+        currentSetId={currentSetId}
+        onApplyUpdates={handleBulkUpdateCards}
+      />
+      <SeventeenLandsImportModal
+        isOpen={isSeventeenLandsModalOpen}
+        onClose={() => setIsSeventeenLandsModalOpen(false)}
+        cards={cards.filter(card => card.setId === currentSetId)}
+        onApplyUpdates={handleBulkUpdateCards}
+      />
+      <ScryfallImportModal
+        isOpen={isScryfallModalOpen}
+        onClose={() => setIsScryfallModalOpen(false)}
+        cards={cards.filter(card => card.setId === currentSetId)}
+        scryfallData={scryfallData}
+        onChangeScryfallData={setScryfallData}
+        onApplyUpdates={handleBulkUpdateCards}
       />
     </div>
   );
@@ -1,9 +1,12 @@
+import 'fake-indexeddb/auto';
 import React from 'react';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Firebase の設定がないテスト環境では、ローカル (IndexedDB) 保存モードで起動する
+test('starts in local storage mode when Firebase is not configured', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('MTGリミテッド評価ツール')).toBeInTheDocument();
+  expect(screen.getByLabelText(/保存先/)).toHaveValue('local');
+  expect(await screen.findByText('セットが選択されていません。')).toBeInTheDocument();
 });
@@ -0,0 +1,23 @@
+import { getDraftCardColors } from './draftAssistant';
+import { getColorPairs } from './sealedPool';
+
+// セットのアーキタイプ (2色の組み合わせ10種類)。セットの archetypes に { id, colors, name, description, keyMechanic } で保存し、
+// id は色を並べた文字列 (例: 白青)。カードの archetypeRoles には { アーキタイプID: 'signpost' | 'key' } を保存する
+export const ARCHETYPE_ROLES = { signpost: 'シグナル', key: 'キーカード' };
+
+export const getSetArchetypes = (set) => getColorPairs().map(colors => {
+  const id = colors.join('');
+  const saved = ((set && set.archetypes) || []).find(archetype => archetype.id === id) || {};
+  return { name: '', description: '', keyMechanic: '', ...saved, id, colors };
+});
+
+export const getArchetypeLabel = (archetype) => (archetype.name ? `${archetype.id} ${archetype.name}` : archetype.id);
+
+// アーキタイプに入るカード (シグナル・キーカードに指定したカードと、アーキタイプの色だけのカード)。
+// rolesOnly なら指定したカードだけ
+export const fitsArchetype = (card, archetype, rolesOnly = false) => {
+  if ((card.archetypeRoles || {})[archetype.id]) return true;
+  if (rolesOnly) return false;
+  const colors = getDraftCardColors(card);
+  return colors.length > 0 && colors.every(color => archetype.colors.includes(color));
+};
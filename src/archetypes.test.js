@@ -0,0 +1,30 @@
+import { getSetArchetypes, getArchetypeLabel, fitsArchetype } from './archetypes';
+
+const card = (color, archetypeRoles) => ({ id: 'card', name: 'card', color, archetypeRoles });
+
+test('lists the ten color pairs with the saved names', () => {
+  const archetypes = getSetArchetypes({ archetypes: [{ id: '白青', name: '飛行', keyMechanic: '飛行', colors: ['古い値'] }] });
+  expect(archetypes).toHaveLength(10);
+  expect(archetypes[0]).toEqual({ id: '白青', colors: ['白', '青'], name: '飛行', description: '', keyMechanic: '飛行' });
+  expect(archetypes[1]).toEqual({ id: '白黒', colors: ['白', '黒'], name: '', description: '', keyMechanic: '' });
+  expect(getSetArchetypes(null).map(archetype => archetype.id)).toContain('赤緑');
+  expect(getArchetypeLabel(archetypes[0])).toBe('白青 飛行');
+  expect(getArchetypeLabel(archetypes[1])).toBe('白黒');
+});
+
+test('fits cards within the archetype colors or with a role', () => {
+  const [whiteBlue] = getSetArchetypes({});
+  expect(fitsArchetype(card(['白']), whiteBlue)).toBe(true);
+  expect(fitsArchetype(card(['白', '青']), whiteBlue)).toBe(true);
+  expect(fitsArchetype(card('青'), whiteBlue)).toBe(true);
+  expect(fitsArchetype(card(['白', '黒']), whiteBlue)).toBe(false);
+  expect(fitsArchetype(card(['無色']), whiteBlue)).toBe(false);
+  expect(fitsArchetype(card(['赤'], { 白青: 'signpost' }), whiteBlue)).toBe(true);
+});
+
+test('fits only cards with a role when roles only', () => {
+  const [whiteBlue] = getSetArchetypes({});
+  expect(fitsArchetype(card(['白']), whiteBlue, true)).toBe(false);
+  expect(fitsArchetype(card(['白'], { 白黒: 'key' }), whiteBlue, true)).toBe(false);
+  expect(fitsArchetype(card(['黒'], { 白青: 'key' }), whiteBlue, true)).toBe(true);
+});
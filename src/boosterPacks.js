@@ -0,0 +1,133 @@
+// セットのカードからブースターパックを作る (練習ドラフトやボムの出現頻度の確認用)。
+// 同じシードとパックの構成からは必ず同じパックができるため、シードを共有すればパックを再現できる
+
+const RARITY_COMMON = 'コモン';
+const RARITY_UNCOMMON = 'アンコモン';
+const RARITY_RARE = 'レア';
+const RARITY_MYTHIC = '神話レア';
+
+// ドラフト・ブースター相当の構成 (基本土地の枠は除く)
+export const DEFAULT_PACK_TEMPLATE = {
+  commons: 10,
+  uncommons: 3,
+  rares: 1, // レアまたは神話レアの枠
+  mythicRate: 1 / 8, // レア枠が神話レアになる確率
+  doubleFacedSlot: false, // true ならコモン1枠を両面カード (レアリティ問わず) にする
+};
+
+// 保存されたパックの構成 (セットの packTemplate) を既定値で補い、枚数と確率を有効な範囲に収める
+export const normalizePackTemplate = (template = {}) => {
+  const toCount = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+  const mythicRate = typeof template.mythicRate === 'number' && !Number.isNaN(template.mythicRate)
+    ? Math.min(1, Math.max(0, template.mythicRate))
+    : DEFAULT_PACK_TEMPLATE.mythicRate;
+  return {
+    commons: toCount(template.commons, DEFAULT_PACK_TEMPLATE.commons),
+    uncommons: toCount(template.uncommons, DEFAULT_PACK_TEMPLATE.uncommons),
+    rares: toCount(template.rares, DEFAULT_PACK_TEMPLATE.rares),
+    mythicRate,
+    doubleFacedSlot: Boolean(template.doubleFacedSlot),
+  };
+};
+
+// 文字列のシードから 32bit の初期値を作る (FNV-1a)
+const hashSeed = (seed) => {
+  let h = 0x811c9dc5;
+  for (const char of String(seed)) {
+    h = Math.imul(h ^ char.codePointAt(0), 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// シード付きの乱数 (mulberry32)。0 以上 1 未満の数を返す関数を返す
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 共有しやすい短いシード
+export const createRandomSeed = () => Math.random().toString(36).slice(2, 10);
+
+// count 枚を重複なしで選ぶ (候補が足りない場合は重複を許して埋める)
+const sampleCards = (candidates, count, random) => {
+  if (candidates.length === 0 || count <= 0) return [];
+  const pool = [...candidates];
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    if (pool.length === 0) {
+      picked.push(candidates[Math.floor(random() * candidates.length)]);
+    } else {
+      picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+    }
+  }
+  return picked;
+};
+
+// カードをレアリティごとに分ける (両面カードの枠がある場合、両面カードは通常の枠から外す)
+const groupCardsByRarity = (cards, template) => {
+  const slotCards = template.doubleFacedSlot ? cards.filter(card => !card.isDoubleFaced) : cards;
+  const byRarity = (rarity) => slotCards.filter(card => card.rarity === rarity);
+  return {
+    commons: byRarity(RARITY_COMMON),
+    uncommons: byRarity(RARITY_UNCOMMON),
+    rares: byRarity(RARITY_RARE),
+    mythics: byRarity(RARITY_MYTHIC),
+    doubleFaced: cards.filter(card => card.isDoubleFaced),
+  };
+};
+
+// セットのレアリティごとの枚数 (パックの構成が作れるかの確認用)
+export const countCardsByRarity = (cards, template) => {
+  const groups = groupCardsByRarity(cards, normalizePackTemplate(template));
+  return Object.fromEntries(Object.entries(groups).map(([slot, slotCards]) => [slot, slotCards.length]));
+};
+
+const generatePackFromGroups = (groups, template, random) => {
+  const hasDoubleFacedSlot = template.doubleFacedSlot && groups.doubleFaced.length > 0;
+  const rareSlots = [];
+  for (let i = 0; i < template.rares; i++) {
+    // 神話レアがなければレア、レアがなければ神話レアで埋める
+    const wantsMythic = random() < template.mythicRate;
+    const candidates = (wantsMythic && groups.mythics.length > 0) || groups.rares.length === 0 ? groups.mythics : groups.rares;
+    const unpicked = candidates.filter(card => !rareSlots.includes(card));
+    rareSlots.push(...sampleCards(unpicked.length > 0 ? unpicked : candidates, 1, random));
+  }
+  return [
+    ...rareSlots,
+    ...sampleCards(groups.uncommons, template.uncommons, random),
+    ...(hasDoubleFacedSlot ? sampleCards(groups.doubleFaced, 1, random) : []),
+    ...sampleCards(groups.commons, template.commons - (hasDoubleFacedSlot ? 1 : 0), random),
+  ];
+};
+
+// 1パックを作る。並びはレア枠、アンコモン、両面カード枠、コモンの順
+export const generateBoosterPack = (cards, template, seed) => {
+  const normalizedTemplate = normalizePackTemplate(template);
+  return generatePackFromGroups(groupCardsByRarity(cards, normalizedTemplate), normalizedTemplate, createSeededRandom(seed));
+};
+
+// count パックを作る (i 番目のパックのシードは `${seed}-${i + 1}`)
+export const generateBoosterPacks = (cards, template, seed, count) => {
+  const normalizedTemplate = normalizePackTemplate(template);
+  const groups = groupCardsByRarity(cards, normalizedTemplate);
+  return Array.from({ length: count }, (_, i) => generatePackFromGroups(groups, normalizedTemplate, createSeededRandom(`${seed}-${i + 1}`)));
+};
+
+// たくさんのパックを作り、1パックあたりのボムの平均枚数と、ボムが1枚以上入る確率 (1パック・3パック) を求める
+export const simulateBombFrequency = (cards, template, seed, packCount = 1000) => {
+  const bombCounts = generateBoosterPacks(cards, template, seed, packCount)
+    .map(pack => pack.filter(card => card.isBomb).length);
+  const packsWithBomb = bombCounts.filter(count => count > 0).length / packCount;
+  return {
+    packCount,
+    averageBombs: bombCounts.reduce((sum, count) => sum + count, 0) / packCount,
+    atLeastOnePerPack: packsWithBomb,
+    atLeastOnePerDraft: 1 - (1 - packsWithBomb) ** 3,
+  };
+};
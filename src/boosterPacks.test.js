@@ -0,0 +1,58 @@
+import { DEFAULT_PACK_TEMPLATE, normalizePackTemplate, generateBoosterPack, generateBoosterPacks, simulateBombFrequency } from './boosterPacks';
+
+const makeCards = (rarity, count, fields = {}) => Array.from({ length: count }, (_, i) => ({
+  id: `${rarity}-${fields.isDoubleFaced ? 'dfc-' : ''}${i}`,
+  name: `${rarity} ${i}`,
+  rarity,
+  ...fields,
+}));
+
+const setCards = [
+  ...makeCards('コモン', 80),
+  ...makeCards('アンコモン', 60),
+  ...makeCards('レア', 40),
+  ...makeCards('神話レア', 10, { isBomb: true }),
+  ...makeCards('コモン', 5, { isDoubleFaced: true }),
+];
+
+test('reproduces the same pack from the same seed', () => {
+  const pack = generateBoosterPack(setCards, DEFAULT_PACK_TEMPLATE, 'share-me');
+  expect(generateBoosterPack(setCards, DEFAULT_PACK_TEMPLATE, 'share-me')).toEqual(pack);
+  expect(generateBoosterPack(setCards, DEFAULT_PACK_TEMPLATE, 'another-seed')).not.toEqual(pack);
+});
+
+test('fills each slot of the template from the matching rarity', () => {
+  const pack = generateBoosterPack(setCards, DEFAULT_PACK_TEMPLATE, 'slots');
+  expect(pack).toHaveLength(14);
+  expect(['レア', '神話レア']).toContain(pack[0].rarity);
+  expect(pack.slice(1, 4).every(card => card.rarity === 'アンコモン')).toBe(true);
+  expect(pack.slice(4).every(card => card.rarity === 'コモン')).toBe(true);
+  expect(new Set(pack.map(card => card.id)).size).toBe(pack.length);
+
+  const withDoubleFacedSlot = generateBoosterPack(setCards, { ...DEFAULT_PACK_TEMPLATE, doubleFacedSlot: true }, 'slots');
+  expect(withDoubleFacedSlot).toHaveLength(14);
+  expect(withDoubleFacedSlot.filter(card => card.isDoubleFaced)).toHaveLength(1);
+  expect(withDoubleFacedSlot[4].isDoubleFaced).toBe(true);
+});
+
+test('uses rares for the rare slot when the set has no mythics', () => {
+  const cardsWithoutMythics = setCards.filter(card => card.rarity !== '神話レア');
+  const packs = generateBoosterPacks(cardsWithoutMythics, { ...DEFAULT_PACK_TEMPLATE, mythicRate: 1 }, 'no-mythics', 20);
+  expect(packs.every(pack => pack[0].rarity === 'レア')).toBe(true);
+});
+
+test('estimates how often bombs appear from the mythic rate', () => {
+  const result = simulateBombFrequency(setCards, DEFAULT_PACK_TEMPLATE, 'bombs', 2000);
+  expect(result.packCount).toBe(2000);
+  expect(result.atLeastOnePerPack).toBeGreaterThan(0.09);
+  expect(result.atLeastOnePerPack).toBeLessThan(0.16);
+  expect(result.atLeastOnePerDraft).toBeCloseTo(1 - (1 - result.atLeastOnePerPack) ** 3);
+  expect(simulateBombFrequency(setCards, { ...DEFAULT_PACK_TEMPLATE, mythicRate: 0 }, 'bombs', 100).averageBombs).toBe(0);
+});
+
+test('fills invalid template values with the defaults', () => {
+  expect(normalizePackTemplate({ commons: -1, uncommons: 'x', mythicRate: 2 })).toEqual({
+    ...DEFAULT_PACK_TEMPLATE,
+    mythicRate: 1,
+  });
+});
@@ -0,0 +1,84 @@
+import { createSeededRandom, generateBoosterPacks } from './boosterPacks';
+import { rankDraftPack } from './draftAssistant';
+
+// ボットとのドラフト (8人・3パック)。自分以外の7席は評価とピック済みの色 (rankDraftPack) に
+// 少しのランダムさを加えて選ぶ。パックもボットのピックもシードから決まるため、同じシードと同じピックなら同じ展開になる。
+// Firestore は配列の入れ子を保存できないため、席ごとのカードは { cardIds } に包んで保存する
+export const BOT_DRAFT_SEATS = 8; // 0 番が自分
+export const BOT_DRAFT_ROUNDS = 3;
+const BOT_PICK_RANDOMNESS = 1.0; // ボットの点数に加える揺らぎの幅
+
+const createBotDraftPacks = (setCards, packTemplate, seed, round) =>
+  generateBoosterPacks(setCards, packTemplate, `${seed}-r${round + 1}`, BOT_DRAFT_SEATS)
+    .map(pack => ({ cardIds: pack.map(card => card.id) }));
+
+export const startBotDraft = (setCards, packTemplate, seed) => ({
+  seed,
+  packTemplate,
+  round: 0,
+  pick: 0,
+  finished: false,
+  packs: createBotDraftPacks(setCards, packTemplate, seed, 0),
+  botPicks: Array.from({ length: BOT_DRAFT_SEATS - 1 }, () => ({ cardIds: [] })),
+  log: [], // 自分のピックごとの { round, pick, pack, picked }
+});
+
+// ボットがパックから選ぶカードの位置
+const pickForBot = (packCardIds, botPickIds, cardsById, random) => {
+  const entries = packCardIds.map((cardId, index) => ({ key: index, card: cardsById.get(cardId) })).filter(entry => entry.card);
+  if (entries.length === 0) return 0;
+  const poolCards = botPickIds.map(cardId => cardsById.get(cardId)).filter(Boolean);
+  const scored = rankDraftPack(entries, poolCards)
+    .map(entry => ({ ...entry, score: entry.score + (random() - 0.5) * BOT_PICK_RANDOMNESS }))
+    .sort((a, b) => b.score - a.score);
+  return scored[0].key;
+};
+
+// 自分が cardId をピックしたあと、ボットもピックしてパックを回す (1・3パック目は左、2パック目は右)。
+// パックがなくなったら次のパックを開封する
+export const advanceBotDraft = (botDraft, cardId, setCards) => {
+  const cardsById = new Map(setCards.map(card => [card.id, card]));
+  const { seed, round, pick } = botDraft;
+  const packs = botDraft.packs.map(pack => [...pack.cardIds]);
+  const botPicks = botDraft.botPicks.map(picks => [...picks.cardIds]);
+  const log = [...botDraft.log, { round, pick, pack: [...packs[0]], picked: cardId }];
+
+  const userIndex = packs[0].indexOf(cardId);
+  packs[0].splice(userIndex === -1 ? 0 : userIndex, 1);
+  for (let seat = 1; seat < BOT_DRAFT_SEATS; seat++) {
+    if (packs[seat].length === 0) continue;
+    const random = createSeededRandom(`${seed}-r${round + 1}-p${pick + 1}-s${seat}`);
+    const index = pickForBot(packs[seat], botPicks[seat - 1], cardsById, random);
+    botPicks[seat - 1].push(packs[seat].splice(index, 1)[0]);
+  }
+
+  const direction = round % 2 === 0 ? 1 : -1;
+  let passedPacks = packs.map((_, seat) => packs[(seat - direction + BOT_DRAFT_SEATS) % BOT_DRAFT_SEATS]);
+  let nextRound = round;
+  let nextPick = pick + 1;
+  if (passedPacks.every(pack => pack.length === 0)) {
+    nextRound = round + 1;
+    nextPick = 0;
+    passedPacks = nextRound < BOT_DRAFT_ROUNDS
+      ? createBotDraftPacks(setCards, botDraft.packTemplate, seed, nextRound).map(pack => pack.cardIds)
+      : passedPacks;
+  }
+  return {
+    ...botDraft,
+    round: nextRound,
+    pick: nextPick,
+    finished: nextRound >= BOT_DRAFT_ROUNDS,
+    packs: passedPacks.map(cardIds => ({ cardIds })),
+    botPicks: botPicks.map(cardIds => ({ cardIds })),
+    log,
+  };
+};
+
+// ピックごとに、流したカードと一周して戻ってきたカード (8ピック後に同じパックで残っていたもの) を求める
+export const buildBotDraftReplay = (log) => log.map((entry, index) => {
+  const passed = [...entry.pack];
+  passed.splice(passed.indexOf(entry.picked), 1);
+  const wheel = log[index + BOT_DRAFT_SEATS];
+  const wheeled = wheel && wheel.round === entry.round ? wheel.pack : null;
+  return { ...entry, passed, wheeled };
+});
@@ -0,0 +1,80 @@
+import { DEFAULT_PACK_TEMPLATE } from './boosterPacks';
+import { BOT_DRAFT_SEATS, BOT_DRAFT_ROUNDS, startBotDraft, advanceBotDraft, buildBotDraftReplay } from './botDraft';
+
+const makeCards = (rarity, count, fields = {}) => Array.from({ length: count }, (_, i) => ({
+  id: `${rarity}-${i}`,
+  name: `${rarity} ${i}`,
+  rarity,
+  color: ['白', '青', '黒', '赤', '緑'][i % 5],
+  rating: (i % 9) * 0.5,
+  ...fields,
+}));
+
+const setCards = [
+  ...makeCards('コモン', 80),
+  ...makeCards('アンコモン', 60),
+  ...makeCards('レア', 40),
+  ...makeCards('神話レア', 10, { isBomb: true }),
+];
+
+const PACK_SIZE = 14;
+
+// 自分はいつもパックの先頭のカードをピックする
+const pickFirst = (botDraft) => advanceBotDraft(botDraft, botDraft.packs[0].cardIds[0], setCards);
+
+const pickTimes = (botDraft, count) => Array.from({ length: count }).reduce(pickFirst, botDraft);
+
+const without = (cardIds, cardId) => cardIds.filter(id => id !== cardId);
+
+test('passes packs to the left in the first and third packs and to the right in the second', () => {
+  [0, 1, 2].forEach(round => {
+    const before = pickTimes(startBotDraft(setCards, DEFAULT_PACK_TEMPLATE, 'pass'), round * PACK_SIZE);
+    expect(before.round).toBe(round);
+    const picked = before.packs[0].cardIds[0];
+    const after = pickFirst(before);
+
+    // 左 (1・3パック目) なら自分のパックは1番の席へ、右 (2パック目) なら最後の席へ回る
+    const nextSeat = round === 1 ? BOT_DRAFT_SEATS - 1 : 1;
+    const fromSeat = round === 1 ? 1 : BOT_DRAFT_SEATS - 1;
+    expect(after.packs[nextSeat].cardIds).toEqual(without(before.packs[0].cardIds, picked));
+    expect(after.packs[0].cardIds).toHaveLength(PACK_SIZE - 1);
+    after.packs[0].cardIds.forEach(cardId => expect(before.packs[fromSeat].cardIds).toContain(cardId));
+    expect(after.botPicks.every(picks => picks.cardIds.length === round * PACK_SIZE + 1)).toBe(true);
+  });
+});
+
+test('reproduces the same draft from the same seed and picks', () => {
+  const draft = pickTimes(startBotDraft(setCards, DEFAULT_PACK_TEMPLATE, 'share-me'), 20);
+  expect(pickTimes(startBotDraft(setCards, DEFAULT_PACK_TEMPLATE, 'share-me'), 20)).toEqual(draft);
+});
+
+test('shows the cards that wheel back from the same pack', () => {
+  const draft = pickTimes(startBotDraft(setCards, DEFAULT_PACK_TEMPLATE, 'wheel'), PACK_SIZE + BOT_DRAFT_SEATS + 1);
+  const replay = buildBotDraftReplay(draft.log);
+
+  expect(replay[0].passed).toEqual(without(draft.log[0].pack, draft.log[0].picked));
+  expect(replay[0].wheeled).toEqual(draft.log[BOT_DRAFT_SEATS].pack);
+  expect(replay[0].wheeled).toHaveLength(PACK_SIZE - BOT_DRAFT_SEATS);
+  replay[0].wheeled.forEach(cardId => expect(replay[0].passed).toContain(cardId));
+
+  // 8ピック後が次のパックになるピックは一周しない
+  expect(replay[PACK_SIZE - BOT_DRAFT_SEATS - 1].wheeled).toEqual(draft.log[PACK_SIZE - 1].pack);
+  expect(replay[PACK_SIZE - BOT_DRAFT_SEATS].wheeled).toBeNull();
+  expect(replay[PACK_SIZE].wheeled).toEqual(draft.log[PACK_SIZE + BOT_DRAFT_SEATS].pack);
+});
+
+test('finishes after three packs', () => {
+  let draft = startBotDraft(setCards, DEFAULT_PACK_TEMPLATE, 'finish');
+  let picks = 0;
+  while (!draft.finished && picks < 100) {
+    draft = pickFirst(draft);
+    picks++;
+  }
+
+  expect(picks).toBe(BOT_DRAFT_ROUNDS * PACK_SIZE);
+  expect(draft.round).toBe(BOT_DRAFT_ROUNDS);
+  expect(draft.log).toHaveLength(BOT_DRAFT_ROUNDS * PACK_SIZE);
+  expect(draft.log.map(entry => entry.round)).toEqual([0, 1, 2].flatMap(round => Array(PACK_SIZE).fill(round)));
+  expect(draft.packs.every(pack => pack.cardIds.length === 0)).toBe(true);
+  expect(draft.botPicks.every(picks => picks.cardIds.length === BOT_DRAFT_ROUNDS * PACK_SIZE)).toBe(true);
+});
@@ -0,0 +1,6 @@
+// カードタイプと色の定義
+export const CARD_TYPES = ['クリーチャー', 'インスタント', 'ソーサリー', 'エンチャント', 'アーティファクト', 'プレインズウォーカー', '土地'];
+// 色は単色と無色のみを定義。多色はカードデータで複数色を持つことで表現
+export const PRIMARY_COLORS = ['白', '青', '黒', '赤', '緑', '無色'];
+export const FILTER_COLORS = ['白', '青', '黒', '赤', '緑', '多色', '無色']; // フィルターに表示する色オプション
+export const RARITIES = ['コモン', 'アンコモン', 'レア', '神話レア'];
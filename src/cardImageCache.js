@@ -0,0 +1,87 @@
+// カード画像のオフライン用キャッシュ (service-worker.js とアプリの両方から使う)
+export const CARD_IMAGE_CACHE_NAME = 'card-images';
+// 1セット約300枚 × 両面カード分の余裕 × 数セット分
+export const CARD_IMAGE_CACHE_MAX_ENTRIES = 3000;
+export const CARD_IMAGE_CACHE_MAX_AGE_SECONDS = 180 * 24 * 60 * 60;
+export const PRECACHE_CARD_IMAGES_MESSAGE = 'PRECACHE_CARD_IMAGES';
+// Service Worker から進捗がこの時間届かなければ (入れ替わった・停止したなど)、ページから保存し直す
+const PRECACHE_WORKER_TIMEOUT_MS = 30 * 1000;
+
+const SCRYFALL_IMAGE_HOST = 'cards.scryfall.io';
+
+// Firebase Storage (エミュレーターを含む) のダウンロードURLと Scryfall の画像をカード画像として扱う
+export const isCardImageUrl = (url) => (
+  (url.protocol === 'https:' || url.protocol === 'http:') &&
+  (url.pathname.startsWith('/v0/b/') || url.hostname === SCRYFALL_IMAGE_HOST)
+);
+
+// カード画像は CORS で取得する (no-cors の不透明なレスポンスは1件ごとに数MBとして容量を数えられるため)。
+// Firebase Storage のバケットには storage.cors.json の CORS 設定が必要
+export const toCorsRequest = (url) => new Request(url, { mode: 'cors', credentials: 'omit' });
+
+const toCardImageUrls = (urls) => [...new Set(urls)].filter(url => {
+  try {
+    return Boolean(url) && isCardImageUrl(new URL(url));
+  } catch (error) {
+    return false;
+  }
+});
+
+// Service Worker がない場合 (開発サーバーなど) はページから直接キャッシュに保存する
+const precacheFromPage = async (urls, onProgress) => {
+  const cache = await caches.open(CARD_IMAGE_CACHE_NAME);
+  const result = { cached: 0, skipped: 0, failed: 0 };
+  for (const [index, url] of urls.entries()) {
+    try {
+      if (await cache.match(url)) {
+        result.skipped++;
+      } else {
+        const response = await fetch(toCorsRequest(url));
+        if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+        result.cached++;
+      }
+    } catch (error) {
+      console.warn("Warning: Could not cache card image:", url, error);
+      result.failed++;
+    }
+    if (onProgress) onProgress(index + 1, urls.length);
+  }
+  return result;
+};
+
+// 指定したカード画像をまとめてキャッシュに保存する。{ cached, skipped, failed } を返す
+export const precacheCardImages = async (urls, onProgress) => {
+  const cardImageUrls = toCardImageUrls(urls);
+  if (cardImageUrls.length === 0) return { cached: 0, skipped: 0, failed: 0 };
+  if (typeof caches === 'undefined') throw new Error("このブラウザはキャッシュに対応していません。");
+
+  const worker = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+  if (!worker) return precacheFromPage(cardImageUrls, onProgress);
+
+  const workerResult = await new Promise((resolve) => {
+    const channel = new MessageChannel();
+    let timeoutId = null;
+    const finish = (result) => {
+      clearTimeout(timeoutId);
+      channel.port1.close();
+      resolve(result);
+    };
+    const restartTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => finish(null), PRECACHE_WORKER_TIMEOUT_MS);
+    };
+    channel.port1.onmessage = (event) => {
+      restartTimeout();
+      if (event.data.type === 'PROGRESS' && onProgress) onProgress(event.data.done, event.data.total);
+      if (event.data.type === 'DONE') finish(event.data.result);
+    };
+    restartTimeout();
+    worker.postMessage({ type: PRECACHE_CARD_IMAGES_MESSAGE, urls: cardImageUrls }, [channel.port2]);
+  });
+  if (workerResult) return workerResult;
+
+  // 保存済みの画像は飛ばされるため、Service Worker が途中まで保存した分は取得し直さない
+  console.warn("Warning: Service worker did not respond while pre-caching card images. Falling back to the page.");
+  return precacheFromPage(cardImageUrls, onProgress);
+};
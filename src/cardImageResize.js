@@ -0,0 +1,48 @@
+// アップロードするカード画像の正規化。
+// グリッドと同じ 265x370 の比率に中央で切り抜き、表示用 (フルサイズ) とサムネイルの WebP を作る
+export const CARD_THUMBNAIL_SIZE = { width: 265, height: 370 };
+// カード編集モーダルの最大表示サイズ
+export const CARD_FULL_IMAGE_SIZE = { width: 795, height: 1110 };
+const CARD_IMAGE_TYPE = 'image/webp';
+const FULL_IMAGE_QUALITY = 0.9;
+const THUMBNAIL_QUALITY = 0.8;
+
+// 切り抜く範囲 (元画像の中央で 265:370 になる最大の矩形)
+const getCropRect = (width, height) => {
+  const targetRatio = CARD_THUMBNAIL_SIZE.width / CARD_THUMBNAIL_SIZE.height;
+  if (width / height > targetRatio) {
+    const cropWidth = Math.round(height * targetRatio);
+    return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+  }
+  const cropHeight = Math.round(width / targetRatio);
+  return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+};
+
+// 切り抜いた範囲を maxSize に収まるよう縮小して描画する (拡大はしない)
+const renderCardImage = (image, cropRect, maxSize, quality) => {
+  const scale = Math.min(1, maxSize.width / cropRect.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(cropRect.width * scale);
+  canvas.height = Math.round(cropRect.height * scale);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, cropRect.x, cropRect.y, cropRect.width, cropRect.height, 0, 0, canvas.width, canvas.height);
+  // WebP に対応していないブラウザ (古い Safari など) では PNG になる
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("画像を変換できませんでした。"))), CARD_IMAGE_TYPE, quality);
+  });
+};
+
+// 画像ファイルから { full, thumbnail } の Blob を作る
+export const createCardImageVersions = async (blob) => {
+  const image = await createImageBitmap(blob);
+  try {
+    const cropRect = getCropRect(image.width, image.height);
+    return {
+      full: await renderCardImage(image, cropRect, CARD_FULL_IMAGE_SIZE, FULL_IMAGE_QUALITY),
+      thumbnail: await renderCardImage(image, cropRect, CARD_THUMBNAIL_SIZE, THUMBNAIL_QUALITY),
+    };
+  } finally {
+    image.close();
+  }
+};
@@ -0,0 +1,8 @@
+// アーキタイプ (archetypeId) として見たときの評価。カードの archetypeRatings に上書きがなければ全体の評価 (評価がなければ null)。
+// profileId を指定すると、全体の評価として rating の代わりにそのプロファイルの評価 (profileRatings) を使う
+export const getCardRating = (card, archetypeId, profileId = '') => {
+  const override = archetypeId ? (card.archetypeRatings || {})[archetypeId] : undefined;
+  if (typeof override === 'number') return override;
+  const rating = profileId ? (card.profileRatings || {})[profileId] : card.rating;
+  return typeof rating === 'number' ? rating : null;
+};
@@ -0,0 +1,25 @@
+import { getCardRating } from './cardRatings';
+
+const card = { id: 'card', rating: 2.5, archetypeRatings: { 青黒: 4.0, 白青: null }, profileRatings: { week1: 3.0, preview: null } };
+
+test('uses the archetype override before the card rating', () => {
+  expect(getCardRating(card, '青黒')).toBe(4.0);
+  expect(getCardRating(card, '赤緑')).toBe(2.5);
+  expect(getCardRating(card, '白青')).toBe(2.5);
+  expect(getCardRating(card, '')).toBe(2.5);
+});
+
+test('uses the profile rating instead of the card rating', () => {
+  expect(getCardRating(card, '', 'week1')).toBe(3.0);
+  expect(getCardRating(card, '赤緑', 'week1')).toBe(3.0);
+  expect(getCardRating(card, '青黒', 'week1')).toBe(4.0);
+  // プロファイルで評価していないカードは全体の評価を使わない
+  expect(getCardRating(card, '', 'preview')).toBeNull();
+  expect(getCardRating(card, '', 'deleted')).toBeNull();
+});
+
+test('returns null without any rating', () => {
+  expect(getCardRating({ id: 'unrated' }, '')).toBeNull();
+  expect(getCardRating({ id: 'unrated', rating: null, archetypeRatings: { 青黒: 3.0 } }, '赤緑')).toBeNull();
+  expect(getCardRating({ id: 'zero', rating: 0 }, '')).toBe(0);
+});
@@ -0,0 +1,94 @@
+import { SCRYFALL_COLOR_MAP } from './scryfall';
+import { DRAFT_COLORS, getDraftCardColors, DRAFT_MANA_COSTS } from './draftAssistant';
+
+// デッキ構築 (40枚のリミテッドデッキ)
+export const DECK_SIZE = 40;
+export const BASIC_LANDS = [
+  { color: '白', name: '平地', englishName: 'Plains' },
+  { color: '青', name: '島', englishName: 'Island' },
+  { color: '黒', name: '沼', englishName: 'Swamp' },
+  { color: '赤', name: '山', englishName: 'Mountain' },
+  { color: '緑', name: '森', englishName: 'Forest' },
+];
+
+export const isLandCard = (card) => card.type === '土地';
+
+// 色マナのシンボルの数。manaCostSymbols ({2}{W}{W} など) がなければカードの色を1つずつ数える。
+// 混成マナ ({W/U}) はそれぞれの色に 0.5 ずつ数える
+export const countManaPips = (cards) => {
+  const pips = Object.fromEntries(DRAFT_COLORS.map(color => [color, 0]));
+  cards.filter(card => !isLandCard(card)).forEach(card => {
+    const symbols = (card.manaCostSymbols || '').match(/\{[^}]+\}/g);
+    if (!symbols) {
+      getDraftCardColors(card).forEach(color => { pips[color]++; });
+      return;
+    }
+    symbols.forEach(symbol => {
+      const colors = (symbol.match(/[WUBRG]/g) || []).map(letter => SCRYFALL_COLOR_MAP[letter]);
+      colors.forEach(color => { pips[color] += 1 / colors.length; });
+    });
+  });
+  return pips;
+};
+
+// 基本土地の枚数を色マナのシンボルの比率で割り振る (最大剰余方式)
+export const suggestBasicLands = (pips, landCount) => {
+  const totalPips = DRAFT_COLORS.reduce((sum, color) => sum + pips[color], 0);
+  const suggestion = Object.fromEntries(DRAFT_COLORS.map(color => [color, 0]));
+  if (totalPips === 0 || landCount <= 0) return suggestion;
+  const exact = DRAFT_COLORS.map(color => ({ color, value: (pips[color] / totalPips) * landCount }));
+  exact.forEach(({ color, value }) => { suggestion[color] = Math.floor(value); });
+  let remaining = landCount - DRAFT_COLORS.reduce((sum, color) => sum + suggestion[color], 0);
+  exact
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+    .forEach(({ color }) => {
+      if (remaining > 0) {
+        suggestion[color]++;
+        remaining--;
+      }
+    });
+  return suggestion;
+};
+
+// メインデッキのマナカーブ (土地以外、コストごとのクリーチャー/それ以外)、クリーチャーの枚数、色マナのシンボル
+export const buildDeckStats = (mainCards) => {
+  const spells = mainCards.filter(card => !isLandCard(card));
+  const curve = Object.fromEntries(DRAFT_MANA_COSTS.map(cost => [cost, { creatures: 0, others: 0 }]));
+  let unknownCost = 0;
+  spells.forEach(card => {
+    if (card.manaCost === null || card.manaCost === undefined || Number.isNaN(card.manaCost)) {
+      unknownCost++;
+      return;
+    }
+    const bucket = curve[Math.min(card.manaCost, DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1])];
+    if (card.type === 'クリーチャー') bucket.creatures++;
+    else bucket.others++;
+  });
+  const creatures = spells.filter(card => card.type === 'クリーチャー').length;
+  return {
+    curve,
+    unknownCost,
+    creatures,
+    nonCreatures: spells.length - creatures,
+    lands: mainCards.length - spells.length,
+    pips: countManaPips(spells),
+  };
+};
+
+export const getBasicLandCount = (basicLands) => BASIC_LANDS.reduce((sum, land) => sum + ((basicLands || {})[land.color] || 0), 0);
+
+// MTG Arena などに貼り付けられるデッキリスト (英語名があれば英語名を使う)
+export const buildDeckList = (mainCards, sideboardCards, basicLands) => {
+  const toLines = (cardList) => {
+    const counts = new Map();
+    cardList.forEach(card => {
+      const name = card.englishName || card.name;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    return [...counts].map(([name, count]) => `${count} ${name}`);
+  };
+  const landLines = BASIC_LANDS
+    .filter(land => (basicLands || {})[land.color] > 0)
+    .map(land => `${basicLands[land.color]} ${land.englishName}`);
+  return ['Deck', ...toLines(mainCards), ...landLines, '', 'Sideboard', ...toLines(sideboardCards)].join('\n');
+};
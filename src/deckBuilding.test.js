@@ -0,0 +1,62 @@
+import { countManaPips, suggestBasicLands, buildDeckStats, getBasicLandCount, buildDeckList } from './deckBuilding';
+
+const card = (name, fields = {}) => ({ id: name, name, type: 'クリーチャー', ...fields });
+const noPips = { 白: 0, 青: 0, 黒: 0, 赤: 0, 緑: 0 };
+
+test('counts colored mana symbols, splitting hybrid symbols between colors', () => {
+  const pips = countManaPips([
+    card('knight', { manaCostSymbols: '{1}{W}{W}', color: ['白'] }),
+    card('hybrid', { manaCostSymbols: '{W/U}{2}', color: ['白', '青'] }),
+    card('gold', { manaCostSymbols: '{B}{R}', color: ['黒', '赤'] }),
+  ]);
+  expect(pips).toEqual({ 白: 2.5, 青: 0.5, 黒: 1, 赤: 1, 緑: 0 });
+});
+
+test('counts one pip per color without mana symbols and skips lands', () => {
+  expect(countManaPips([
+    card('elf', { color: ['緑'] }),
+    card('gold', { color: ['緑', '白'] }),
+    card('artifact', { color: ['無色'] }),
+    card('forest', { type: '土地', color: ['緑'], manaCostSymbols: '{G}' }),
+  ])).toEqual({ ...noPips, 白: 1, 緑: 2 });
+});
+
+test('splits lands by the share of pips and rounds by the largest remainder', () => {
+  expect(suggestBasicLands({ ...noPips, 白: 10, 青: 7 }, 17)).toEqual({ ...noPips, 白: 10, 青: 7 });
+  // 8.5 + 5.67 + 2.83: 端数の大きい黒と青に1枚ずつ足す
+  expect(suggestBasicLands({ ...noPips, 白: 6, 青: 4, 黒: 2 }, 17)).toEqual({ ...noPips, 白: 8, 青: 6, 黒: 3 });
+  const splash = suggestBasicLands({ ...noPips, 赤: 12, 緑: 9.5, 黒: 1 }, 16);
+  expect(Object.values(splash).reduce((sum, count) => sum + count, 0)).toBe(16);
+  expect(splash).toEqual({ ...noPips, 赤: 8, 緑: 7, 黒: 1 });
+});
+
+test('suggests no lands without pips or land slots', () => {
+  expect(suggestBasicLands(noPips, 17)).toEqual(noPips);
+  expect(suggestBasicLands({ ...noPips, 白: 5 }, 0)).toEqual(noPips);
+});
+
+test('builds the mana curve of the spells in the main deck', () => {
+  const stats = buildDeckStats([
+    card('two', { manaCost: 2, color: ['白'] }),
+    card('removal', { manaCost: 2, type: 'インスタント', color: ['黒'] }),
+    card('huge', { manaCost: 9, color: ['緑'] }),
+    card('unknown', { manaCost: null, color: ['緑'] }),
+    card('dual', { type: '土地', manaCost: 0 }),
+  ]);
+  expect(stats.curve[2]).toEqual({ creatures: 1, others: 1 });
+  expect(stats.curve[6]).toEqual({ creatures: 1, others: 0 });
+  expect(stats).toMatchObject({ unknownCost: 1, creatures: 3, nonCreatures: 1, lands: 1 });
+  expect(stats.pips).toEqual({ ...noPips, 白: 1, 黒: 1, 緑: 2 });
+});
+
+test('exports the main deck with basic lands and a sideboard section', () => {
+  const mainCards = [card('熊', { englishName: 'Grizzly Bears' }), card('熊', { englishName: 'Grizzly Bears' }), card('名前だけ')];
+  const sideboardCards = [card('ショック', { englishName: 'Shock' })];
+  const basicLands = { 緑: 9, 白: 0, 赤: 8 };
+  expect(getBasicLandCount(basicLands)).toBe(17);
+  expect(getBasicLandCount(undefined)).toBe(0);
+  expect(buildDeckList(mainCards, sideboardCards, basicLands)).toBe(
+    'Deck\n2 Grizzly Bears\n1 名前だけ\n8 Mountain\n9 Forest\n\nSideboard\n1 Shock'
+  );
+  expect(buildDeckList(mainCards, [], null)).toBe('Deck\n2 Grizzly Bears\n1 名前だけ\n\nSideboard');
+});
@@ -0,0 +1,94 @@
+import { PRIMARY_COLORS } from './cardFields';
+
+// ドラフトのピック補助 (評価・ボム・ピック済みの色からパック内のカードを順位付けする)
+export const DRAFT_COLORS = PRIMARY_COLORS.filter(color => color !== '無色');
+export const DRAFT_BOMB_BONUS = 1.0;
+const DRAFT_COLOR_FIT_BONUS = 0.5;
+const DRAFT_OFF_COLOR_PENALTY = 1.0;
+const DRAFT_COMMITMENT_PICKS = 15; // このピック数で色が決まったとみなす (それまでは色の補正を弱める)
+
+export const getDraftCardColors = (card) =>
+  (Array.isArray(card.color) ? card.color : [card.color]).filter(color => DRAFT_COLORS.includes(color));
+
+// ピック済みのカードの色ごとの枚数と重み、寄せている2色、色の決まり具合 (0〜1)。
+// 重みは評価 (ボムは加点) の合計で、多色のカードはそれぞれの色に数える
+export const getDraftColorProfile = (poolCards) => {
+  const counts = Object.fromEntries(DRAFT_COLORS.map(color => [color, 0]));
+  const weights = Object.fromEntries(DRAFT_COLORS.map(color => [color, 0]));
+  poolCards.forEach(card => getDraftCardColors(card).forEach(color => {
+    counts[color]++;
+    weights[color] += (card.rating || 0) + (card.isBomb ? DRAFT_BOMB_BONUS : 0);
+  }));
+  const totalWeight = DRAFT_COLORS.reduce((sum, color) => sum + weights[color], 0);
+  const mainColors = DRAFT_COLORS
+    .filter(color => weights[color] > 0)
+    .sort((a, b) => weights[b] - weights[a])
+    .slice(0, 2);
+  return { counts, weights, totalWeight, mainColors, commitment: Math.min(1, poolCards.length / DRAFT_COMMITMENT_PICKS) };
+};
+
+export const DRAFT_PLAYABLE_RATING = 2.5; // この評価以上のカードをデッキに入るカードとして数える
+export const DRAFT_REMOVAL_ATTRIBUTE_NAME = '除去';
+export const DRAFT_MANA_COSTS = [0, 1, 2, 3, 4, 5, 6]; // 6 は 6以上
+export const DRAFT_POOL_COLOR_GROUPS = [...DRAFT_COLORS, '多色', '無色'];
+
+// カードの色のグループ (単色・多色・無色)
+export const getDraftColorGroup = (card) => {
+  const colors = getDraftCardColors(card);
+  if (colors.length === 0) return '無色';
+  return colors.length > 1 ? '多色' : colors[0];
+};
+
+// ピック済みのカードを色のグループ × マナコストに分け、色ごとのプレイアブル・クリーチャー・除去の枚数を数える
+export const buildDraftPoolSummary = (poolCards, customAttributes) => {
+  const removalAttr = customAttributes.find(attr => attr.name === DRAFT_REMOVAL_ATTRIBUTE_NAME);
+  const grid = Object.fromEntries(DRAFT_POOL_COLOR_GROUPS.map(group => [group, { byCost: {}, unknownCost: [] }]));
+  const colorStats = Object.fromEntries(DRAFT_POOL_COLOR_GROUPS.map(group => [group, { playables: 0, creatures: 0, removal: 0 }]));
+
+  poolCards.forEach(card => {
+    const cell = grid[getDraftColorGroup(card)];
+    if (card.manaCost === null || card.manaCost === undefined || Number.isNaN(card.manaCost)) {
+      cell.unknownCost.push(card);
+    } else {
+      const cost = Math.min(card.manaCost, DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1]);
+      cell.byCost[cost] = [...(cell.byCost[cost] || []), card];
+    }
+
+    const colors = getDraftCardColors(card);
+    (colors.length > 0 ? colors : ['無色']).forEach(color => {
+      const stats = colorStats[color];
+      if ((card.rating || 0) >= DRAFT_PLAYABLE_RATING) stats.playables++;
+      if (card.type === 'クリーチャー') stats.creatures++;
+      if (removalAttr && (card.customAttributeIds || []).includes(removalAttr.id)) stats.removal++;
+    });
+  });
+  return { grid, colorStats };
+};
+
+// パックのカードを点数の高い順に並べる。entries は { key, card } の配列
+export const rankDraftPack = (entries, poolCards) => {
+  const { mainColors, commitment } = getDraftColorProfile(poolCards);
+  return entries.map(entry => {
+    const { card } = entry;
+    const reasons = [`評価 ${(card.rating || 0).toFixed(1)}`];
+    let score = card.rating || 0;
+    if (card.isBomb) {
+      score += DRAFT_BOMB_BONUS;
+      reasons.push(`ボム +${DRAFT_BOMB_BONUS.toFixed(1)}`);
+    }
+    const colors = getDraftCardColors(card);
+    if (colors.length > 0 && mainColors.length > 0 && commitment > 0) {
+      const offColors = colors.filter(color => !mainColors.includes(color));
+      if (offColors.length === 0) {
+        const bonus = DRAFT_COLOR_FIT_BONUS * commitment;
+        score += bonus;
+        reasons.push(`色が合う +${bonus.toFixed(1)}`);
+      } else {
+        const penalty = DRAFT_OFF_COLOR_PENALTY * commitment * (offColors.length / colors.length);
+        score -= penalty;
+        reasons.push(`色が合わない (${offColors.join('')}) -${penalty.toFixed(1)}`);
+      }
+    }
+    return { ...entry, score, reasons };
+  }).sort((a, b) => b.score - a.score);
+};
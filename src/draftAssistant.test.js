@@ -0,0 +1,82 @@
+import { getDraftColorProfile, getDraftColorGroup, buildDraftPoolSummary, rankDraftPack } from './draftAssistant';
+
+const card = (id, color, rating, fields = {}) => ({ id, name: id, color: [color].flat(), rating, ...fields });
+const toEntries = (cards) => cards.map(c => ({ key: c.id, card: c }));
+const rank = (cards, poolCards = []) => rankDraftPack(toEntries(cards), poolCards).map(entry => entry.key);
+
+// 白3枚・青2枚・赤1枚のピック済みのカード
+const pool = (size) => Array.from({ length: size }, (_, i) => card(`pool-${i}`, ['白', '白', '白', '青', '青', '赤'][i % 6], 3.0));
+
+test('finds the two main colors and how committed the picks are', () => {
+  expect(getDraftColorProfile([])).toMatchObject({ mainColors: [], commitment: 0 });
+  const profile = getDraftColorProfile(pool(6));
+  expect(profile.counts).toMatchObject({ 白: 3, 青: 2, 赤: 1, 黒: 0, 緑: 0 });
+  expect(profile.mainColors).toEqual(['白', '青']);
+  expect(profile.commitment).toBeCloseTo(6 / 15);
+  expect(getDraftColorProfile(pool(30)).commitment).toBe(1);
+});
+
+test('weighs the main colors by rating and bombs rather than by count', () => {
+  const profile = getDraftColorProfile([
+    card('w1', '白', 1.0), card('w2', '白', 1.0), card('w3', '白', 1.0),
+    card('b1', '黒', 4.0), card('r1', '赤', 2.0, { isBomb: true }), card('wb', ['白', '黒'], 2.0),
+  ]);
+  expect(profile.weights).toMatchObject({ 白: 5.0, 黒: 6.0, 赤: 3.0 });
+  expect(profile.totalWeight).toBe(14.0);
+  expect(profile.mainColors).toEqual(['黒', '白']);
+});
+
+test('adds the bomb bonus to the rating', () => {
+  const ranked = rankDraftPack(toEntries([card('solid', '赤', 3.5), card('bomb', '赤', 3.0, { isBomb: true })]), []);
+  expect(ranked.map(entry => entry.key)).toEqual(['bomb', 'solid']);
+  expect(ranked[0].score).toBe(4.0);
+  expect(ranked[0].reasons).toEqual(['評価 3.0', 'ボム +1.0']);
+});
+
+test('ignores colors before the first pick and weighs them as the picks commit', () => {
+  const pack = [card('off-color', '赤', 3.5), card('on-color', '白', 3.0)];
+  expect(rank(pack)).toEqual(['off-color', 'on-color']);
+
+  const early = rankDraftPack(toEntries(pack), pool(3));
+  expect(early.map(entry => entry.key)).toEqual(['off-color', 'on-color']);
+  expect(early.find(entry => entry.key === 'on-color').score).toBeCloseTo(3.0 + 0.5 * (3 / 15));
+
+  const committed = rankDraftPack(toEntries(pack), pool(15));
+  expect(committed.map(entry => entry.key)).toEqual(['on-color', 'off-color']);
+  expect(committed[0]).toMatchObject({ score: 3.5, reasons: ['評価 3.0', '色が合う +0.5'] });
+  expect(committed[1]).toMatchObject({ score: 2.5, reasons: ['評価 3.5', '色が合わない (赤) -1.0'] });
+});
+
+test('penalizes multicolored cards by the share of colors outside the main colors', () => {
+  const [gold] = rankDraftPack(toEntries([card('gold', ['白', '黒'], 3.0)]), pool(15));
+  expect(gold.score).toBe(2.5);
+  expect(gold.reasons).toEqual(['評価 3.0', '色が合わない (黒) -0.5']);
+  const [colorless] = rankDraftPack(toEntries([card('artifact', '無色', 3.0)]), pool(15));
+  expect(colorless.score).toBe(3.0);
+});
+
+test('keeps the pack order for cards with the same score', () => {
+  const pack = [card('a', '赤', 2.0), card('b', '緑', 2.0), card('c', '黒', 2.0, { isBomb: true }), card('d', '赤', 2.0)];
+  expect(rank(pack)).toEqual(['c', 'a', 'b', 'd']);
+  expect(rank([...pack].reverse())).toEqual(['c', 'd', 'b', 'a']);
+});
+
+test('groups cards by color and mana cost and counts playables, creatures and removal per color', () => {
+  const removal = { id: 'attr-removal', name: '除去' };
+  const poolCards = [
+    card('w2', '白', 3.0, { manaCost: 2, type: 'クリーチャー' }),
+    card('w8', '白', 2.0, { manaCost: 8, type: 'クリーチャー' }),
+    card('wb', ['白', '黒'], 3.5, { manaCost: 3, customAttributeIds: ['attr-removal'] }),
+    card('art', '無色', 2.5, { manaCost: null }),
+  ];
+  expect(poolCards.map(getDraftColorGroup)).toEqual(['白', '白', '多色', '無色']);
+
+  const { grid, colorStats } = buildDraftPoolSummary(poolCards, [removal]);
+  expect(grid.白.byCost).toEqual({ 2: [poolCards[0]], 6: [poolCards[1]] });
+  expect(grid.多色.byCost).toEqual({ 3: [poolCards[2]] });
+  expect(grid.無色.unknownCost).toEqual([poolCards[3]]);
+  expect(colorStats.白).toEqual({ playables: 2, creatures: 2, removal: 1 });
+  expect(colorStats.黒).toEqual({ playables: 1, creatures: 0, removal: 1 });
+  expect(colorStats.無色).toEqual({ playables: 1, creatures: 0, removal: 0 });
+  expect(buildDraftPoolSummary(poolCards, []).colorStats.白.removal).toBe(0);
+});
@@ -0,0 +1,22 @@
+import { connectAuthEmulator } from 'firebase/auth';
+import { connectFirestoreEmulator } from 'firebase/firestore';
+import { connectStorageEmulator } from 'firebase/storage';
+
+// Firebase エミュレーターの設定 (ポートは firebase.json と合わせる)
+// REACT_APP_USE_FIREBASE_EMULATORS=true で起動すると、Auth/Firestore/Storage をローカルのエミュレーターに向ける
+export const USE_FIREBASE_EMULATORS = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+export const FIREBASE_EMULATOR_HOST = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || '127.0.0.1';
+export const FIREBASE_EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 };
+
+// Firebase の設定がない場合にエミュレーターで使う設定。"demo-" で始まるプロジェクトIDは本番環境に接続されない
+export const EMULATOR_FIREBASE_CONFIG = {
+  apiKey: 'demo-api-key',
+  projectId: 'demo-mtg-limited-helper',
+  storageBucket: 'demo-mtg-limited-helper.appspot.com',
+};
+
+export const connectFirebaseEmulators = ({ auth, db, storage }, host = FIREBASE_EMULATOR_HOST) => {
+  if (auth) connectAuthEmulator(auth, `http://${host}:${FIREBASE_EMULATOR_PORTS.auth}`, { disableWarnings: true });
+  if (db) connectFirestoreEmulator(db, host, FIREBASE_EMULATOR_PORTS.firestore);
+  if (storage) connectStorageEmulator(storage, host, FIREBASE_EMULATOR_PORTS.storage);
+};
@@ -0,0 +1,44 @@
+import { toArchiveDate } from './setArchive';
+import { DRAFT_BOMB_BONUS } from './draftAssistant';
+
+// ピック順のクイズ。評価 (ボムは加点) の差が QUIZ_MIN_SCORE_GAP 以上あるカードを並べ、一番上のカードを当てる。
+// 評価は getRating (グリッドや Tier 表と同じ、プロファイル・アーキタイプ・チームの評価を反映したもの) で求める
+const QUIZ_MIN_SCORE_GAP = 0.5;
+const QUIZ_MAX_ATTEMPTS = 50;
+
+const getQuizScore = (card, getRating) => (getRating(card) || 0) + (card.isBomb ? DRAFT_BOMB_BONUS : 0);
+
+// 評価のあるカードから optionCount 枚の問題を作る (作れなければ null)。
+// 評価 0.0 はアップロードしたときの既定値なので、評価していないカードとして出題しない
+export const buildQuizQuestion = (setCards, optionCount, getRating, random = Math.random) => {
+  const ratedCards = setCards.filter(card => {
+    const rating = getRating(card);
+    return typeof rating === 'number' && rating > 0;
+  });
+  if (ratedCards.length < optionCount) return null;
+  for (let attempt = 0; attempt < QUIZ_MAX_ATTEMPTS; attempt++) {
+    const options = [];
+    while (options.length < optionCount) {
+      const card = ratedCards[Math.floor(random() * ratedCards.length)];
+      if (!options.includes(card)) options.push(card);
+    }
+    const scores = options.map(card => getQuizScore(card, getRating)).sort((a, b) => b - a);
+    if (scores[0] - scores[1] >= QUIZ_MIN_SCORE_GAP) return options.map(card => card.id);
+  }
+  return null;
+};
+
+// 問題のカードのうち、評価が一番高いカードのID
+export const getQuizAnswerId = (options, getRating) =>
+  options.reduce((best, card) => (getQuizScore(card, getRating) > getQuizScore(best, getRating) ? card : best)).id;
+
+// クイズごとの一致率 (古い順)
+export const buildQuizHistory = (quizzes) => quizzes
+  .filter(quiz => (quiz.answers || []).length > 0)
+  .map(quiz => ({
+    id: quiz.id,
+    date: toArchiveDate(quiz.createdAt),
+    total: quiz.answers.length,
+    correct: quiz.answers.filter(answer => answer.correct).length,
+  }))
+  .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
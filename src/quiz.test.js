@@ -0,0 +1,57 @@
+import { buildQuizQuestion, getQuizAnswerId, buildQuizHistory } from './quiz';
+
+const card = (id, rating, fields = {}) => ({ id, name: id, rating, ...fields });
+const setCards = [card('a', 4.0), card('b', 3.0), card('c', 3.2), card('d', 1.0), card('unrated', null), card('default', 0.0)];
+const getRating = (c) => c.rating;
+
+// random() が返す値を順番に返す (カードの位置 = 値 × 枚数)
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+const at = (index, count) => (index + 0.5) / count;
+
+test('picks distinct rated cards with a clear best card', () => {
+  const random = sequence(at(0, 4), at(0, 4), at(1, 4), at(3, 4));
+  expect(buildQuizQuestion(setCards, 3, getRating, random)).toEqual(['a', 'b', 'd']);
+});
+
+test('tries again when the top two cards are too close', () => {
+  // b (3.0) と c (3.2) は差が 0.5 未満なので作り直す
+  const random = sequence(at(1, 4), at(2, 4), at(2, 4), at(3, 4));
+  expect(buildQuizQuestion(setCards, 2, getRating, random)).toEqual(['c', 'd']);
+});
+
+test('gives up without enough rated cards or without a clear best card', () => {
+  // 評価なし (null) と既定値の 0.0 のカードは出題しないので、出題できるのは4枚
+  expect(buildQuizQuestion(setCards, 5, getRating)).toBeNull();
+  expect(buildQuizQuestion([card('x', 3.0), card('y', 3.0), card('z', 3.4)], 2, getRating)).toBeNull();
+});
+
+test('uses the given rating instead of the rating saved on the card', () => {
+  // プロファイルやチームの評価ではカードの rating と順位が変わる
+  const teamRatings = { a: 1.0, b: 3.0, c: 4.5, d: null };
+  const getTeamRating = (c) => teamRatings[c.id] ?? null;
+  const random = sequence(at(0, 3), at(1, 3), at(2, 3));
+  expect(buildQuizQuestion(setCards, 3, getTeamRating, random)).toEqual(['a', 'b', 'c']);
+  expect(getQuizAnswerId(setCards.filter(c => ['a', 'b', 'c'].includes(c.id)), getTeamRating)).toBe('c');
+  expect(buildQuizQuestion(setCards, 4, getTeamRating)).toBeNull();
+});
+
+test('counts the bomb bonus when choosing the answer', () => {
+  expect(getQuizAnswerId([card('solid', 3.5), card('bomb', 3.0, { isBomb: true })], getRating)).toBe('bomb');
+  expect(getQuizAnswerId([card('low', 1.0), card('high', 2.5)], getRating)).toBe('high');
+});
+
+test('lists the agreement of answered quizzes from the oldest', () => {
+  const history = buildQuizHistory([
+    { id: 'q-new', createdAt: new Date('2024-06-02T00:00:00Z'), answers: [{ correct: true }, { correct: false }, { correct: true }] },
+    { id: 'q-empty', createdAt: new Date('2024-06-03T00:00:00Z'), answers: [] },
+    { id: 'q-old', createdAt: { toDate: () => new Date('2024-06-01T00:00:00Z') }, answers: [{ correct: false }] },
+    { id: 'q-missing' },
+  ]);
+  expect(history).toEqual([
+    { id: 'q-old', date: '2024-06-01T00:00:00.000Z', total: 1, correct: 0 },
+    { id: 'q-new', date: '2024-06-02T00:00:00.000Z', total: 3, correct: 2 },
+  ]);
+});
@@ -0,0 +1,187 @@
+import { normalizeRating } from './storage';
+import { CARD_TYPES, PRIMARY_COLORS, RARITIES } from './cardFields';
+
+// 評価CSV (評価・コスト・コメントなどの一括入出力) の列定義。カード名 + セット名で照合する
+const RATING_CSV_COLUMNS = ['name', 'set', 'rating', 'manaCost', 'isBomb', 'rarity', 'type', 'color', 'customAttributes', 'comment'];
+export const CSV_LIST_SEPARATOR = '|'; // 色・カスタム属性など複数値の区切り文字
+export const RATING_CSV_CLEAR_MARKER = '(なし)'; // カスタム属性・コメントを空にするときにセルに書く値
+export const RATING_CSV_FIELD_LABELS = {
+  rating: '評価',
+  manaCost: 'マナコスト',
+  isBomb: 'ボムレア',
+  rarity: 'レアリティ',
+  type: 'カードタイプ',
+  color: '色',
+  customAttributeIds: 'カスタム属性',
+  comment: 'コメント',
+};
+
+const escapeCsvValue = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n');
+
+// RFC 4180 準拠の簡易CSVパーサー (ダブルクォート内の改行・カンマに対応)
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+const parseCsvBoolean = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (['true', '1', 'yes', 'y', 'はい', '○', '◯'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'n', 'いいえ', '×', '-'].includes(normalized)) return false;
+  return undefined;
+};
+
+const splitCsvList = (value) => value.split(CSV_LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+
+// 未設定・空文字・空の配列は同じ「値なし」として比べる
+const toComparableValue = (value) =>
+  (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0) ? null : value);
+
+// カード一覧を評価CSVの文字列に変換
+export const buildRatingCsv = (cards, sets, customAttributes) => {
+  const rows = cards.map(card => [
+    card.name || '',
+    sets.find(s => s.id === card.setId)?.name || '',
+    card.rating !== undefined && card.rating !== null ? card.rating : '',
+    card.manaCost !== undefined && card.manaCost !== null ? card.manaCost : '',
+    card.isBomb ? 'true' : 'false',
+    card.rarity || '',
+    card.type || '',
+    (Array.isArray(card.color) ? card.color : [card.color].filter(Boolean)).join(CSV_LIST_SEPARATOR),
+    (card.customAttributeIds || [])
+      .map(attrId => customAttributes.find(ca => ca.id === attrId)?.name)
+      .filter(Boolean)
+      .join(CSV_LIST_SEPARATOR),
+    card.comment || '',
+  ]);
+  return toCsv([RATING_CSV_COLUMNS, ...rows]);
+};
+
+// 評価CSVの内容と既存カードを照合し、変更内容と照合できなかった行の一覧を作る。
+// 空欄のセルは「変更なし」として扱う (カスタム属性・コメントを空にするには RATING_CSV_CLEAR_MARKER を書く)。
+// set 列が空の行は fallbackSetId のセットで照合する。
+export const buildRatingCsvImportPlan = (rows, cards, sets, customAttributes, fallbackSetId) => {
+  const changes = [];
+  const unmatched = [];
+  if (rows.length === 0) return { changes, unmatched };
+
+  const header = rows[0].map(h => h.trim());
+  const columnIndex = Object.fromEntries(RATING_CSV_COLUMNS.map(col => [col, header.indexOf(col)]));
+  if (columnIndex.name === -1) {
+    unmatched.push({ rowNumber: 1, name: '', setName: '', reason: 'ヘッダー行に name 列がありません。' });
+    return { changes, unmatched };
+  }
+
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2; // ヘッダー行を1行目として数える
+    const cell = (col) => (columnIndex[col] !== -1 && row[columnIndex[col]] !== undefined ? row[columnIndex[col]].trim() : '');
+    const name = cell('name');
+    const setName = cell('set');
+    const reportUnmatched = (reason) => unmatched.push({ rowNumber, name, setName, reason });
+
+    const targetSet = setName ? sets.find(s => s.name === setName) : sets.find(s => s.id === fallbackSetId);
+    if (!targetSet) return reportUnmatched(setName ? 'セットが見つかりません。' : 'セットが指定されていません。');
+    const matchedCards = cards.filter(card => card.setId === targetSet.id && card.name === name);
+    if (matchedCards.length === 0) return reportUnmatched('カードが見つかりません。');
+    if (matchedCards.length > 1) return reportUnmatched('同名のカードが複数あります。');
+    const card = matchedCards[0];
+
+    const fields = {};
+    const problems = [];
+    if (cell('rating')) {
+      const rating = parseFloat(cell('rating'));
+      if (isNaN(rating)) problems.push(`評価が数値ではありません: ${cell('rating')}`);
+      else fields.rating = normalizeRating(rating);
+    }
+    if (cell('manaCost')) {
+      const manaCost = parseInt(cell('manaCost'));
+      if (isNaN(manaCost) || manaCost < 0) problems.push(`マナコストが不正です: ${cell('manaCost')}`);
+      else fields.manaCost = manaCost;
+    }
+    if (cell('isBomb')) {
+      const isBomb = parseCsvBoolean(cell('isBomb'));
+      if (isBomb === undefined) problems.push(`isBomb の値が不正です: ${cell('isBomb')}`);
+      else fields.isBomb = isBomb;
+    }
+    if (cell('rarity')) {
+      if (!RARITIES.includes(cell('rarity'))) problems.push(`不明なレアリティ: ${cell('rarity')}`);
+      else fields.rarity = cell('rarity');
+    }
+    if (cell('type')) {
+      if (!CARD_TYPES.includes(cell('type'))) problems.push(`不明なカードタイプ: ${cell('type')}`);
+      else fields.type = cell('type');
+    }
+    if (cell('color')) {
+      const colors = splitCsvList(cell('color'));
+      const unknownColors = colors.filter(c => !PRIMARY_COLORS.includes(c));
+      if (unknownColors.length > 0) problems.push(`不明な色: ${unknownColors.join(', ')}`);
+      else fields.color = colors;
+    }
+    if (cell('customAttributes') === RATING_CSV_CLEAR_MARKER) {
+      fields.customAttributeIds = [];
+    } else if (cell('customAttributes')) {
+      const attrNames = splitCsvList(cell('customAttributes'));
+      const unknownNames = attrNames.filter(attrName => !customAttributes.some(ca => ca.name === attrName));
+      if (unknownNames.length > 0) problems.push(`不明なカスタム属性: ${unknownNames.join(', ')}`);
+      else fields.customAttributeIds = attrNames.map(attrName => customAttributes.find(ca => ca.name === attrName).id);
+    }
+    if (cell('comment')) {
+      fields.comment = cell('comment') === RATING_CSV_CLEAR_MARKER ? '' : cell('comment');
+    }
+    if (problems.length > 0) return reportUnmatched(problems.join(' / '));
+
+    const diffs = Object.entries(fields)
+      .filter(([field, value]) => JSON.stringify(toComparableValue(card[field])) !== JSON.stringify(toComparableValue(value)))
+      .map(([field, value]) => ({ field, before: card[field], after: value }));
+    if (diffs.length > 0) {
+      changes.push({
+        rowNumber,
+        card,
+        setName: targetSet.name,
+        fields: Object.fromEntries(diffs.map(d => [d.field, d.after])),
+        diffs,
+      });
+    }
+  });
+
+  return { changes, unmatched };
+};
@@ -0,0 +1,99 @@
+import { parseCsv, buildRatingCsv, buildRatingCsvImportPlan } from './ratingCsv';
+
+const sets = [{ id: 'set-1', name: 'テストセット' }, { id: 'set-2', name: '別のセット' }];
+const customAttributes = [{ id: 'attr-1', name: '除去' }, { id: 'attr-2', name: '飛行' }];
+const cards = [
+  { id: 'card-1', setId: 'set-1', name: 'ショック', rating: 3.0, manaCost: 1, isBomb: false, color: ['赤'], customAttributeIds: ['attr-1'], comment: '' },
+  { id: 'card-2', setId: 'set-1', name: '熊', rating: 2.0, manaCost: 2, isBomb: false, color: ['緑'], type: 'クリーチャー' },
+  { id: 'card-3', setId: 'set-2', name: 'ショック', rating: 2.5, manaCost: 1, color: ['赤'] },
+  { id: 'card-4', setId: 'set-1', name: '双子', rating: 1.0 },
+  { id: 'card-5', setId: 'set-1', name: '双子', rating: 1.0 },
+];
+
+const HEADER = 'name,set,rating,manaCost,isBomb,rarity,type,color,customAttributes,comment';
+const plan = (lines, fallbackSetId = 'set-1') =>
+  buildRatingCsvImportPlan(parseCsv([HEADER, ...lines].join('\n')), cards, sets, customAttributes, fallbackSetId);
+
+test('parses quoted fields with commas, quotes and line breaks', () => {
+  expect(parseCsv('a,"b,c","say ""hi""","line\nbreak"\n1,2,3,4')).toEqual([
+    ['a', 'b,c', 'say "hi"', 'line\nbreak'],
+    ['1', '2', '3', '4'],
+  ]);
+});
+
+test('parses CRLF line endings, a BOM and skips blank lines', () => {
+  expect(parseCsv('\uFEFFname,rating\r\nショック,3.5\r\n\r\n,\r\n熊,2\r\n')).toEqual([
+    ['name', 'rating'],
+    ['ショック', '3.5'],
+    ['熊', '2'],
+  ]);
+});
+
+test('exports ratings that parse back to the same cells', () => {
+  const rows = parseCsv(buildRatingCsv([{ ...cards[0], comment: 'タッチ可, "強い"' }], sets, customAttributes));
+  expect(rows[0]).toEqual(HEADER.split(','));
+  expect(rows[1]).toEqual(['ショック', 'テストセット', '3', '1', 'false', '', '', '赤', '除去', 'タッチ可, "強い"']);
+});
+
+test('plans only the fields that change and leaves empty cells unchanged', () => {
+  const { changes, unmatched } = plan([
+    'ショック,テストセット,3.46,,true,,,,除去|飛行,',
+    '熊,,2.0,2,false,,クリーチャー,緑,,',
+  ]);
+  expect(unmatched).toEqual([]);
+  expect(changes).toHaveLength(1);
+  expect(changes[0]).toMatchObject({
+    rowNumber: 2,
+    card: cards[0],
+    setName: 'テストセット',
+    fields: { rating: 3.5, isBomb: true, customAttributeIds: ['attr-1', 'attr-2'] },
+  });
+  expect(changes[0].diffs).toContainEqual({ field: 'rating', before: 3.0, after: 3.5 });
+});
+
+test('clears custom attributes and comments only with the clear marker', () => {
+  const { changes, unmatched } = plan([
+    'ショック,テストセット,,,,,,,(なし),(なし)',
+    '熊,,,,,,,,(なし),"(なし)"',
+  ]);
+  expect(unmatched).toEqual([]);
+  // 熊にはカスタム属性もコメントもないので変更はない
+  expect(changes).toHaveLength(1);
+  expect(changes[0].fields).toEqual({ customAttributeIds: [] });
+  expect(changes[0].diffs).toEqual([{ field: 'customAttributeIds', before: ['attr-1'], after: [] }]);
+
+  const [commented] = buildRatingCsvImportPlan(
+    parseCsv([HEADER, '熊,,,,,,,,,(なし)'].join('\n')), [{ ...cards[1], comment: '強い' }], sets, customAttributes, 'set-1',
+  ).changes;
+  expect(commented.fields).toEqual({ comment: '' });
+});
+
+test('matches cards by name within the named set or the fallback set', () => {
+  const { changes } = plan(['ショック,別のセット,4.0,,,,,,,', 'ショック,,1.5,,,,,,,']);
+  expect(changes.map(change => change.card.id)).toEqual(['card-3', 'card-1']);
+});
+
+test('reports rows with an unknown set, card or attribute and invalid values', () => {
+  const { changes, unmatched } = plan([
+    'ショック,存在しないセット,4.0,,,,,,,',
+    '存在しないカード,テストセット,4.0,,,,,,,',
+    '双子,テストセット,4.0,,,,,,,',
+    'ショック,テストセット,,,,,,,未知の属性,',
+    '熊,テストセット,強い,-1,たぶん,アンコモン?,呪文,紫,,',
+  ]);
+  expect(changes).toEqual([]);
+  expect(unmatched.map(row => [row.rowNumber, row.reason])).toEqual([
+    [2, 'セットが見つかりません。'],
+    [3, 'カードが見つかりません。'],
+    [4, '同名のカードが複数あります。'],
+    [5, '不明なカスタム属性: 未知の属性'],
+    [6, '評価が数値ではありません: 強い / マナコストが不正です: -1 / isBomb の値が不正です: たぶん'
+      + ' / 不明なレアリティ: アンコモン? / 不明なカードタイプ: 呪文 / 不明な色: 紫'],
+  ]);
+});
+
+test('reports a missing set and a header without a name column', () => {
+  expect(plan(['熊,,3.0,,,,,,,'], null).unmatched[0].reason).toBe('セットが指定されていません。');
+  const noName = buildRatingCsvImportPlan(parseCsv('card,rating\n熊,3.0'), cards, sets, customAttributes, 'set-1');
+  expect(noName).toEqual({ changes: [], unmatched: [{ rowNumber: 1, name: '', setName: '', reason: 'ヘッダー行に name 列がありません。' }] });
+});
@@ -0,0 +1,48 @@
+import { getSeventeenLandsStat, toPercentiles } from './seventeenLands';
+
+// 評価の比較に使える評価の一覧 ({ id, label, getRating })。基本の評価・評価プロファイル・チームの平均とメンバーごとの評価、
+// 17lands の GIH WR (カードの中での順位を 0〜5 に換算) のうち、カードに付いているものを返す
+export const buildRatingSources = (cards, ratingProfiles, votes, teamRatings) => {
+  const toRating = (value) => (typeof value === 'number' ? value : null);
+  const sources = [
+    { id: 'base', label: '基本の評価', getRating: card => toRating(card.rating) },
+    ...ratingProfiles.map(profile => ({
+      id: `profile:${profile.id}`,
+      label: `プロファイル: ${profile.name}`,
+      getRating: card => toRating((card.profileRatings || {})[profile.id]),
+    })),
+  ];
+
+  const cardIds = new Set(cards.map(card => card.id));
+  const memberNames = {};
+  votes.filter(vote => cardIds.has(vote.cardId)).forEach(vote => { memberNames[vote.memberId] = vote.memberName; });
+  if (Object.keys(memberNames).length > 0) {
+    sources.push({ id: 'team', label: 'チームの平均', getRating: card => (teamRatings[card.id] ? teamRatings[card.id].average : null) });
+    Object.entries(memberNames).forEach(([memberId, memberName]) => sources.push({
+      id: `member:${memberId}`,
+      label: `メンバー: ${memberName}`,
+      getRating: card => {
+        const vote = teamRatings[card.id] && teamRatings[card.id].votes.find(v => v.memberId === memberId);
+        return vote ? vote.rating : null;
+      },
+    }));
+  }
+
+  const cardsWithGih = cards.filter(card => getSeventeenLandsStat(card, 'gihWr') !== null);
+  if (cardsWithGih.length > 0) {
+    const gihPercentiles = toPercentiles(cardsWithGih.map(card => getSeventeenLandsStat(card, 'gihWr')));
+    const gihRatings = Object.fromEntries(cardsWithGih.map((card, index) => [card.id, Math.round(gihPercentiles[index] * 50) / 10]));
+    sources.push({ id: 'seventeenLands', label: '17lands GIH WR (順位を0〜5に換算)', getRating: card => gihRatings[card.id] ?? null });
+  }
+  return sources;
+};
+
+// 2つの評価を並べ、差 (A - B) の絶対値が大きい順に並べる (どちらかの評価がないカードは最後)
+export const buildRatingDiffs = (cards, sourceA, sourceB) => cards
+  .map(card => {
+    const ratingA = sourceA.getRating(card);
+    const ratingB = sourceB.getRating(card);
+    const difference = ratingA !== null && ratingB !== null ? Math.round((ratingA - ratingB) * 10) / 10 : null;
+    return { card, ratingA, ratingB, difference };
+  })
+  .sort((a, b) => (b.difference === null ? -1 : Math.abs(b.difference)) - (a.difference === null ? -1 : Math.abs(a.difference)));
@@ -0,0 +1,46 @@
+import { buildRatingSources, buildRatingDiffs } from './ratingDiffs';
+import { summarizeVotes } from './teamRatings';
+
+const cards = [
+  { id: 'card-1', name: 'A', rating: 4.0, profileRatings: { week1: 2.5 }, seventeenLands: { gihWr: 60.0 } },
+  { id: 'card-2', name: 'B', rating: 3.0, profileRatings: { week1: 3.2 }, seventeenLands: { gihWr: 55.0 } },
+  { id: 'card-3', name: 'C', rating: 2.0, profileRatings: {} },
+  { id: 'card-4', name: 'D', rating: 1.0, profileRatings: { week1: 3.0 }, seventeenLands: { gihWr: 50.0 } },
+];
+const profiles = [{ id: 'week1', name: '1週目' }];
+const votes = [
+  { cardId: 'card-1', memberId: 'alice', memberName: 'Alice', rating: 3.0, updatedAt: '2024-06-01T00:00:00.000Z' },
+  { cardId: 'card-1', memberId: 'bob', memberName: 'Bob', rating: 4.0, updatedAt: '2024-06-01T00:00:00.000Z' },
+  { cardId: 'other-set-card', memberId: 'carol', memberName: 'Carol', rating: 5.0, updatedAt: '2024-06-01T00:00:00.000Z' },
+];
+
+const byId = (sources) => Object.fromEntries(sources.map(source => [source.id, source]));
+
+test('lists the base rating, profiles, team members voting in the set and 17lands', () => {
+  const sources = buildRatingSources(cards, profiles, votes, summarizeVotes(votes));
+  expect(sources.map(source => source.id)).toEqual(['base', 'profile:week1', 'team', 'member:alice', 'member:bob', 'seventeenLands']);
+  const { team, 'member:alice': alice, seventeenLands } = byId(sources);
+  expect(team.getRating(cards[0])).toBe(3.5);
+  expect(team.getRating(cards[1])).toBeNull();
+  expect(alice.getRating(cards[0])).toBe(3.0);
+  expect(seventeenLands.getRating(cards[0])).toBe(5.0);
+  expect(seventeenLands.getRating(cards[1])).toBe(2.5);
+  expect(seventeenLands.getRating(cards[2])).toBeNull();
+});
+
+test('leaves out the team and 17lands without any data', () => {
+  const plainCards = cards.map(({ seventeenLands, ...card }) => card);
+  expect(buildRatingSources(plainCards, [], [], {}).map(source => source.id)).toEqual(['base']);
+});
+
+test('sorts by the absolute difference and puts cards missing from a source last', () => {
+  const { base, 'profile:week1': week1 } = byId(buildRatingSources(cards, profiles, [], {}));
+  const diffs = buildRatingDiffs(cards, base, week1);
+  expect(diffs.map(diff => [diff.card.id, diff.difference])).toEqual([
+    ['card-4', -2.0],
+    ['card-1', 1.5],
+    ['card-2', -0.2],
+    ['card-3', null],
+  ]);
+  expect(diffs[3]).toMatchObject({ ratingA: 2.0, ratingB: null });
+});
@@ -0,0 +1,106 @@
+// Scryfall のカードデータ (bulk data / セット単位のJSON) からの自動入力用マッピング
+export const SCRYFALL_COLOR_MAP = { W: '白', U: '青', B: '黒', R: '赤', G: '緑' };
+const SCRYFALL_RARITY_MAP = { common: 'コモン', uncommon: 'アンコモン', rare: 'レア', mythic: '神話レア', special: 'レア', bonus: '神話レア' };
+// タイプ行に複数のタイプが含まれる場合は先に一致したものを採用する (例: アーティファクト・クリーチャー → クリーチャー)
+const SCRYFALL_TYPE_PRIORITY = [
+  ['Land', '土地'],
+  ['Creature', 'クリーチャー'],
+  ['Planeswalker', 'プレインズウォーカー'],
+  ['Instant', 'インスタント'],
+  ['Sorcery', 'ソーサリー'],
+  ['Artifact', 'アーティファクト'],
+  ['Enchantment', 'エンチャント'],
+];
+const SCRYFALL_DOUBLE_FACED_LAYOUTS = ['transform', 'modal_dfc', 'reversible_card', 'double_faced_token'];
+
+export const normalizeCardNameKey = (name) => (name || '').trim().toLowerCase();
+const normalizeCollectorNumber = (number) => String(number || '').trim().toLowerCase().replace(/^0+(?=.)/, '');
+
+// bulk data (配列) と API の list オブジェクト ({ data: [...] }) のどちらにも対応
+export const extractScryfallCards = (json) => {
+  if (Array.isArray(json)) return json;
+  if (json && Array.isArray(json.data)) return json.data;
+  throw new Error("Scryfallのカードデータとして読み込めませんでした。");
+};
+
+// セットコード (例: MH3) が指定されていれば、そのセットのカードだけにする
+export const filterScryfallCardsBySet = (scryfallCards, setCode) => (setCode.trim()
+  ? scryfallCards.filter(sc => (sc.set || '').toLowerCase() === setCode.trim().toLowerCase())
+  : scryfallCards
+);
+
+// 名前・コレクター番号からScryfallカードを引くためのインデックスを作る
+export const buildScryfallIndex = (scryfallCards) => {
+  const byName = new Map();
+  const byCollectorNumber = new Map();
+  const addTo = (map, key, scryfallCard) => {
+    if (!key) return;
+    const list = map.get(key) || [];
+    if (!list.includes(scryfallCard)) list.push(scryfallCard);
+    map.set(key, list);
+  };
+  scryfallCards.forEach(scryfallCard => {
+    addTo(byName, normalizeCardNameKey(scryfallCard.name), scryfallCard);
+    addTo(byName, normalizeCardNameKey(scryfallCard.printed_name), scryfallCard);
+    (scryfallCard.card_faces || []).forEach(face => {
+      addTo(byName, normalizeCardNameKey(face.name), scryfallCard);
+      addTo(byName, normalizeCardNameKey(face.printed_name), scryfallCard);
+    });
+    addTo(byCollectorNumber, normalizeCollectorNumber(scryfallCard.collector_number), scryfallCard);
+  });
+  return { byName, byCollectorNumber };
+};
+
+// カード名 (アップロード時のファイル名) を名前、次にコレクター番号として照合する
+export const findScryfallCandidates = (card, scryfallIndex) => {
+  const byName = scryfallIndex.byName.get(normalizeCardNameKey(card.name));
+  if (byName && byName.length > 0) return { matchedBy: 'name', candidates: byName };
+  const byNumber = scryfallIndex.byCollectorNumber.get(normalizeCollectorNumber(card.name));
+  if (byNumber && byNumber.length > 0) return { matchedBy: 'collectorNumber', candidates: byNumber };
+  return { matchedBy: null, candidates: [] };
+};
+
+// Scryfallカード1枚から、このツールのカードフィールドを組み立てる
+export const getScryfallCardFields = (scryfallCard) => {
+  const faces = scryfallCard.card_faces || [];
+  const frontFace = faces[0] || scryfallCard;
+  const colors = (scryfallCard.colors || frontFace.colors || []).map(c => SCRYFALL_COLOR_MAP[c]).filter(Boolean);
+  const typeLine = frontFace.type_line || scryfallCard.type_line || '';
+  const typeEntry = SCRYFALL_TYPE_PRIORITY.find(([englishType]) => typeLine.includes(englishType));
+  const isDoubleFaced = SCRYFALL_DOUBLE_FACED_LAYOUTS.includes(scryfallCard.layout) && faces.length > 1;
+
+  return {
+    displayName: scryfallCard.printed_name || frontFace.printed_name || frontFace.name || scryfallCard.name,
+    fields: {
+      manaCost: typeof scryfallCard.cmc === 'number' ? Math.floor(scryfallCard.cmc) : null,
+      manaCostSymbols: frontFace.mana_cost || scryfallCard.mana_cost || '',
+      color: colors.length > 0 ? colors : ['無色'],
+      type: typeEntry ? typeEntry[1] : '',
+      typeLine,
+      rarity: SCRYFALL_RARITY_MAP[scryfallCard.rarity] || '',
+      isDoubleFaced,
+      backFaceImageUrl: isDoubleFaced ? (faces[1].image_uris?.normal || null) : null,
+      englishName: frontFace.name || scryfallCard.name || '', // 17lands など英語名のデータとの照合用
+      scryfallId: scryfallCard.id || null,
+      collectorNumber: scryfallCard.collector_number || '',
+    },
+  };
+};
+
+// カードに書き込むフィールド。Scryfall に値がない項目は書かず、overwriteFilled でなければ入力済みの項目も書かない。
+// コレクター番号 (ファイル名) で一致したカードは renameByCollectorNumber なら名前も Scryfall の名前にする
+export const buildScryfallUpdateFields = (card, scryfallCard, matchedBy, { overwriteFilled = true, renameByCollectorNumber = true } = {}) => {
+  const { displayName, fields } = getScryfallCardFields(scryfallCard);
+  const updateFields = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    const currentValue = card[field];
+    const isFilled = Array.isArray(currentValue) ? currentValue.length > 0 : currentValue !== undefined && currentValue !== null && currentValue !== '' && currentValue !== false;
+    if (value === null || value === '') return;
+    if (isFilled && !overwriteFilled) return;
+    updateFields[field] = value;
+  });
+  if (matchedBy === 'collectorNumber' && renameByCollectorNumber) {
+    updateFields.name = displayName;
+  }
+  return updateFields;
+};
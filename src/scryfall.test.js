@@ -0,0 +1,129 @@
+import {
+  extractScryfallCards, filterScryfallCardsBySet, buildScryfallIndex, findScryfallCandidates, getScryfallCardFields, buildScryfallUpdateFields,
+} from './scryfall';
+
+const golem = {
+  id: 'sf-golem',
+  name: 'Steel Golem',
+  printed_name: '鋼のゴーレム',
+  collector_number: '007',
+  layout: 'normal',
+  cmc: 4.0,
+  mana_cost: '{4}',
+  colors: [],
+  type_line: 'Artifact Creature — Golem',
+  rarity: 'uncommon',
+};
+
+const werewolf = {
+  id: 'sf-werewolf',
+  name: 'Village Watcher // Moonlit Hunter',
+  collector_number: '150',
+  layout: 'transform',
+  cmc: 2.0,
+  rarity: 'mythic',
+  card_faces: [
+    { name: 'Village Watcher', printed_name: '村の見張り', mana_cost: '{1}{G}', colors: ['G'], type_line: 'Creature — Human Werewolf' },
+    { name: 'Moonlit Hunter', mana_cost: '', colors: ['G'], type_line: 'Creature — Werewolf', image_uris: { normal: 'https://example.com/back.jpg' } },
+  ],
+};
+
+const adventurer = {
+  id: 'sf-adventurer',
+  name: 'Bold Knight // Charge',
+  layout: 'adventure',
+  cmc: 3.5,
+  colors: ['W', 'R'],
+  rarity: 'rare',
+  card_faces: [
+    { name: 'Bold Knight', mana_cost: '{1}{W}{R}', type_line: 'Creature — Human Knight' },
+    { name: 'Charge', mana_cost: '{R}', type_line: 'Instant — Adventure' },
+  ],
+};
+
+test('reads bulk data arrays and API list objects', () => {
+  expect(extractScryfallCards([golem])).toEqual([golem]);
+  expect(extractScryfallCards({ object: 'list', data: [golem] })).toEqual([golem]);
+  expect(() => extractScryfallCards({ object: 'card' })).toThrow();
+});
+
+test('finds cards by name, face name or collector number', () => {
+  const index = buildScryfallIndex([golem, werewolf, adventurer]);
+  expect(findScryfallCandidates({ name: ' steel golem ' }, index)).toEqual({ matchedBy: 'name', candidates: [golem] });
+  expect(findScryfallCandidates({ name: '鋼のゴーレム' }, index).candidates).toEqual([golem]);
+  expect(findScryfallCandidates({ name: '村の見張り' }, index).candidates).toEqual([werewolf]);
+  expect(findScryfallCandidates({ name: 'Charge' }, index).candidates).toEqual([adventurer]);
+  expect(findScryfallCandidates({ name: '7' }, index)).toEqual({ matchedBy: 'collectorNumber', candidates: [golem] });
+  expect(findScryfallCandidates({ name: 'unknown' }, index)).toEqual({ matchedBy: null, candidates: [] });
+});
+
+test('maps a single-faced card to card fields', () => {
+  expect(getScryfallCardFields(golem)).toEqual({
+    displayName: '鋼のゴーレム',
+    fields: expect.objectContaining({
+      manaCost: 4,
+      manaCostSymbols: '{4}',
+      color: ['無色'],
+      type: 'クリーチャー',
+      typeLine: 'Artifact Creature — Golem',
+      rarity: 'アンコモン',
+      isDoubleFaced: false,
+      backFaceImageUrl: null,
+      englishName: 'Steel Golem',
+      scryfallId: 'sf-golem',
+      collectorNumber: '007',
+    }),
+  });
+});
+
+test('uses the front face of a double-faced card and keeps the back face image', () => {
+  const { displayName, fields } = getScryfallCardFields(werewolf);
+  expect(displayName).toBe('村の見張り');
+  expect(fields).toMatchObject({
+    manaCost: 2,
+    manaCostSymbols: '{1}{G}',
+    color: ['緑'],
+    type: 'クリーチャー',
+    typeLine: 'Creature — Human Werewolf',
+    rarity: '神話レア',
+    isDoubleFaced: true,
+    backFaceImageUrl: 'https://example.com/back.jpg',
+    englishName: 'Village Watcher',
+  });
+});
+
+test('treats adventure cards as single-faced and maps every color', () => {
+  const { fields } = getScryfallCardFields(adventurer);
+  expect(fields).toMatchObject({
+    manaCost: 3,
+    manaCostSymbols: '{1}{W}{R}',
+    color: ['白', '赤'],
+    type: 'クリーチャー',
+    isDoubleFaced: false,
+    backFaceImageUrl: null,
+  });
+  expect(getScryfallCardFields({ name: 'Token', type_line: 'Token' }).fields).toMatchObject({ manaCost: null, type: '', rarity: '' });
+});
+
+test('filters cards by set code ignoring case and spaces', () => {
+  const cards = [{ ...golem, set: 'mh3' }, { ...werewolf, set: 'dsk' }];
+  expect(filterScryfallCardsBySet(cards, ' MH3 ')).toEqual([cards[0]]);
+  expect(filterScryfallCardsBySet(cards, '')).toBe(cards);
+});
+
+test('fills only empty fields of an uploaded card unless overwriting', () => {
+  const uploaded = { id: 'card-1', name: '007', color: ['白'], rarity: '', type: '', manaCost: null, isDoubleFaced: false };
+  const fields = buildScryfallUpdateFields(uploaded, golem, 'collectorNumber', { overwriteFilled: false });
+  expect(fields).toMatchObject({ name: '鋼のゴーレム', manaCost: 4, type: 'クリーチャー', rarity: 'アンコモン' });
+  expect(fields).not.toHaveProperty('color');
+
+  expect(buildScryfallUpdateFields(uploaded, golem, 'collectorNumber').color).toEqual(['無色']);
+  expect(buildScryfallUpdateFields(uploaded, golem, 'collectorNumber', { renameByCollectorNumber: false })).not.toHaveProperty('name');
+  expect(buildScryfallUpdateFields({ ...uploaded, name: 'Steel Golem' }, golem, 'name')).not.toHaveProperty('name');
+});
+
+test('keeps an uploaded back face image when not overwriting', () => {
+  const uploaded = { id: 'card-2', name: '150', color: ['緑'], isDoubleFaced: true, backFaceImageUrl: 'local-image:back.webp' };
+  expect(buildScryfallUpdateFields(uploaded, werewolf, 'collectorNumber', { overwriteFilled: false })).not.toHaveProperty('backFaceImageUrl');
+  expect(buildScryfallUpdateFields(uploaded, werewolf, 'collectorNumber').backFaceImageUrl).toBe('https://example.com/back.jpg');
+});
@@ -0,0 +1,84 @@
+import { DRAFT_COLORS, DRAFT_BOMB_BONUS, getDraftCardColors, DRAFT_REMOVAL_ATTRIBUTE_NAME } from './draftAssistant';
+import { isLandCard } from './deckBuilding';
+
+// シールドのプールの評価 (2色の組み合わせと、強いカードをタッチする組み合わせを順位付けする)
+export const SEALED_POOL_SIZE = 84; // 6パック × 14枚
+const SEALED_DECK_SPELLS = 23; // 40枚 - 土地17枚
+const SEALED_SPLASH_RATING = 3.5; // この評価以上 (またはボム) のカードだけをタッチする
+const SEALED_MAX_SPLASH_CARDS = 3;
+const SEALED_BOMB_BONUS = 0.3;
+const SEALED_REMOVAL_BONUS = 0.1;
+const SEALED_MAX_REMOVAL_BONUS_CARDS = 6;
+const SEALED_SPLASH_PENALTY = 0.2; // タッチするカード1枚ごと
+const SEALED_CURVE_PENALTY = 0.1; // 2マナ域・クリーチャーが目安に届かない1枚ごと
+const SEALED_MIN_TWO_DROPS = 4;
+const SEALED_MIN_CREATURES = 13;
+
+export const getColorPairs = () => DRAFT_COLORS.flatMap((first, i) => DRAFT_COLORS.slice(i + 1).map(second => [first, second]));
+
+// ビルドのカードを評価の高い順に並べ、メインデッキの呪文 (最大23枚) と残りに分ける
+export const splitSealedBuild = (buildCards) => {
+  const sorted = [...buildCards]
+    .filter(card => !isLandCard(card))
+    .sort((a, b) => ((b.rating || 0) + (b.isBomb ? DRAFT_BOMB_BONUS : 0)) - ((a.rating || 0) + (a.isBomb ? DRAFT_BOMB_BONUS : 0)));
+  return { mainCards: sorted.slice(0, SEALED_DECK_SPELLS), restCards: sorted.slice(SEALED_DECK_SPELLS) };
+};
+
+// 1つのビルド (2色 + タッチ) の評価
+const scoreSealedBuild = (colors, splashColor, buildCards, splashCards, removalAttr, playableRating) => {
+  const { mainCards } = splitSealedBuild(buildCards);
+  const isRemoval = (card) => Boolean(removalAttr) && (card.customAttributeIds || []).includes(removalAttr.id);
+  const playables = buildCards.filter(card => !isLandCard(card) && (card.rating || 0) >= playableRating).length;
+  const removal = mainCards.filter(isRemoval).length;
+  const bombs = mainCards.filter(card => card.isBomb).length;
+  const twoDrops = mainCards.filter(card => card.manaCost === 2).length;
+  const creatures = mainCards.filter(card => card.type === 'クリーチャー').length;
+
+  const averageRating = mainCards.reduce((sum, card) => sum + (card.rating || 0), 0) / SEALED_DECK_SPELLS;
+  const reasons = [`上位${SEALED_DECK_SPELLS}枚の平均評価 ${averageRating.toFixed(2)}`];
+  let score = averageRating;
+  if (bombs > 0) {
+    score += bombs * SEALED_BOMB_BONUS;
+    reasons.push(`ボム${bombs}枚 +${(bombs * SEALED_BOMB_BONUS).toFixed(1)}`);
+  }
+  const removalBonus = Math.min(removal, SEALED_MAX_REMOVAL_BONUS_CARDS) * SEALED_REMOVAL_BONUS;
+  if (removalBonus > 0) {
+    score += removalBonus;
+    reasons.push(`除去${removal}枚 +${removalBonus.toFixed(1)}`);
+  }
+  const curvePenalty = (Math.max(0, SEALED_MIN_TWO_DROPS - twoDrops) + Math.max(0, SEALED_MIN_CREATURES - creatures)) * SEALED_CURVE_PENALTY;
+  if (curvePenalty > 0) {
+    score -= curvePenalty;
+    reasons.push(`2マナ域${twoDrops}枚・クリーチャー${creatures}枚 -${curvePenalty.toFixed(1)}`);
+  }
+  if (splashCards.length > 0) {
+    score -= splashCards.length * SEALED_SPLASH_PENALTY;
+    reasons.push(`タッチ${splashCards.length}枚 -${(splashCards.length * SEALED_SPLASH_PENALTY).toFixed(1)}`);
+  }
+  return {
+    key: `${colors.join('')}${splashColor ? `+${splashColor}` : ''}`,
+    colors, splashColor, splashCards, buildCards,
+    playables, removal, bombs, twoDrops, creatures, score, reasons,
+  };
+};
+
+// プールから作れる2色のビルドと、2色 + 1色タッチのビルドを評価の高い順に返す
+export const evaluateSealedPool = (poolCards, customAttributes, playableRating) => {
+  const removalAttr = customAttributes.find(attr => attr.name === DRAFT_REMOVAL_ATTRIBUTE_NAME);
+  const fitsColors = (card, colors) => getDraftCardColors(card).every(color => colors.includes(color));
+  const builds = [];
+  getColorPairs().forEach(colors => {
+    const baseCards = poolCards.filter(card => fitsColors(card, colors));
+    builds.push(scoreSealedBuild(colors, null, baseCards, [], removalAttr, playableRating));
+    DRAFT_COLORS.filter(color => !colors.includes(color)).forEach(splashColor => {
+      const splashCards = poolCards
+        .filter(card => !fitsColors(card, colors) && fitsColors(card, [...colors, splashColor]))
+        .filter(card => card.isBomb || (card.rating || 0) >= SEALED_SPLASH_RATING)
+        .sort((a, b) => (b.rating || 0) - (a.rating || 0))
+        .slice(0, SEALED_MAX_SPLASH_CARDS);
+      if (splashCards.length === 0) return;
+      builds.push(scoreSealedBuild(colors, splashColor, [...baseCards, ...splashCards], splashCards, removalAttr, playableRating));
+    });
+  });
+  return builds.sort((a, b) => b.score - a.score);
+};
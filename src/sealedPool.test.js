@@ -0,0 +1,83 @@
+import { getColorPairs, splitSealedBuild, evaluateSealedPool } from './sealedPool';
+
+const PLAYABLE_RATING = 2.5;
+const removalAttr = { id: 'attr-removal', name: '除去' };
+
+let nextCardId = 0;
+const makeCards = (color, count, fields = {}) => Array.from({ length: count }, (_, i) => ({
+  id: `card-${nextCardId++}`,
+  name: `${color} ${i}`,
+  color: [color],
+  type: 'クリーチャー',
+  manaCost: (i % 5) + 1,
+  rating: 2.0,
+  ...fields,
+}));
+
+const basePool = [
+  ...makeCards('白', 14, { rating: 3.5 }),
+  ...makeCards('青', 14, { rating: 3.0 }),
+  ...makeCards('黒', 14),
+  ...makeCards('赤', 14),
+  ...makeCards('緑', 14),
+  ...makeCards('無色', 6, { type: '土地', manaCost: 0, rating: 4.0 }),
+];
+
+test('lists every pair of the five colors', () => {
+  const pairs = getColorPairs();
+  expect(pairs).toHaveLength(10);
+  expect(new Set(pairs.map(pair => pair.join(''))).size).toBe(10);
+});
+
+test('splits a build into the 23 best spells and the rest', () => {
+  const buildCards = [...makeCards('白', 20), ...makeCards('青', 10, { rating: 3.0 }), ...makeCards('無色', 3, { type: '土地' })];
+  const bomb = { ...makeCards('白', 1, { rating: 1.5, isBomb: true })[0], id: 'bomb' };
+  const { mainCards, restCards } = splitSealedBuild([...buildCards, bomb]);
+
+  expect(mainCards).toHaveLength(23);
+  expect(restCards).toHaveLength(8);
+  expect(mainCards.slice(0, 10).every(card => card.rating === 3.0)).toBe(true);
+  expect(mainCards.map(card => card.id)).toContain('bomb');
+  expect([...mainCards, ...restCards].some(card => card.type === '土地')).toBe(false);
+});
+
+test('ranks the colors with the best cards first', () => {
+  const builds = evaluateSealedPool(basePool, [], PLAYABLE_RATING);
+
+  expect(builds.filter(build => !build.splashColor)).toHaveLength(10);
+  // 評価 3.5 の白のカードは、白を含まない組み合わせにタッチできる
+  expect(builds.filter(build => build.splashColor).every(build => build.splashColor === '白' && !build.colors.includes('白'))).toBe(true);
+  expect(builds[0]).toMatchObject({ key: '白青', colors: ['白', '青'], splashColor: null, splashCards: [] });
+  expect(builds[0].playables).toBe(28);
+  expect(builds.map(build => build.score)).toEqual([...builds.map(build => build.score)].sort((a, b) => b - a));
+});
+
+test('splashes only strong cards of a third color', () => {
+  const strongRed = makeCards('赤', 4, { rating: 4.0 });
+  const splashable = [
+    ...strongRed,
+    { ...makeCards('赤', 1, { rating: 1.0, isBomb: true })[0], id: 'red-bomb' },
+    { ...makeCards('白', 1, { rating: 4.5 })[0], id: 'white-red', color: ['白', '赤'] },
+  ];
+  const builds = evaluateSealedPool([...basePool, ...splashable], [], PLAYABLE_RATING);
+  const splash = builds.find(build => build.key === '白青+赤');
+
+  expect(splash.splashCards.map(card => card.id)).toEqual(['white-red', strongRed[0].id, strongRed[1].id]);
+  expect(splash.buildCards).toHaveLength(28 + 6 + 3);
+  expect(splash.reasons).toContain('タッチ3枚 -0.6');
+  // 評価が低くボムでもない黒・緑のカードはタッチしない
+  expect(builds.some(build => build.splashColor === '黒' || build.splashColor === '緑')).toBe(false);
+});
+
+test('adds bonuses for bombs and removal in the main deck', () => {
+  const bombs = makeCards('白', 2, { rating: 3.5, isBomb: true });
+  const removal = makeCards('青', 3, { rating: 4.0, customAttributeIds: [removalAttr.id] });
+  const pool = [...basePool, ...bombs, ...removal];
+  const withoutBonus = evaluateSealedPool(pool, [], PLAYABLE_RATING).find(build => build.key === '白青');
+  const withBonus = evaluateSealedPool(pool, [removalAttr], PLAYABLE_RATING).find(build => build.key === '白青');
+
+  expect(withBonus).toMatchObject({ bombs: 2, removal: 3 });
+  expect(withoutBonus.removal).toBe(0);
+  expect(withBonus.score - withoutBonus.score).toBeCloseTo(0.3);
+  expect(withBonus.reasons).toContain('ボム2枚 +0.6');
+});
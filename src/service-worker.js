@@ -9,9 +9,18 @@
 
 import { clientsClaim } from 'workbox-core';
 import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
 import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
 import { registerRoute } from 'workbox-routing';
-import { StaleWhileRevalidate } from 'workbox-strategies';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import {
+  CARD_IMAGE_CACHE_NAME,
+  CARD_IMAGE_CACHE_MAX_ENTRIES,
+  CARD_IMAGE_CACHE_MAX_AGE_SECONDS,
+  PRECACHE_CARD_IMAGES_MESSAGE,
+  isCardImageUrl,
+  toCorsRequest,
+} from './cardImageCache';
 
 clientsClaim();
 
@@ -61,12 +70,66 @@ registerRoute(
   })
 );
 
+// Card images from Firebase Storage (and Scryfall) never change for a given
+// download URL, so serve them cache-first to make the card grid work offline.
+// <img> requests to another origin are no-cors, and their opaque responses are
+// counted as several MB each against the storage quota, so images are fetched
+// with CORS instead and only successful responses are cached. The Storage
+// bucket needs the CORS configuration in storage.cors.json for this
+// (gsutil cors set storage.cors.json gs://<bucket>).
+const cardImageStrategy = new CacheFirst({
+  cacheName: CARD_IMAGE_CACHE_NAME,
+  plugins: [
+    {
+      requestWillFetch: async ({ request }) => toCorsRequest(request.url),
+    },
+    new CacheableResponsePlugin({ statuses: [200] }),
+    new ExpirationPlugin({
+      maxEntries: CARD_IMAGE_CACHE_MAX_ENTRIES,
+      maxAgeSeconds: CARD_IMAGE_CACHE_MAX_AGE_SECONDS,
+      purgeOnQuotaError: true,
+    }),
+  ],
+});
+registerRoute(({ url }) => isCardImageUrl(url), cardImageStrategy);
+
+// Downloads every image of a set ahead of time ("pre-cache this set" in the app).
+// Progress and the final result are reported back through the message port.
+const precacheCardImages = async (event, urls) => {
+  const port = event.ports[0];
+  const cache = await caches.open(CARD_IMAGE_CACHE_NAME);
+  const result = { cached: 0, skipped: 0, failed: 0 };
+  for (const [index, url] of urls.entries()) {
+    try {
+      if (await cache.match(url)) {
+        result.skipped++;
+      } else {
+        // The second promise of handleAll settles once the response is written
+        // to the cache. Non-200 responses are not cached (CacheableResponsePlugin),
+        // so an image only counts as cached when it is actually in the cache.
+        const [response, done] = cardImageStrategy.handleAll({ event, request: toCorsRequest(url) });
+        await response;
+        await done;
+        if (!(await cache.match(url))) throw new Error(`Not cached: ${url}`);
+        result.cached++;
+      }
+    } catch (error) {
+      result.failed++;
+    }
+    if (port) port.postMessage({ type: 'PROGRESS', done: index + 1, total: urls.length });
+  }
+  if (port) port.postMessage({ type: 'DONE', result });
+};
+
 // This allows the web app to trigger skipWaiting via
 // registration.waiting.postMessage({type: 'SKIP_WAITING'})
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  if (event.data && event.data.type === PRECACHE_CARD_IMAGES_MESSAGE) {
+    event.waitUntil(precacheCardImages(event, event.data.urls || []));
+  }
 });
 
 // Any other custom service worker logic can go here.
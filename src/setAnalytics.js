@@ -0,0 +1,41 @@
+import { RARITIES } from './cardFields';
+import { DRAFT_MANA_COSTS, DRAFT_POOL_COLOR_GROUPS, getDraftColorGroup } from './draftAssistant';
+
+// セット全体の分析 (色・レアリティごとの評価の分布、マナカーブ、カスタム属性の枚数、ボムの割合)
+export const RATING_HISTOGRAM_BINS = [0, 1, 2, 3, 4, 5]; // 各ビンは n.0〜n.9 (5 は 5.0 のみ)
+const UNSET_RARITY_LABEL = '未設定';
+
+const getRatingBin = (card) => Math.min(Math.floor(card.rating || 0), RATING_HISTOGRAM_BINS[RATING_HISTOGRAM_BINS.length - 1]);
+
+export const buildSetAnalytics = (cards, customAttributes) => {
+  const rarityGroups = [...RARITIES, UNSET_RARITY_LABEL];
+  const emptyBins = (keys) => Object.fromEntries(keys.map(key => [key, 0]));
+  const byColor = Object.fromEntries(DRAFT_POOL_COLOR_GROUPS.map(group => [group, {
+    total: 0, bombs: 0, ratingBins: emptyBins(RATING_HISTOGRAM_BINS), curve: emptyBins(DRAFT_MANA_COSTS),
+  }]));
+  const byRarity = Object.fromEntries(rarityGroups.map(rarity => [rarity, {
+    total: 0, bombs: 0, ratingBins: emptyBins(RATING_HISTOGRAM_BINS),
+  }]));
+  // attributeCounts[属性ID][レアリティ][色のグループ] = 枚数
+  const attributeCounts = Object.fromEntries(customAttributes.map(attr => [attr.id, Object.fromEntries(
+    rarityGroups.map(rarity => [rarity, emptyBins(DRAFT_POOL_COLOR_GROUPS)])
+  )]));
+
+  cards.forEach(card => {
+    const colorGroup = getDraftColorGroup(card);
+    const rarity = RARITIES.includes(card.rarity) ? card.rarity : UNSET_RARITY_LABEL;
+    const ratingBin = getRatingBin(card);
+    [byColor[colorGroup], byRarity[rarity]].forEach(stats => {
+      stats.total++;
+      stats.ratingBins[ratingBin]++;
+      if (card.isBomb) stats.bombs++;
+    });
+    if (card.manaCost !== null && card.manaCost !== undefined && !Number.isNaN(card.manaCost)) {
+      byColor[colorGroup].curve[Math.min(card.manaCost, DRAFT_MANA_COSTS[DRAFT_MANA_COSTS.length - 1])]++;
+    }
+    (card.customAttributeIds || []).forEach(attrId => {
+      if (attributeCounts[attrId]) attributeCounts[attrId][rarity][colorGroup]++;
+    });
+  });
+  return { byColor, byRarity, attributeCounts, rarityGroups };
+};
@@ -0,0 +1,56 @@
+import { buildSetAnalytics } from './setAnalytics';
+
+const card = (id, fields = {}) => ({ id, name: id, color: ['白'], rarity: 'コモン', rating: 2.0, manaCost: 2, ...fields });
+const removal = { id: 'attr-removal', name: '除去' };
+
+test('buckets cards by color group with rating bins, bombs and the mana curve', () => {
+  const { byColor } = buildSetAnalytics([
+    card('w1', { rating: 3.5, manaCost: 1 }),
+    card('w2', { rating: 5.0, manaCost: 9, isBomb: true }),
+    card('gold', { color: ['白', '青'], rating: 4.2, manaCost: 3 }),
+    card('artifact', { color: ['無色'], rating: 0.5, manaCost: null }),
+  ], []);
+
+  expect(byColor.白).toMatchObject({ total: 2, bombs: 1 });
+  expect(byColor.白.ratingBins).toEqual({ 0: 0, 1: 0, 2: 0, 3: 1, 4: 0, 5: 1 });
+  expect(byColor.白.curve).toEqual({ 0: 0, 1: 1, 2: 0, 3: 0, 4: 0, 5: 0, 6: 1 });
+  expect(byColor.多色).toMatchObject({ total: 1, bombs: 0 });
+  expect(byColor.多色.curve[3]).toBe(1);
+  expect(byColor.無色.total).toBe(1);
+  expect(Object.values(byColor.無色.curve).every(count => count === 0)).toBe(true);
+  expect(byColor.青.total).toBe(0);
+});
+
+test('buckets cards by rarity and puts cards without a known rarity in their own group', () => {
+  const { byRarity, rarityGroups } = buildSetAnalytics([
+    card('c1'),
+    card('m1', { rarity: '神話レア', rating: 4.5, isBomb: true }),
+    card('x1', { rarity: undefined }),
+    card('x2', { rarity: 'プロモ' }),
+  ], []);
+
+  expect(rarityGroups).toEqual(['コモン', 'アンコモン', 'レア', '神話レア', '未設定']);
+  expect(byRarity.コモン).toMatchObject({ total: 1, bombs: 0 });
+  expect(byRarity.神話レア).toMatchObject({ total: 1, bombs: 1 });
+  expect(byRarity.神話レア.ratingBins[4]).toBe(1);
+  expect(byRarity.未設定.total).toBe(2);
+  expect(byRarity.アンコモン.total).toBe(0);
+});
+
+test('puts cards without a rating in the lowest rating bin', () => {
+  const { byColor } = buildSetAnalytics([card('unrated', { rating: undefined }), card('zero', { rating: 0 })], []);
+  expect(byColor.白.ratingBins[0]).toBe(2);
+});
+
+test('counts custom attributes by rarity and color group', () => {
+  const { attributeCounts } = buildSetAnalytics([
+    card('w1', { customAttributeIds: ['attr-removal'] }),
+    card('b1', { color: ['黒'], rarity: 'アンコモン', customAttributeIds: ['attr-removal', 'attr-deleted'] }),
+    card('w2'),
+  ], [removal]);
+
+  expect(Object.keys(attributeCounts)).toEqual(['attr-removal']);
+  expect(attributeCounts['attr-removal'].コモン.白).toBe(1);
+  expect(attributeCounts['attr-removal'].アンコモン.黒).toBe(1);
+  expect(attributeCounts['attr-removal'].レア.白).toBe(0);
+});
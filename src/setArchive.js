@@ -0,0 +1,26 @@
+// セットのバックアップ (エクスポート/インポート) 用アーカイブ形式
+export const SET_ARCHIVE_FORMAT = 'mtg-limited-helper/set-archive';
+export const SET_ARCHIVE_VERSION = 1;
+export const SET_ARCHIVE_JSON_NAME = 'set.json'; // zip 内の JSON ファイル名
+export const SET_ARCHIVE_IMAGE_DIR = 'images';
+
+// Firestore の Timestamp / Date を ISO 文字列に変換 (アーカイブ保存用)
+export const toArchiveDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// アーカイブ内の ISO 文字列を Date に戻す
+export const fromArchiveDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : new Date();
+};
+
+// MIME タイプから画像ファイルの拡張子を決める
+export const getImageExtension = (mimeType) => {
+  const subtype = (mimeType || '').split('/')[1];
+  if (!subtype) return 'png';
+  return subtype === 'jpeg' ? 'jpg' : subtype.split('+')[0];
+};
@@ -0,0 +1,24 @@
+import { toArchiveDate, fromArchiveDate, getImageExtension } from './setArchive';
+
+test('stores Firestore timestamps and dates as ISO strings', () => {
+  const date = new Date('2024-05-01T12:00:00.000Z');
+  expect(toArchiveDate({ toDate: () => date })).toBe('2024-05-01T12:00:00.000Z');
+  expect(toArchiveDate(date)).toBe('2024-05-01T12:00:00.000Z');
+  expect(toArchiveDate('2024-05-01T12:00:00.000Z')).toBe('2024-05-01T12:00:00.000Z');
+  expect(toArchiveDate(null)).toBeNull();
+});
+
+test('restores archived dates and uses the current time for missing or invalid ones', () => {
+  expect(fromArchiveDate('2024-05-01T12:00:00.000Z')).toEqual(new Date('2024-05-01T12:00:00.000Z'));
+  const before = Date.now();
+  expect(fromArchiveDate('not a date').getTime()).toBeGreaterThanOrEqual(before);
+  expect(fromArchiveDate(null).getTime()).toBeGreaterThanOrEqual(before);
+});
+
+test('picks the image file extension from the MIME type', () => {
+  expect(getImageExtension('image/jpeg')).toBe('jpg');
+  expect(getImageExtension('image/webp')).toBe('webp');
+  expect(getImageExtension('image/svg+xml')).toBe('svg');
+  expect(getImageExtension('')).toBe('png');
+  expect(getImageExtension(undefined)).toBe('png');
+});
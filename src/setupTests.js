@@ -3,3 +3,16 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jest 27 のテスト環境には Web Streams や TextEncoder が公開されておらず、
+// Firebase SDK (が使う undici) の読み込みに失敗するため Node の実装で補う
+if (typeof ReadableStream === 'undefined') {
+  Object.assign(global, require('stream/web'));
+}
+if (typeof TextEncoder === 'undefined') {
+  const { TextEncoder, TextDecoder } = require('util');
+  Object.assign(global, { TextEncoder, TextDecoder });
+}
+if (typeof crypto === 'undefined' || !crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+}
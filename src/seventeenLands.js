@@ -0,0 +1,89 @@
+import { normalizeCardNameKey } from './scryfall';
+
+// 17lands のカード評価CSV (card_ratings) から取り込む指標
+export const SEVENTEEN_LANDS_STATS = [
+  { key: 'gihWr', column: 'GIH WR', label: 'GIH WR', isPercent: true },
+  { key: 'ohWr', column: 'OH WR', label: 'OH WR', isPercent: true },
+  { key: 'alsa', column: 'ALSA', label: 'ALSA', isPercent: false },
+  { key: 'iwd', column: 'IWD', label: 'IWD', isPercent: false },
+];
+
+// "58.2%" や "4.5pp" のような値を数値に変換 (空欄は null)
+export const parseSeventeenLandsNumber = (value) => {
+  const parsed = parseFloat((value || '').replace(/[%p\s]/g, ''));
+  return isNaN(parsed) ? null : parsed;
+};
+
+export const formatSeventeenLandsStat = (stat, value) => {
+  if (value === undefined || value === null) return '-';
+  return stat.isPercent ? `${value.toFixed(1)}%` : stat.key === 'iwd' ? `${value > 0 ? '+' : ''}${value.toFixed(1)}pp` : value.toFixed(2);
+};
+
+export const getSeventeenLandsStat = (card, key) => {
+  const value = card.seventeenLands ? card.seventeenLands[key] : null;
+  return typeof value === 'number' ? value : null;
+};
+
+// 17lands の CSV 行をセット内のカードと照合する (英語名・カード名・両面カードの表面名)
+export const buildSeventeenLandsImportPlan = (rows, cards) => {
+  const matched = [];
+  const unmatched = [];
+  if (rows.length === 0) return { matched, unmatched };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const nameIndex = header.indexOf('name');
+  if (nameIndex === -1) {
+    unmatched.push({ rowNumber: 1, name: '', reason: 'ヘッダー行に Name 列がありません。' });
+    return { matched, unmatched };
+  }
+  const statIndexes = SEVENTEEN_LANDS_STATS.map(stat => [stat.key, header.indexOf(stat.column.toLowerCase())]);
+  const gihCountIndex = header.indexOf('# gih');
+
+  const cardsByName = new Map();
+  cards.forEach(card => {
+    [card.englishName, card.name].forEach(name => {
+      const key = normalizeCardNameKey(name);
+      if (key && !cardsByName.has(key)) cardsByName.set(key, card);
+    });
+  });
+
+  rows.slice(1).forEach((row, index) => {
+    const name = (row[nameIndex] || '').trim();
+    const card = cardsByName.get(normalizeCardNameKey(name)) || cardsByName.get(normalizeCardNameKey(name.split(' // ')[0]));
+    if (!card) {
+      unmatched.push({ rowNumber: index + 2, name, reason: 'カードが見つかりません。' });
+      return;
+    }
+    const stats = Object.fromEntries(statIndexes.map(([key, columnIndex]) => [key, columnIndex === -1 ? null : parseSeventeenLandsNumber(row[columnIndex])]));
+    stats.gihCount = gihCountIndex === -1 ? null : parseSeventeenLandsNumber(row[gihCountIndex]);
+    matched.push({ card, name, stats });
+  });
+
+  return { matched, unmatched };
+};
+
+// 順位をもとにした 0〜1 のパーセンタイル (同値は平均順位)
+export const toPercentiles = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return values.map(value => {
+    if (sorted.length < 2) return 0.5;
+    const below = sorted.filter(v => v < value).length;
+    const equal = sorted.filter(v => v === value).length;
+    return (below + (equal - 1) / 2) / (sorted.length - 1);
+  });
+};
+
+// 自分の評価と GIH WR の順位のずれが大きい順にカードを並べる
+export const buildRatingDiscrepancies = (cards) => {
+  const cardsWithData = cards.filter(card => getSeventeenLandsStat(card, 'gihWr') !== null);
+  const ratingPercentiles = toPercentiles(cardsWithData.map(card => card.rating || 0));
+  const gihPercentiles = toPercentiles(cardsWithData.map(card => getSeventeenLandsStat(card, 'gihWr')));
+  return cardsWithData
+    .map((card, index) => ({
+      card,
+      ratingPercentile: ratingPercentiles[index],
+      gihPercentile: gihPercentiles[index],
+      difference: ratingPercentiles[index] - gihPercentiles[index],
+    }))
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+};
@@ -0,0 +1,76 @@
+import {
+  SEVENTEEN_LANDS_STATS, parseSeventeenLandsNumber, formatSeventeenLandsStat, buildSeventeenLandsImportPlan, buildRatingDiscrepancies,
+} from './seventeenLands';
+
+const cards = [
+  { id: 'card-1', name: '村の見張り', englishName: 'Village Watcher', rating: 3.5 },
+  { id: 'card-2', name: 'Lightning Strike', rating: 3.0 },
+  { id: 'card-3', name: '熊', englishName: 'Grizzly Bears', rating: 1.5 },
+];
+
+const withGih = (card, gihWr) => ({ ...card, seventeenLands: { gihWr } });
+
+test('parses percentages and percentage points', () => {
+  expect(parseSeventeenLandsNumber('58.2%')).toBe(58.2);
+  expect(parseSeventeenLandsNumber(' 4.5pp ')).toBe(4.5);
+  expect(parseSeventeenLandsNumber('-1.2pp')).toBe(-1.2);
+  expect(parseSeventeenLandsNumber('3.41')).toBe(3.41);
+  expect(parseSeventeenLandsNumber('')).toBeNull();
+  expect(parseSeventeenLandsNumber(undefined)).toBeNull();
+});
+
+test('formats each stat for display', () => {
+  const [gihWr, , alsa, iwd] = SEVENTEEN_LANDS_STATS;
+  expect(formatSeventeenLandsStat(gihWr, 58.24)).toBe('58.2%');
+  expect(formatSeventeenLandsStat(alsa, 3.4)).toBe('3.40');
+  expect(formatSeventeenLandsStat(iwd, 4.5)).toBe('+4.5pp');
+  expect(formatSeventeenLandsStat(iwd, -1.25)).toBe('-1.3pp');
+  expect(formatSeventeenLandsStat(gihWr, null)).toBe('-');
+});
+
+test('matches rows by English name, card name and the front face name', () => {
+  const rows = [
+    ['Name', 'Color', 'GIH WR', '# GIH', 'ALSA', 'IWD'],
+    ['Village Watcher // Moonlit Hunter', 'G', '61.0%', '1200', '2.10', '5.5pp'],
+    ['lightning strike', 'R', '57.5%', '3400', '4.02', '1.0pp'],
+    ['GRIZZLY BEARS', 'G', '', '', '', ''],
+    ['Unknown Card', 'W', '50.0%', '10', '9.00', '0.0pp'],
+  ];
+  const { matched, unmatched } = buildSeventeenLandsImportPlan(rows, cards);
+  expect(matched.map(entry => [entry.card.id, entry.name])).toEqual([
+    ['card-1', 'Village Watcher // Moonlit Hunter'],
+    ['card-2', 'lightning strike'],
+    ['card-3', 'GRIZZLY BEARS'],
+  ]);
+  expect(matched[0].stats).toEqual({ gihWr: 61.0, ohWr: null, alsa: 2.1, iwd: 5.5, gihCount: 1200 });
+  expect(matched[2].stats).toEqual({ gihWr: null, ohWr: null, alsa: null, iwd: null, gihCount: null });
+  expect(unmatched).toEqual([{ rowNumber: 5, name: 'Unknown Card', reason: 'カードが見つかりません。' }]);
+});
+
+test('reports a header without a name column', () => {
+  expect(buildSeventeenLandsImportPlan([['Card', 'GIH WR'], ['Grizzly Bears', '50%']], cards)).toEqual({
+    matched: [],
+    unmatched: [{ rowNumber: 1, name: '', reason: 'ヘッダー行に Name 列がありません。' }],
+  });
+  expect(buildSeventeenLandsImportPlan([], cards)).toEqual({ matched: [], unmatched: [] });
+});
+
+test('sorts cards by the gap between rating and GIH WR percentiles', () => {
+  const discrepancies = buildRatingDiscrepancies([
+    withGih(cards[0], 55.0), // 評価は1位、GIH WR は最下位
+    withGih(cards[1], 60.0),
+    withGih(cards[2], 58.0),
+    { id: 'card-4', name: 'データなし', rating: 5.0 },
+  ]);
+  expect(discrepancies.map(entry => entry.card.id)).toEqual(['card-1', 'card-2', 'card-3']);
+  expect(discrepancies[0]).toMatchObject({ ratingPercentile: 1, gihPercentile: 0, difference: 1 });
+  expect(discrepancies[1]).toMatchObject({ ratingPercentile: 0.5, gihPercentile: 1, difference: -0.5 });
+  expect(discrepancies[2]).toMatchObject({ ratingPercentile: 0, gihPercentile: 0.5, difference: -0.5 });
+});
+
+test('places tied and single values in the middle', () => {
+  const tied = buildRatingDiscrepancies([withGih(cards[0], 55.0), withGih({ ...cards[1], rating: 3.5 }, 55.0)]);
+  expect(tied.map(entry => entry.difference)).toEqual([0, 0]);
+  expect(tied[0].ratingPercentile).toBe(0.5);
+  expect(buildRatingDiscrepancies([withGih(cards[2], 40.0)])[0]).toMatchObject({ ratingPercentile: 0.5, gihPercentile: 0.5 });
+});
@@ -0,0 +1,74 @@
+import { doc, getDoc, addDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, getDocs } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject, getBlob, listAll } from 'firebase/storage';
+
+// ダウンロードURLから Storage 上のパスを取り出す
+// 例: https://firebasestorage.googleapis.com/v0/b/<bucket>/o/card_images%2Fuid%2F001.png?alt=media → card_images/uid/001.png
+// (エミュレーターの http://127.0.0.1:9199/v0/b/<bucket>/o/... も同じ形式)
+export const getStoragePathFromUrl = (imageUrl) => {
+  const url = new URL(imageUrl);
+  const objectPathIndex = url.pathname.indexOf('/o/');
+  if (objectPathIndex === -1) throw new Error(`Not a Firebase Storage download URL: ${imageUrl}`);
+  return decodeURIComponent(url.pathname.substring(objectPathIndex + 3));
+};
+
+// Firestore + Firebase Storage を使う保存先。
+// basePath 配下のコレクション (cards, sets, customAttributes, drafts, decks, quizzes, votes) にドキュメントを保存する
+export const createFirestoreBackend = ({ db, storage, basePath }) => {
+  const collectionRef = (collectionName) => collection(db, `${basePath}/${collectionName}`);
+  const docRef = (collectionName, id) => doc(db, `${basePath}/${collectionName}`, id);
+  const toDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+  return {
+    kind: 'firebase',
+
+    subscribe: (collectionName, onChange, onError) =>
+      onSnapshot(collectionRef(collectionName), (snapshot) => onChange(toDocs(snapshot)), onError),
+
+    // filters は { フィールド名: 値 } の等価条件
+    list: async (collectionName, filters = {}) => {
+      const constraints = Object.entries(filters).map(([field, value]) => where(field, '==', value));
+      const snapshot = await getDocs(query(collectionRef(collectionName), ...constraints));
+      return toDocs(snapshot);
+    },
+
+    // ID を指定して1件読む (なければ null)
+    get: async (collectionName, id) => {
+      const snapshot = await getDoc(docRef(collectionName, id));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    },
+
+    add: async (collectionName, data) => {
+      const newDocRef = await addDoc(collectionRef(collectionName), data);
+      return newDocRef.id;
+    },
+
+    update: (collectionName, id, fields) => updateDoc(docRef(collectionName, id), fields),
+
+    remove: (collectionName, id) => deleteDoc(docRef(collectionName, id)),
+
+    uploadImage: async (path, blob) => {
+      const storageRef = ref(storage, path);
+      await uploadBytes(storageRef, blob);
+      return getDownloadURL(storageRef);
+    },
+
+    deleteImage: (imageUrl) => deleteObject(ref(storage, getStoragePathFromUrl(imageUrl))),
+
+    // 画像URLの保存先のパス (Storage のダウンロードURLでなければ null)
+    getImagePath: (imageUrl) => {
+      try {
+        return getStoragePathFromUrl(imageUrl);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // prefix 配下に保存されている画像の { path, url } の一覧
+    listImages: async (prefix) => {
+      const { items } = await listAll(ref(storage, prefix));
+      return Promise.all(items.map(async item => ({ path: item.fullPath, url: await getDownloadURL(item) })));
+    },
+
+    getImageBlob: (imageUrl) => getBlob(ref(storage, imageUrl)),
+  };
+};
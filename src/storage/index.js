@@ -0,0 +1,167 @@
+import { CARD_IMAGE_FIELDS, uploadCardImage, toCardImageFields } from './operations';
+
+export { createFirestoreBackend, getStoragePathFromUrl } from './firestoreBackend';
+export { createIndexedDbBackend, LOCAL_IMAGE_URL_PREFIX } from './indexedDbBackend';
+export {
+  getWorkspaceBasePath, getWorkspaceImagePathPrefix, subscribeWorkspaces, createWorkspace, joinWorkspace, leaveWorkspace,
+} from './workspaces';
+export {
+  CARD_IMAGE_FIELDS, normalizeRating, hashImage, uploadCardImage, toCardImageFields, findDuplicateImages,
+  uploadCards, withCardHistory, updateCard, deleteCard, deleteCustomAttribute, forkRatingProfile, deleteRatingProfile, saveVote, deleteSet,
+  getCardsNeedingImageMigration, migrateCardImagePaths,
+  findImageProblems, isThumbnailPath, relinkCardImage, unlinkCardImage, deleteOrphanedImages,
+} from './operations';
+
+// IDを振り直して複製するコレクション
+const MIGRATED_COLLECTIONS = ['sets', 'cards', 'drafts', 'decks', 'quizzes', 'votes'];
+
+// source の全データ (セット・カスタム属性・カード・画像・ドラフト・デッキ・クイズ・チームの評価) を target に複製する。
+// セット・カード・ドラフト・デッキなどのIDは振り直し、カスタム属性は target の同名属性があればそれを使う。
+// imagePathPrefix は target 側で画像を保存するパス (例: card_images/<uid>)。
+// migratedIds は前回までの結果の migratedIds ({ コレクション名: { 移行元のID: 移行先のID } }) で、
+// 移行先に残っているドキュメントは複製し直さない (失敗したカードだけをもう一度移行できる)
+export const migrateStorageData = async (source, target, { imagePathPrefix, onProgress, migratedIds = {} } = {}) => {
+  const [sourceSets, sourceAttributes, sourceCards, sourceDrafts, sourceDecks, sourceQuizzes, sourceVotes, targetAttributes] = await Promise.all([
+    source.list('sets'),
+    source.list('customAttributes'),
+    source.list('cards'),
+    source.list('drafts'),
+    source.list('decks'),
+    source.list('quizzes'),
+    source.list('votes'),
+    target.list('customAttributes'),
+  ]);
+  const idMaps = {};
+  for (const collectionName of MIGRATED_COLLECTIONS) {
+    const targetIds = new Set((await target.list(collectionName)).map(d => d.id));
+    idMaps[collectionName] = Object.fromEntries(
+      Object.entries(migratedIds[collectionName] || {}).filter(([, targetId]) => targetIds.has(targetId))
+    );
+  }
+  const result = {
+    sets: 0, customAttributes: 0, cards: 0, images: 0, drafts: 0, decks: 0, quizzes: 0, votes: 0, skipped: 0, failedCards: [],
+    migratedIds: idMaps,
+  };
+
+  const attributeIdMap = {};
+  for (const { id, ...attrData } of sourceAttributes) {
+    const existingAttr = targetAttributes.find(attr => attr.name === attrData.name);
+    if (existingAttr) {
+      attributeIdMap[id] = existingAttr.id;
+    } else {
+      attributeIdMap[id] = await target.add('customAttributes', attrData);
+      result.customAttributes++;
+    }
+  }
+
+  const setIdMap = idMaps.sets;
+  for (const { id, ...setData } of sourceSets) {
+    if (setIdMap[id]) {
+      result.skipped++;
+      continue;
+    }
+    setIdMap[id] = await target.add('sets', setData);
+    result.sets++;
+  }
+
+  const cardIdMap = idMaps.cards;
+  for (const [index, { id, ...cardData }] of sourceCards.entries()) {
+    if (cardIdMap[id]) {
+      result.skipped++;
+      if (onProgress) onProgress(index + 1, sourceCards.length);
+      continue;
+    }
+    try {
+      const migratedCard = {
+        ...cardData,
+        setId: setIdMap[cardData.setId] || null,
+        customAttributeIds: (cardData.customAttributeIds || []).map(attrId => attributeIdMap[attrId]).filter(Boolean),
+      };
+      for (const field of CARD_IMAGE_FIELDS) {
+        if (!cardData[field]) continue;
+        try {
+          const blob = await source.getImageBlob(cardData[field]);
+          Object.assign(migratedCard, toCardImageFields(field, await uploadCardImage(target, imagePathPrefix, blob, `${id}_${field}`)));
+          result.images++;
+        } catch (imageError) {
+          // 外部URL (Scryfallの画像など) はそのまま引き継ぐ
+          console.warn(`Warning: Could not migrate ${field} of card ${id}:`, imageError);
+        }
+      }
+      cardIdMap[id] = await target.add('cards', migratedCard);
+      result.cards++;
+    } catch (error) {
+      console.error("Error migrating card:", cardData.name, error);
+      result.failedCards.push(cardData.name || id);
+    }
+    if (onProgress) onProgress(index + 1, sourceCards.length);
+  }
+
+  const toTargetCardIds = (cardIds) => (cardIds || []).map(cardId => cardIdMap[cardId]).filter(Boolean);
+  // ボットとのドラフトの状態 (席ごとのパックとピック、自分のピックの記録)
+  const toTargetBotDraft = (botDraft) => ({
+    ...botDraft,
+    packs: botDraft.packs.map(pack => ({ cardIds: toTargetCardIds(pack.cardIds) })),
+    botPicks: botDraft.botPicks.map(picks => ({ cardIds: toTargetCardIds(picks.cardIds) })),
+    log: botDraft.log.map(entry => ({ ...entry, pack: toTargetCardIds(entry.pack), picked: cardIdMap[entry.picked] || null })),
+  });
+  const draftIdMap = idMaps.drafts;
+  for (const { id, ...draftData } of sourceDrafts) {
+    if (draftIdMap[id]) {
+      result.skipped++;
+      continue;
+    }
+    draftIdMap[id] = await target.add('drafts', {
+      ...draftData,
+      setId: setIdMap[draftData.setId] || null,
+      pack: toTargetCardIds(draftData.pack),
+      picks: toTargetCardIds(draftData.picks),
+      ...(draftData.botDraft ? { botDraft: toTargetBotDraft(draftData.botDraft) } : {}),
+    });
+    result.drafts++;
+  }
+
+  for (const { id, ...deckData } of sourceDecks) {
+    if (idMaps.decks[id]) {
+      result.skipped++;
+      continue;
+    }
+    idMaps.decks[id] = await target.add('decks', {
+      ...deckData,
+      setId: setIdMap[deckData.setId] || null,
+      draftId: draftIdMap[deckData.draftId] || null,
+      mainDeck: toTargetCardIds(deckData.mainDeck),
+      sideboard: toTargetCardIds(deckData.sideboard),
+    });
+    result.decks++;
+  }
+
+  for (const { id, ...quizData } of sourceQuizzes) {
+    if (idMaps.quizzes[id]) {
+      result.skipped++;
+      continue;
+    }
+    idMaps.quizzes[id] = await target.add('quizzes', {
+      ...quizData,
+      setId: setIdMap[quizData.setId] || null,
+      answers: (quizData.answers || []).map(answer => ({
+        ...answer,
+        cardIds: toTargetCardIds(answer.cardIds),
+        chosenId: cardIdMap[answer.chosenId] || null,
+      })),
+    });
+    result.quizzes++;
+  }
+
+  for (const { id, ...voteData } of sourceVotes) {
+    if (idMaps.votes[id]) {
+      result.skipped++;
+      continue;
+    }
+    if (!cardIdMap[voteData.cardId]) continue;
+    idMaps.votes[id] = await target.add('votes', { ...voteData, setId: setIdMap[voteData.setId] || null, cardId: cardIdMap[voteData.cardId] });
+    result.votes++;
+  }
+
+  return result;
+};
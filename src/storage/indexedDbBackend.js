@@ -0,0 +1,196 @@
+// ブラウザの IndexedDB だけを使う保存先 (Firebase なし・オフラインで利用するため)
+const DB_NAME = 'mtg-limited-helper';
+const DB_VERSION = 5; // 2: drafts を追加, 3: decks を追加, 4: quizzes を追加, 5: votes を追加
+const DOCUMENT_STORES = ['cards', 'sets', 'customAttributes', 'drafts', 'decks', 'quizzes', 'votes'];
+const IMAGE_STORE = 'images';
+
+// カードに保存する画像URLの形式。表示時は blob: URL に置き換える
+export const LOCAL_IMAGE_URL_PREFIX = 'local-image:';
+
+const generateId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`
+);
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    DOCUMENT_STORES.forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName, { keyPath: 'id' });
+    });
+    if (!db.objectStoreNames.contains(IMAGE_STORE)) db.createObjectStore(IMAGE_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// 1つのストアに対する操作をトランザクションで実行し、完了後にリクエストの結果を返す
+const runTransaction = (db, storeName, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, mode);
+  const request = operation(transaction.objectStore(storeName));
+  transaction.oncomplete = () => resolve(request ? request.result : undefined);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export const createIndexedDbBackend = () => {
+  const dbPromise = openDatabase();
+  const listeners = Object.fromEntries(DOCUMENT_STORES.map(storeName => [storeName, new Set()]));
+  const objectUrls = new Map(); // 保存形式のURL -> blob: URL
+
+  const getImagePath = (imageUrl) => {
+    if (typeof imageUrl !== 'string') return null;
+    if (imageUrl.startsWith(LOCAL_IMAGE_URL_PREFIX)) return imageUrl.substring(LOCAL_IMAGE_URL_PREFIX.length);
+    for (const [storedUrl, objectUrl] of objectUrls) {
+      if (objectUrl === imageUrl) return storedUrl.substring(LOCAL_IMAGE_URL_PREFIX.length);
+    }
+    return null;
+  };
+
+  const readImage = async (path) => {
+    const db = await dbPromise;
+    return runTransaction(db, IMAGE_STORE, 'readonly', store => store.get(path));
+  };
+
+  // 保存形式の画像URLを <img> で表示できる blob: URL に変換する (画像がなければ null)
+  const toDisplayUrl = async (storedUrl) => {
+    if (!objectUrls.has(storedUrl)) {
+      const blob = await readImage(getImagePath(storedUrl));
+      if (!blob) return null;
+      objectUrls.set(storedUrl, URL.createObjectURL(blob));
+    }
+    return objectUrls.get(storedUrl);
+  };
+
+  const toDisplayDoc = async (storedDoc) => {
+    const displayDoc = { ...storedDoc };
+    for (const [field, value] of Object.entries(storedDoc)) {
+      if (typeof value !== 'string' || !value.startsWith(LOCAL_IMAGE_URL_PREFIX)) continue;
+      const displayUrl = await toDisplayUrl(value);
+      if (displayUrl) displayDoc[field] = displayUrl;
+    }
+    return displayDoc;
+  };
+
+  // 表示用の blob: URL が書き戻された場合は保存形式のURLに戻す
+  const toStoredFields = (fields) => Object.fromEntries(Object.entries(fields).map(([field, value]) => {
+    const path = getImagePath(value);
+    return [field, path !== null ? `${LOCAL_IMAGE_URL_PREFIX}${path}` : value];
+  }));
+
+  const readAll = async (storeName) => {
+    const db = await dbPromise;
+    const storedDocs = await runTransaction(db, storeName, 'readonly', store => store.getAll());
+    return Promise.all(storedDocs.map(toDisplayDoc));
+  };
+
+  const notify = async (storeName) => {
+    if (listeners[storeName].size === 0) return;
+    const docs = await readAll(storeName);
+    listeners[storeName].forEach(({ onChange }) => onChange(docs));
+  };
+
+  const putDoc = async (storeName, storedDoc) => {
+    const db = await dbPromise;
+    await runTransaction(db, storeName, 'readwrite', store => store.put(storedDoc));
+    await notify(storeName);
+  };
+
+  return {
+    kind: 'local',
+
+    subscribe: (storeName, onChange, onError) => {
+      const listener = { onChange, onError };
+      listeners[storeName].add(listener);
+      readAll(storeName).then(onChange).catch(error => onError && onError(error));
+      return () => listeners[storeName].delete(listener);
+    },
+
+    list: async (storeName, filters = {}) => {
+      const docs = await readAll(storeName);
+      return docs.filter(d => Object.entries(filters).every(([field, value]) => d[field] === value));
+    },
+
+    // ID を指定して1件読む (なければ null)
+    get: async (storeName, id) => {
+      const db = await dbPromise;
+      const storedDoc = await runTransaction(db, storeName, 'readonly', store => store.get(id));
+      return storedDoc ? toDisplayDoc(storedDoc) : null;
+    },
+
+    add: async (storeName, data) => {
+      const id = generateId();
+      await putDoc(storeName, { ...toStoredFields(data), id });
+      return id;
+    },
+
+    update: async (storeName, id, fields) => {
+      const db = await dbPromise;
+      const storedDoc = await runTransaction(db, storeName, 'readonly', store => store.get(id));
+      if (!storedDoc) throw new Error(`Document not found: ${storeName}/${id}`);
+      await putDoc(storeName, { ...storedDoc, ...toStoredFields(fields), id });
+    },
+
+    remove: async (storeName, id) => {
+      const db = await dbPromise;
+      await runTransaction(db, storeName, 'readwrite', store => store.delete(id));
+      await notify(storeName);
+    },
+
+    uploadImage: async (path, blob) => {
+      const db = await dbPromise;
+      await runTransaction(db, IMAGE_STORE, 'readwrite', store => store.put(blob, path));
+      const storedUrl = `${LOCAL_IMAGE_URL_PREFIX}${path}`;
+      if (objectUrls.has(storedUrl)) URL.revokeObjectURL(objectUrls.get(storedUrl));
+      objectUrls.set(storedUrl, URL.createObjectURL(blob));
+      return objectUrls.get(storedUrl);
+    },
+
+    deleteImage: async (imageUrl) => {
+      const path = getImagePath(imageUrl);
+      if (path === null) throw new Error(`Not a local image URL: ${imageUrl}`);
+      const db = await dbPromise;
+      await runTransaction(db, IMAGE_STORE, 'readwrite', store => store.delete(path));
+      const storedUrl = `${LOCAL_IMAGE_URL_PREFIX}${path}`;
+      if (objectUrls.has(storedUrl)) {
+        URL.revokeObjectURL(objectUrls.get(storedUrl));
+        objectUrls.delete(storedUrl);
+      }
+    },
+
+    // 画像URLの保存先のパス (このバックエンドに保存された画像でなければ null)
+    getImagePath,
+
+    // prefix 配下に保存されている画像の { path, url } の一覧
+    listImages: async (prefix) => {
+      const db = await dbPromise;
+      const paths = await runTransaction(db, IMAGE_STORE, 'readonly', store => store.getAllKeys());
+      const images = [];
+      for (const path of paths.filter(p => p.startsWith(`${prefix}/`))) {
+        images.push({ path, url: await toDisplayUrl(`${LOCAL_IMAGE_URL_PREFIX}${path}`) });
+      }
+      return images;
+    },
+
+    getImageBlob: async (imageUrl) => {
+      const path = getImagePath(imageUrl);
+      if (path === null) throw new Error(`Not a local image URL: ${imageUrl}`);
+      const blob = await readImage(path);
+      if (!blob) throw new Error(`Image not found: ${path}`);
+      return blob;
+    },
+
+    // すべてのローカルデータを削除する (Firestore への移行後など)
+    clear: async () => {
+      const db = await dbPromise;
+      for (const storeName of [...DOCUMENT_STORES, IMAGE_STORE]) {
+        await runTransaction(db, storeName, 'readwrite', store => store.clear());
+      }
+      objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+      objectUrls.clear();
+      await Promise.all(DOCUMENT_STORES.map(notify));
+    },
+  };
+};
@@ -0,0 +1,402 @@
+// カード・セット・カスタム属性の操作 (保存先のバックエンドに依存しない処理)
+
+// 画像URLを保持するカードのフィールドと、その Storage 上のパス・内容のハッシュを保存するフィールド
+export const CARD_IMAGE_FIELDS = ['imageUrl', 'backFaceImageUrl', 'thumbnailUrl', 'backFaceThumbnailUrl'];
+const IMAGE_PATH_FIELDS = {
+  imageUrl: 'imagePath', backFaceImageUrl: 'backFaceImagePath',
+  thumbnailUrl: 'thumbnailPath', backFaceThumbnailUrl: 'backFaceThumbnailPath',
+};
+const IMAGE_HASH_FIELDS = {
+  imageUrl: 'imageHash', backFaceImageUrl: 'backFaceImageHash',
+  thumbnailUrl: 'thumbnailHash', backFaceThumbnailUrl: 'backFaceThumbnailHash',
+};
+// 表示用の画像とそのサムネイルのフィールド
+const THUMBNAIL_FIELDS = { imageUrl: 'thumbnailUrl', backFaceImageUrl: 'backFaceThumbnailUrl' };
+
+// 評価を 0.0〜5.0 の範囲に収め、小数第1位に丸める
+export const normalizeRating = (rating) => {
+  const clampedRating = Math.max(0.0, Math.min(5.0, rating));
+  return Math.round(clampedRating * 10) / 10;
+};
+
+// 画像の内容の SHA-256 ハッシュ (16進数)
+export const hashImage = async (blob) => {
+  const bytes = blob instanceof Uint8Array ? blob : new Uint8Array(await blob.arrayBuffer());
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const getImageFileExtension = (blob, fileName) => {
+  const nameMatch = /\.([a-z0-9]+)$/i.exec(fileName || blob.name || '');
+  if (nameMatch) return nameMatch[1].toLowerCase();
+  const subtype = (blob.type || '').split('/')[1];
+  if (!subtype) return 'png';
+  return subtype === 'jpeg' ? 'jpg' : subtype.split('+')[0];
+};
+
+// 画像を内容のハッシュをファイル名にしたパスへ保存する。
+// 同じ名前の別の画像 (別セットの 001.png など) で上書きされることがなく、同じ画像は同じパスになる。
+// processImage (blob => { full, thumbnail }) を渡すと、元の画像の代わりに変換した画像とサムネイルを保存する
+// (パスのハッシュは元の画像のものを使うため、同じ画像のアップロードは変換後も同じパスになる)
+export const uploadCardImage = async (storage, imagePathPrefix, blob, fileName, processImage) => {
+  const hash = await hashImage(blob);
+  let versions = null;
+  if (processImage) {
+    try {
+      versions = await processImage(blob);
+    } catch (error) {
+      console.warn(`Warning: Could not resize image ${fileName}, uploading the original:`, error);
+    }
+  }
+  if (!versions) {
+    const path = `${imagePathPrefix}/${hash}.${getImageFileExtension(blob, fileName)}`;
+    const url = await storage.uploadImage(path, blob);
+    return processImage ? { url, path, hash, thumbnail: null } : { url, path, hash };
+  }
+
+  const path = `${imagePathPrefix}/${hash}.${getImageFileExtension(versions.full)}`;
+  const thumbnailPath = `${imagePathPrefix}/${hash}_thumb.${getImageFileExtension(versions.thumbnail)}`;
+  const url = await storage.uploadImage(path, versions.full);
+  const thumbnailUrl = await storage.uploadImage(thumbnailPath, versions.thumbnail);
+  return { url, path, hash, thumbnail: { url: thumbnailUrl, path: thumbnailPath, hash } };
+};
+
+// カードの画像フィールドに保存する値 ({ imageUrl, imagePath, imageHash } など)。
+// thumbnail を含む場合はサムネイルのフィールドも設定する (null ならサムネイルを外す)
+export const toCardImageFields = (field, { url, path, hash, thumbnail }) => {
+  const fields = {
+    [field]: url,
+    [IMAGE_PATH_FIELDS[field]]: path,
+    [IMAGE_HASH_FIELDS[field]]: hash,
+  };
+  if (thumbnail === undefined || !THUMBNAIL_FIELDS[field]) return fields;
+  return {
+    ...fields,
+    ...toCardImageFields(THUMBNAIL_FIELDS[field], thumbnail || { url: null, path: null, hash: null }),
+  };
+};
+
+// カードの画像の Storage 上のパス (パスが保存されていない古いカードはURLから求める)
+export const getCardImagePath = (storage, card, field) => {
+  if (!card[field]) return null;
+  return card[IMAGE_PATH_FIELDS[field]] || storage.getImagePath(card[field]);
+};
+
+const getReferencedImagePaths = (storage, cards) => new Set(
+  cards.flatMap(card => CARD_IMAGE_FIELDS.map(field => getCardImagePath(storage, card, field))).filter(Boolean)
+);
+
+// 既存カードと同じ画像のファイルを探す。{ file, hash, duplicateOf } の配列を返す
+// (duplicateOf は同じ画像を持つ既存カード、または同じアップロード内で先に出てきたファイル)
+export const findDuplicateImages = async (files, existingCards) => {
+  const existingByHash = new Map();
+  existingCards.forEach(card => {
+    [card.imageHash, card.backFaceImageHash].filter(Boolean).forEach(hash => {
+      if (!existingByHash.has(hash)) existingByHash.set(hash, card);
+    });
+  });
+  const seenFiles = new Map();
+  const duplicates = [];
+  for (const file of files) {
+    const hash = await hashImage(file);
+    const duplicateOf = existingByHash.get(hash) || seenFiles.get(hash);
+    if (duplicateOf) {
+      duplicates.push({ file, hash, duplicateOf });
+    } else {
+      seenFiles.set(hash, file);
+    }
+  }
+  return duplicates;
+};
+
+// 画像をアップロードしてカードを作成する。失敗したファイルはスキップし、作成したカードのIDを返す
+// (processImage は uploadCardImage を参照)
+export const uploadCards = async (storage, { files, colors, setId, isDoubleFaced, backFaceFile, imagePathPrefix, processImage }) => {
+  const createdCardIds = [];
+  for (const file of files) {
+    try {
+      const frontImage = await uploadCardImage(storage, imagePathPrefix, file, file.name, processImage);
+
+      let backFaceImage = { url: null, path: null, hash: null, thumbnail: null };
+      if (isDoubleFaced && backFaceFile) {
+        backFaceImage = await uploadCardImage(storage, imagePathPrefix, backFaceFile, backFaceFile.name, processImage);
+      }
+
+      const newCard = {
+        name: file.name.split('.')[0],
+        color: colors,
+        rarity: '',
+        type: '',
+        rating: 0.0,
+        manaCost: null,
+        isBomb: false,
+        isDoubleFaced: isDoubleFaced,
+        ...toCardImageFields('backFaceImageUrl', backFaceImage),
+        customAttributeIds: [],
+        ...toCardImageFields('imageUrl', frontImage),
+        comment: '',
+        setId: setId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      createdCardIds.push(await storage.add('cards', newCard));
+    } catch (error) {
+      console.error("Error uploading card:", file.name, error);
+    }
+  }
+  return createdCardIds;
+};
+
+// 変更履歴 (changeHistory) に記録するフィールド。評価の入力のように続けて変更した場合は、
+// CARD_HISTORY_MERGE_MS 以内の同じフィールドの変更を1件にまとめる
+const CARD_HISTORY_FIELDS = ['rating', 'isBomb', 'comment'];
+const CARD_HISTORY_MERGE_MS = 60 * 1000;
+
+const toHistoryValue = (field, value) => {
+  if (field === 'isBomb') return Boolean(value);
+  return value === undefined || value === '' ? null : value;
+};
+
+// previousCard からの評価・ボムレア・コメントの変更を changeHistory の { field, from, to, changedAt } として追加した更新内容を返す。
+// updatedFields に含まれる古い changeHistory (編集画面でカード全体を保存した場合など) は使わない
+export const withCardHistory = (previousCard, updatedFields, now = new Date()) => {
+  const { changeHistory: _staleHistory, ...fields } = updatedFields;
+  if (!previousCard) return fields;
+  const history = [...(previousCard.changeHistory || [])];
+  let changed = false;
+  for (const field of CARD_HISTORY_FIELDS) {
+    if (!(field in fields)) continue;
+    const from = toHistoryValue(field, previousCard[field]);
+    const to = toHistoryValue(field, fields[field]);
+    if (from === to) continue;
+    changed = true;
+    const last = history[history.length - 1];
+    if (last && last.field === field && now - new Date(last.changedAt) < CARD_HISTORY_MERGE_MS) {
+      history.pop();
+      if (last.from !== to) history.push({ ...last, to, changedAt: now.toISOString() });
+    } else {
+      history.push({ field, from, to, changedAt: now.toISOString() });
+    }
+  }
+  return changed ? { ...fields, changeHistory: history } : fields;
+};
+
+// カード情報を更新する。画像を差し替えた場合 (DFCの裏面の再アップロードなど) は、
+// どのカードからも使われなくなった元の画像を削除する
+export const updateCard = async (storage, cardId, updatedFields) => {
+  const changedImageFields = CARD_IMAGE_FIELDS.filter(field => field in updatedFields);
+  if (changedImageFields.length === 0) {
+    return storage.update('cards', cardId, { ...updatedFields, updatedAt: new Date() });
+  }
+
+  const cards = await storage.list('cards');
+  const previousCard = cards.find(card => card.id === cardId);
+  await storage.update('cards', cardId, { ...updatedFields, updatedAt: new Date() });
+  if (!previousCard) return;
+
+  const pathsInUse = getReferencedImagePaths(storage, cards.map(card => (card.id === cardId ? { ...card, ...updatedFields } : card)));
+  for (const field of changedImageFields) {
+    const oldPath = getCardImagePath(storage, previousCard, field);
+    if (!oldPath || pathsInUse.has(oldPath)) continue;
+    try {
+      await storage.deleteImage(previousCard[field]);
+    } catch (error) {
+      console.warn(`Warning: Could not delete replaced ${field} of card ${cardId}:`, error);
+    }
+  }
+};
+
+// カードと画像を削除する (画像の削除に失敗した場合はカードも削除しない)。
+// 他のカードも同じ画像を使っている場合や、保存先の画像でない場合 (Scryfall の画像など) は画像は消さない
+export const deleteCard = async (storage, cardId, imageUrl, backFaceImageUrl) => {
+  const cards = await storage.list('cards');
+  const card = cards.find(c => c.id === cardId) || { imageUrl, backFaceImageUrl };
+  const pathsInUse = getReferencedImagePaths(storage, cards.filter(c => c.id !== cardId));
+  for (const field of CARD_IMAGE_FIELDS) {
+    const path = getCardImagePath(storage, card, field);
+    if (!path || pathsInUse.has(path)) continue;
+    await storage.deleteImage(card[field]);
+  }
+  // 評価はカードを消してから削除する (ワークスペースでは、カードがなくなった評価だけ他のメンバーも削除できる)
+  await storage.remove('cards', cardId);
+  const votes = await storage.list('votes', { cardId });
+  await Promise.all(votes.map(vote => storage.remove('votes', vote.id)));
+};
+
+// カスタム属性を削除し、その属性が割り当てられているカードからも外す
+export const deleteCustomAttribute = async (storage, attrId) => {
+  const cards = await storage.list('cards');
+  const cardsToUpdate = cards.filter(card => card.customAttributeIds && card.customAttributeIds.includes(attrId));
+  for (const card of cardsToUpdate) {
+    await storage.update('cards', card.id, {
+      customAttributeIds: card.customAttributeIds.filter(id => id !== attrId)
+    });
+  }
+  await storage.remove('customAttributes', attrId);
+};
+
+// 評価プロファイル。セットの ratingProfiles に { id, name, createdAt } を保存し、プロファイルごとの評価はカードの
+// profileRatings に { プロファイルID: 評価 } で保存する。カードの rating はどのプロファイルでもない基本の評価
+const generateProfileId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// sourceProfileId の評価 (null なら基本の評価) を複製して新しいプロファイルを作り、そのIDを返す
+export const forkRatingProfile = async (storage, setId, sourceProfileId, name) => {
+  const set = (await storage.list('sets')).find(s => s.id === setId);
+  if (!set) throw new Error(`Set not found: ${setId}`);
+  const profileId = generateProfileId();
+  await storage.update('sets', setId, {
+    ratingProfiles: [...(set.ratingProfiles || []), { id: profileId, name, createdAt: new Date().toISOString() }],
+  });
+  const cards = await storage.list('cards', { setId });
+  for (const card of cards) {
+    const rating = sourceProfileId ? (card.profileRatings || {})[sourceProfileId] : card.rating;
+    if (typeof rating !== 'number') continue;
+    await storage.update('cards', card.id, { profileRatings: { ...(card.profileRatings || {}), [profileId]: rating } });
+  }
+  return profileId;
+};
+
+// プロファイルを削除し、カードからそのプロファイルの評価を外す
+export const deleteRatingProfile = async (storage, setId, profileId) => {
+  const set = (await storage.list('sets')).find(s => s.id === setId);
+  if (!set) throw new Error(`Set not found: ${setId}`);
+  const cards = await storage.list('cards', { setId });
+  for (const card of cards.filter(c => c.profileRatings && profileId in c.profileRatings)) {
+    const { [profileId]: _removed, ...otherRatings } = card.profileRatings;
+    await storage.update('cards', card.id, { profileRatings: otherRatings });
+  }
+  await storage.update('sets', setId, { ratingProfiles: (set.ratingProfiles || []).filter(profile => profile.id !== profileId) });
+};
+
+// チームの評価。メンバーごと・カードごとに1件の { setId, cardId, memberId, memberName, rating, updatedAt } を votes に保存する。
+// rating が null なら評価を取り消す
+export const saveVote = async (storage, { setId, cardId, memberId, memberName, rating }) => {
+  const [existingVote] = await storage.list('votes', { cardId, memberId });
+  if (rating === null) {
+    if (existingVote) await storage.remove('votes', existingVote.id);
+    return;
+  }
+  const voteFields = { setId, memberName, rating: normalizeRating(rating), updatedAt: new Date().toISOString() };
+  if (existingVote) {
+    await storage.update('votes', existingVote.id, voteFields);
+  } else {
+    await storage.add('votes', { ...voteFields, cardId, memberId });
+  }
+};
+
+// セットと、そのセットに紐づくカード・画像・ドラフト・デッキ・チームの評価をすべて削除する (他のセットのカードが使っている画像は残す)
+export const deleteSet = async (storage, setId) => {
+  const cards = await storage.list('cards');
+  const cardsInSet = cards.filter(card => card.setId === setId);
+  const pathsInUse = getReferencedImagePaths(storage, cards.filter(card => card.setId !== setId));
+  const deletedPaths = new Set();
+  const deleteCardPromises = cardsInSet.map(async (cardData) => {
+    for (const field of CARD_IMAGE_FIELDS) {
+      const path = getCardImagePath(storage, cardData, field);
+      if (!path || pathsInUse.has(path) || deletedPaths.has(path)) continue;
+      deletedPaths.add(path);
+      try {
+        await storage.deleteImage(cardData[field]);
+      } catch (storageError) {
+        console.warn(`Warning: Could not delete ${field} of card ${cardData.id} from Storage:`, storageError);
+      }
+    }
+    return storage.remove('cards', cardData.id);
+  });
+  await Promise.all(deleteCardPromises);
+
+  for (const collectionName of ['drafts', 'decks', 'quizzes', 'votes']) {
+    const docs = await storage.list(collectionName, { setId });
+    await Promise.all(docs.map(d => storage.remove(collectionName, d.id)));
+  }
+
+  await storage.remove('sets', setId);
+};
+
+// ハッシュのパスに保存されていない (ファイル名のパスに保存された古い) 画像を持つカード
+export const getCardsNeedingImageMigration = (storage, cards) => cards.filter(card =>
+  CARD_IMAGE_FIELDS.some(field => card[field] && storage.getImagePath(card[field]) !== null && !card[IMAGE_HASH_FIELDS[field]])
+);
+
+// 古いカードの画像をハッシュのパスへコピーしてカードに保存する。使われなくなった元の画像は updateCard が削除する
+// (processImage を渡すと表示用の画像とサムネイルに変換して保存する)
+export const migrateCardImagePaths = async (storage, imagePathPrefix, { processImage, onProgress } = {}) => {
+  const cards = await storage.list('cards');
+  const targetCards = getCardsNeedingImageMigration(storage, cards);
+  const result = { migrated: 0, failed: [] };
+
+  for (const [index, card] of targetCards.entries()) {
+    try {
+      const updatedFields = {};
+      for (const field of CARD_IMAGE_FIELDS) {
+        if (!card[field] || card[IMAGE_HASH_FIELDS[field]]) continue;
+        const oldPath = storage.getImagePath(card[field]);
+        if (oldPath === null) continue; // Scryfall など外部の画像
+        const blob = await storage.getImageBlob(card[field]);
+        const uploaded = await uploadCardImage(storage, imagePathPrefix, blob, oldPath, THUMBNAIL_FIELDS[field] && processImage);
+        Object.assign(updatedFields, toCardImageFields(field, uploaded));
+      }
+      await updateCard(storage, card.id, updatedFields);
+      result.migrated++;
+    } catch (error) {
+      console.error("Error migrating card image:", card.name, error);
+      result.failed.push(card.name || card.id);
+    }
+    if (onProgress) onProgress(index + 1, targetCards.length);
+  }
+  return result;
+};
+
+// ハッシュのパス (<hash>.webp, <hash>_thumb.webp) から元の画像のハッシュを取り出す
+const getImageHashFromPath = (path) => {
+  const match = /\/([0-9a-f]{64})(?:_thumb)?\.[a-z0-9]+$/.exec(path);
+  return match ? match[1] : null;
+};
+
+export const isThumbnailPath = (path) => /_thumb\.[a-z0-9]+$/.test(path);
+
+// imagePathPrefix 配下の画像とカードを突き合わせる。
+// orphanedImages: どのカードからも使われていない画像 ({ path, url })
+// brokenImages: 保存先に画像が存在しないカードの画像フィールド ({ card, field, path })
+// (Scryfall など外部のURLや、imagePathPrefix の外に保存された画像は一覧を取っていないので確認しない)
+export const findImageProblems = async (storage, imagePathPrefix) => {
+  const [cards, images] = await Promise.all([storage.list('cards'), storage.listImages(imagePathPrefix)]);
+  const storedPaths = new Set(images.map(image => image.path));
+  const pathsInUse = getReferencedImagePaths(storage, cards);
+
+  const orphanedImages = images.filter(image => !pathsInUse.has(image.path));
+  const brokenImages = cards.flatMap(card => CARD_IMAGE_FIELDS
+    .map(field => ({ card, field, path: getCardImagePath(storage, card, field) }))
+    .filter(({ path }) => path !== null && path.startsWith(`${imagePathPrefix}/`) && !storedPaths.has(path)));
+  return { orphanedImages, brokenImages };
+};
+
+// カードの画像フィールドを、保存先にある別の画像 ({ path, url }) に付け替える。
+// 表示用の画像を付け替える場合、images に同じハッシュのサムネイルがあればサムネイルも付け替える
+export const relinkCardImage = (storage, cardId, field, image, images = []) => {
+  const hash = getImageHashFromPath(image.path);
+  const relinked = { url: image.url, path: image.path, hash };
+  if (THUMBNAIL_FIELDS[field]) {
+    const thumbnail = hash && images.find(other => isThumbnailPath(other.path) && getImageHashFromPath(other.path) === hash);
+    relinked.thumbnail = thumbnail ? { url: thumbnail.url, path: thumbnail.path, hash } : null;
+  }
+  return updateCard(storage, cardId, toCardImageFields(field, relinked));
+};
+
+// 画像の保存先が見つからないカードの画像フィールドを外す
+export const unlinkCardImage = (storage, cardId, field) =>
+  updateCard(storage, cardId, toCardImageFields(field, { url: null, path: null, hash: null, thumbnail: null }));
+
+// 使われていない画像をまとめて削除する。削除できなかった画像のパスを返す
+export const deleteOrphanedImages = async (storage, images) => {
+  const failedPaths = [];
+  for (const image of images) {
+    try {
+      await storage.deleteImage(image.url);
+    } catch (error) {
+      console.warn(`Warning: Could not delete image ${image.path}:`, error);
+      failedPaths.push(image.path);
+    }
+  }
+  return failedPaths;
+};
@@ -0,0 +1,447 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, signInAnonymously } from 'firebase/auth';
+import { getFirestore } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import { EMULATOR_FIREBASE_CONFIG, connectFirebaseEmulators } from '../firebaseEmulators';
+import {
+  createFirestoreBackend, createIndexedDbBackend, migrateStorageData,
+  normalizeRating, hashImage, uploadCards, withCardHistory, updateCard, deleteCard, deleteCustomAttribute,
+  forkRatingProfile, deleteRatingProfile, saveVote, deleteSet,
+  getCardsNeedingImageMigration, migrateCardImagePaths,
+  uploadCardImage, toCardImageFields, findImageProblems, relinkCardImage, deleteOrphanedImages,
+} from '.';
+
+// Firestore のテストは Firebase エミュレーターが起動しているときだけ実行する
+// (npm run test:emulator で firebase emulators:exec から起動すると FIRESTORE_EMULATOR_HOST が設定される)。
+// npm test ではスキップされるので、firestore.rules・storage.rules やストレージの処理を変えたら npm run test:emulator も実行する。
+// firebase-tools は依存関係に入れず npx で取得する。エミュレーターの実行には Java 11 以上が必要
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST ? process.env.FIRESTORE_EMULATOR_HOST.split(':')[0] : null;
+
+const backends = [
+  {
+    name: 'IndexedDB',
+    enabled: true,
+    setup: async () => {
+      const storage = createIndexedDbBackend();
+      await storage.clear();
+      return { storage, cleanup: () => storage.clear() };
+    },
+  },
+  {
+    name: 'Firestore (emulator)',
+    enabled: Boolean(EMULATOR_HOST),
+    setup: async () => {
+      const app = initializeApp(EMULATOR_FIREBASE_CONFIG, `test-${Date.now()}-${Math.random()}`);
+      const auth = getAuth(app);
+      const db = getFirestore(app);
+      const firebaseStorage = getStorage(app);
+      connectFirebaseEmulators({ auth, db, storage: firebaseStorage }, EMULATOR_HOST);
+      const { user } = await signInAnonymously(auth);
+      const storage = createFirestoreBackend({ db, storage: firebaseStorage, basePath: `artifacts/test-app/users/${user.uid}` });
+      return { storage, userId: user.uid, cleanup: () => deleteApp(app) };
+    },
+  },
+];
+
+// アップロード用のダミー画像 (Storage / IndexedDB のどちらにも保存できる Uint8Array に name を付ける)。
+// 画像の内容は content (省略時はファイル名) で決まる
+const makeImageFile = (name, content = name) =>
+  Object.assign(new Uint8Array([0x89, 0x50, 0x4e, 0x47, ...new TextEncoder().encode(content)]), { name });
+
+beforeEach(() => {
+  // Node の URL.createObjectURL は Blob しか受け付けないため、ローカル保存の表示用URLを差し替える
+  jest.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:test/${Math.random()}`);
+  jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe.each(backends.filter(backend => backend.enabled))('$name', ({ setup }) => {
+  let storage;
+  let imagePathPrefix;
+  let cleanup;
+
+  beforeEach(async () => {
+    const context = await setup();
+    storage = context.storage;
+    imagePathPrefix = `card_images/${context.userId || 'local'}`;
+    cleanup = context.cleanup;
+  });
+
+  afterEach(async () => {
+    if (cleanup) await cleanup();
+    cleanup = null;
+  });
+
+  const findCard = async (cardId) => (await storage.list('cards')).find(card => card.id === cardId);
+
+  test('uploads images and creates cards in the set', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+
+    const cardIds = await uploadCards(storage, {
+      files: [makeImageFile('001.png'), makeImageFile('002.png')],
+      colors: ['白', '青'],
+      setId,
+      isDoubleFaced: false,
+      backFaceFile: null,
+      imagePathPrefix,
+    });
+
+    expect(cardIds).toHaveLength(2);
+    const cards = await storage.list('cards', { setId });
+    expect(cards.map(card => card.name).sort()).toEqual(['001', '002']);
+    cards.forEach(card => {
+      expect(card.color).toEqual(['白', '青']);
+      expect(card.rating).toBe(0);
+      expect(card.imageUrl).toBeTruthy();
+      expect(card.backFaceImageUrl).toBeNull();
+    });
+  });
+
+  test('uploads the back face of a double-faced card', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('010.png')],
+      colors: ['緑'],
+      setId,
+      isDoubleFaced: true,
+      backFaceFile: makeImageFile('010_back.png'),
+      imagePathPrefix,
+    });
+
+    const card = await findCard(cardId);
+    expect(card.isDoubleFaced).toBe(true);
+    expect(card.backFaceImageUrl).toBeTruthy();
+    expect(card.backFaceImageUrl).not.toBe(card.imageUrl);
+  });
+
+  test('reads a single document by ID', async () => {
+    const draftId = await storage.add('drafts', { name: 'ドラフト', picks: ['card-1'] });
+    await storage.add('drafts', { name: '別のドラフト', picks: [] });
+
+    expect(await storage.get('drafts', draftId)).toEqual({ id: draftId, name: 'ドラフト', picks: ['card-1'] });
+    await storage.remove('drafts', draftId);
+    expect(await storage.get('drafts', draftId)).toBeNull();
+  });
+
+  test('edits card fields and bumps updatedAt', async () => {
+    const createdAt = new Date('2024-01-01T00:00:00Z');
+    const cardId = await storage.add('cards', { name: '001', rarity: '', type: '', comment: '', createdAt, updatedAt: createdAt });
+
+    await updateCard(storage, cardId, { name: 'ショック', rarity: 'コモン', type: 'インスタント', comment: '優秀な除去' });
+
+    const card = await findCard(cardId);
+    expect(card).toMatchObject({ name: 'ショック', rarity: 'コモン', type: 'インスタント', comment: '優秀な除去' });
+    const updatedAt = typeof card.updatedAt.toDate === 'function' ? card.updatedAt.toDate() : card.updatedAt;
+    expect(updatedAt.getTime()).toBeGreaterThan(createdAt.getTime());
+  });
+
+  test('records rating, bomb and comment changes in the card history', async () => {
+    const cardId = await storage.add('cards', { name: '001', rating: 2.0, comment: '' });
+    const updateWithHistory = async (fields, now) => updateCard(storage, cardId, withCardHistory(await findCard(cardId), fields, now));
+
+    await updateWithHistory({ rating: 3.0 }, new Date('2024-01-01T00:00:00Z'));
+    await updateWithHistory({ rating: 3.5 }, new Date('2024-01-01T00:00:10Z')); // 続けて入力した評価はまとめる
+    await updateWithHistory({ isBomb: true, comment: '', name: '001' }, new Date('2024-01-08T00:00:00Z'));
+    await updateWithHistory({ rating: 2.0, changeHistory: [] }, new Date('2024-01-15T00:00:00Z'));
+
+    expect((await findCard(cardId)).changeHistory).toEqual([
+      { field: 'rating', from: 2.0, to: 3.5, changedAt: '2024-01-01T00:00:10.000Z' },
+      { field: 'isBomb', from: false, to: true, changedAt: '2024-01-08T00:00:00.000Z' },
+      { field: 'rating', from: 3.5, to: 2.0, changedAt: '2024-01-15T00:00:00.000Z' },
+    ]);
+  });
+
+  test('forks rating profiles from the base ratings or another profile and deletes them', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const ratedCardId = await storage.add('cards', { name: '001', setId, rating: 3.0 });
+    const unratedCardId = await storage.add('cards', { name: '002', setId });
+
+    const previewId = await forkRatingProfile(storage, setId, null, 'Preview');
+    await updateCard(storage, ratedCardId, { rating: 4.0 });
+    const weekOneId = await forkRatingProfile(storage, setId, previewId, 'Week 1');
+
+    const [set] = await storage.list('sets');
+    expect(set.ratingProfiles.map(profile => [profile.id, profile.name])).toEqual([[previewId, 'Preview'], [weekOneId, 'Week 1']]);
+    expect((await findCard(ratedCardId)).profileRatings).toEqual({ [previewId]: 3.0, [weekOneId]: 3.0 });
+    expect((await findCard(unratedCardId)).profileRatings).toBeUndefined();
+
+    await deleteRatingProfile(storage, setId, previewId);
+    expect((await storage.list('sets'))[0].ratingProfiles.map(profile => profile.id)).toEqual([weekOneId]);
+    expect((await findCard(ratedCardId)).profileRatings).toEqual({ [weekOneId]: 3.0 });
+    expect((await findCard(ratedCardId)).rating).toBe(4.0);
+  });
+
+  test('keeps one vote per member and card, and deleting the card deletes its votes', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const cardId = await storage.add('cards', { name: '001', setId });
+    const otherCardId = await storage.add('cards', { name: '002', setId });
+
+    await saveVote(storage, { setId, cardId, memberId: 'alice', memberName: 'Alice', rating: 3.0 });
+    await saveVote(storage, { setId, cardId, memberId: 'alice', memberName: 'Alice', rating: 5.5 });
+    await saveVote(storage, { setId, cardId, memberId: 'bob', memberName: 'Bob', rating: 2.0 });
+    await saveVote(storage, { setId, cardId: otherCardId, memberId: 'bob', memberName: 'Bob', rating: 4.0 });
+    const votesFor = async (id) => (await storage.list('votes', { cardId: id }))
+      .map(vote => [vote.memberId, vote.rating]).sort();
+    expect(await votesFor(cardId)).toEqual([['alice', 5.0], ['bob', 2.0]]);
+
+    await saveVote(storage, { setId, cardId, memberId: 'bob', memberName: 'Bob', rating: null });
+    expect(await votesFor(cardId)).toEqual([['alice', 5.0]]);
+
+    await deleteCard(storage, cardId);
+    expect(await votesFor(cardId)).toEqual([]);
+    expect(await votesFor(otherCardId)).toEqual([['bob', 4.0]]);
+  });
+
+  test('stores rating changes clamped to 0.0-5.0 and rounded to one decimal', async () => {
+    const cardId = await storage.add('cards', { name: '001', rating: 0.0 });
+
+    await updateCard(storage, cardId, { rating: normalizeRating(3.14) });
+    expect((await findCard(cardId)).rating).toBe(3.1);
+
+    await updateCard(storage, cardId, { rating: normalizeRating(7.5) });
+    expect((await findCard(cardId)).rating).toBe(5.0);
+
+    await updateCard(storage, cardId, { rating: normalizeRating(-1) });
+    expect((await findCard(cardId)).rating).toBe(0.0);
+  });
+
+  test('deleting a custom attribute removes it from every card', async () => {
+    const removalId = await storage.add('customAttributes', { name: '除去' });
+    const flyingId = await storage.add('customAttributes', { name: '飛行' });
+    const bothId = await storage.add('cards', { name: 'A', customAttributeIds: [removalId, flyingId] });
+    const removalOnlyId = await storage.add('cards', { name: 'B', customAttributeIds: [removalId] });
+    const flyingOnlyId = await storage.add('cards', { name: 'C', customAttributeIds: [flyingId] });
+
+    await deleteCustomAttribute(storage, removalId);
+
+    const attributes = await storage.list('customAttributes');
+    expect(attributes.map(attr => attr.id)).toEqual([flyingId]);
+    expect((await findCard(bothId)).customAttributeIds).toEqual([flyingId]);
+    expect((await findCard(removalOnlyId)).customAttributeIds).toEqual([]);
+    expect((await findCard(flyingOnlyId)).customAttributeIds).toEqual([flyingId]);
+  });
+
+  test('deleting a set deletes its cards, images, drafts, decks, quizzes and votes but keeps other sets', async () => {
+    const deletedSetId = await storage.add('sets', { name: '削除するセット', createdAt: new Date() });
+    const keptSetId = await storage.add('sets', { name: '残すセット', createdAt: new Date() });
+    const deletedCardIds = await uploadCards(storage, {
+      files: [makeImageFile('a.png'), makeImageFile('b.png')],
+      colors: ['赤'],
+      setId: deletedSetId,
+      isDoubleFaced: false,
+      backFaceFile: null,
+      imagePathPrefix,
+    });
+    const [keptCardId] = await uploadCards(storage, {
+      files: [makeImageFile('c.png')],
+      colors: ['黒'],
+      setId: keptSetId,
+      isDoubleFaced: false,
+      backFaceFile: null,
+      imagePathPrefix,
+    });
+    const deletedImageUrls = (await storage.list('cards', { setId: deletedSetId })).map(card => card.imageUrl);
+    await storage.add('drafts', { name: '削除するドラフト', setId: deletedSetId, pack: [], picks: deletedCardIds });
+    const keptDraftId = await storage.add('drafts', { name: '残すドラフト', setId: keptSetId, pack: [], picks: [keptCardId] });
+    await storage.add('decks', { name: '削除するデッキ', setId: deletedSetId, mainDeck: deletedCardIds, sideboard: [] });
+    await storage.add('quizzes', { setId: deletedSetId, answers: [{ cardIds: deletedCardIds, chosenId: deletedCardIds[0], correct: true }] });
+    await saveVote(storage, { setId: deletedSetId, cardId: deletedCardIds[0], memberId: 'alice', memberName: 'Alice', rating: 4.0 });
+    await saveVote(storage, { setId: keptSetId, cardId: keptCardId, memberId: 'alice', memberName: 'Alice', rating: 3.0 });
+
+    await deleteSet(storage, deletedSetId);
+
+    expect((await storage.list('sets')).map(set => set.id)).toEqual([keptSetId]);
+    expect(await storage.list('cards', { setId: deletedSetId })).toEqual([]);
+    for (const cardId of deletedCardIds) {
+      expect(await findCard(cardId)).toBeUndefined();
+    }
+    for (const imageUrl of deletedImageUrls) {
+      await expect(storage.getImageBlob(imageUrl)).rejects.toThrow();
+    }
+    expect((await storage.list('drafts')).map(draft => draft.id)).toEqual([keptDraftId]);
+    expect(await storage.list('decks')).toEqual([]);
+    expect(await storage.list('quizzes')).toEqual([]);
+    expect((await storage.list('votes')).map(vote => vote.cardId)).toEqual([keptCardId]);
+    const keptCard = await findCard(keptCardId);
+    expect(keptCard.setId).toBe(keptSetId);
+    await expect(storage.getImageBlob(keptCard.imageUrl)).resolves.toBeTruthy();
+  });
+
+  test('images with the same file name in different sets do not overwrite each other', async () => {
+    const firstSetId = await storage.add('sets', { name: 'セットA', createdAt: new Date() });
+    const secondSetId = await storage.add('sets', { name: 'セットB', createdAt: new Date() });
+    const upload = (setId, content) => uploadCards(storage, {
+      files: [makeImageFile('001.png', content)], colors: ['白'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix,
+    });
+
+    const [firstCardId] = await upload(firstSetId, 'セットAの001');
+    const [secondCardId] = await upload(secondSetId, 'セットBの001');
+
+    const firstCard = await findCard(firstCardId);
+    const secondCard = await findCard(secondCardId);
+    expect(firstCard.imagePath).not.toBe(secondCard.imagePath);
+    expect(firstCard.imageHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(firstCard.imagePath).toBe(`${imagePathPrefix}/${firstCard.imageHash}.png`);
+    expect(await hashImage(await storage.getImageBlob(firstCard.imageUrl))).toBe(firstCard.imageHash);
+  });
+
+  test('deleting a card keeps an image still used by another card', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const [deletedCardId, keptCardId] = await uploadCards(storage, {
+      files: [makeImageFile('a.png', '同じ画像'), makeImageFile('b.png', '同じ画像')],
+      colors: ['青'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix,
+    });
+    const deletedCard = await findCard(deletedCardId);
+    expect(deletedCard.imagePath).toBe((await findCard(keptCardId)).imagePath);
+
+    await deleteCard(storage, deletedCardId, deletedCard.imageUrl, deletedCard.backFaceImageUrl);
+
+    expect(await findCard(deletedCardId)).toBeUndefined();
+    const keptCard = await findCard(keptCardId);
+    await expect(storage.getImageBlob(keptCard.imageUrl)).resolves.toBeTruthy();
+
+    await deleteCard(storage, keptCardId, keptCard.imageUrl, keptCard.backFaceImageUrl);
+    await expect(storage.getImageBlob(keptCard.imageUrl)).rejects.toThrow();
+  });
+
+  test('deletes a card whose images are external URLs', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const cardId = await storage.add('cards', {
+      name: 'Scryfallのカード',
+      setId,
+      imageUrl: 'https://cards.scryfall.io/large/front/a/b/ab.jpg',
+      backFaceImageUrl: 'https://cards.scryfall.io/large/back/a/b/ab.jpg',
+    });
+
+    await deleteCard(storage, cardId);
+
+    expect(await findCard(cardId)).toBeUndefined();
+  });
+
+  test('migrating again skips data that was already migrated', async () => {
+    const setId = await storage.add('sets', { name: '移行するセット', createdAt: new Date() });
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('a.png')], colors: ['白'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix,
+    });
+    await storage.add('decks', { name: 'デッキ', setId, mainDeck: [cardId], sideboard: [] });
+    // 同じ保存先の中で、最初からあったデータだけを移行元として見せる
+    const sourceIds = new Set([setId, cardId, ...(await storage.list('decks')).map(deck => deck.id)]);
+    const source = { ...storage, list: async (collectionName, filters) => (await storage.list(collectionName, filters)).filter(d => sourceIds.has(d.id)) };
+
+    const firstResult = await migrateStorageData(source, storage, { imagePathPrefix });
+    expect([firstResult.sets, firstResult.cards, firstResult.decks, firstResult.skipped]).toEqual([1, 1, 1, 0]);
+
+    const secondResult = await migrateStorageData(source, storage, { imagePathPrefix, migratedIds: firstResult.migratedIds });
+    expect([secondResult.sets, secondResult.cards, secondResult.decks, secondResult.skipped]).toEqual([0, 0, 0, 3]);
+    expect(await storage.list('cards')).toHaveLength(2);
+
+    // 移行先で消されたカードはもう一度移行する
+    await deleteCard(storage, firstResult.migratedIds.cards[cardId]);
+    const thirdResult = await migrateStorageData(source, storage, { imagePathPrefix, migratedIds: secondResult.migratedIds });
+    expect([thirdResult.sets, thirdResult.cards, thirdResult.decks]).toEqual([0, 1, 0]);
+    expect(thirdResult.migratedIds.cards[cardId]).not.toBe(firstResult.migratedIds.cards[cardId]);
+  });
+
+  test('migrates images stored at file-name paths to content-hash paths', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const oldImageUrl = await storage.uploadImage(`${imagePathPrefix}/001.png`, makeImageFile('001.png'));
+    const cardId = await storage.add('cards', { name: '001', setId, imageUrl: oldImageUrl, backFaceImageUrl: null });
+    const scryfallCardId = await storage.add('cards', { name: 'Shock', setId, imageUrl: 'https://cards.scryfall.io/normal/front/shock.jpg' });
+    expect(getCardsNeedingImageMigration(storage, await storage.list('cards')).map(card => card.id)).toEqual([cardId]);
+
+    const result = await migrateCardImagePaths(storage, imagePathPrefix);
+
+    expect(result).toEqual({ migrated: 1, failed: [] });
+    const card = await findCard(cardId);
+    expect(card.imagePath).toBe(`${imagePathPrefix}/${card.imageHash}.png`);
+    await expect(storage.getImageBlob(card.imageUrl)).resolves.toBeTruthy();
+    await expect(storage.getImageBlob(oldImageUrl)).rejects.toThrow();
+    expect((await findCard(scryfallCardId)).imageUrl).toBe('https://cards.scryfall.io/normal/front/shock.jpg');
+    expect(getCardsNeedingImageMigration(storage, await storage.list('cards'))).toEqual([]);
+  });
+
+  test('stores the resized image and its thumbnail when processImage is given', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const toWebp = (content) => Object.assign(makeImageFile('', content), { type: 'image/webp' });
+    const processImage = async () => ({ full: toWebp('full'), thumbnail: toWebp('thumbnail') });
+
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('001.png')], colors: ['白'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix, processImage,
+    });
+
+    const card = await findCard(cardId);
+    expect(card.imagePath).toBe(`${imagePathPrefix}/${card.imageHash}.webp`);
+    expect(card.thumbnailPath).toBe(`${imagePathPrefix}/${card.imageHash}_thumb.webp`);
+    expect(card.imageHash).toBe(await hashImage(makeImageFile('001.png')));
+    expect(await hashImage(await storage.getImageBlob(card.thumbnailUrl))).toBe(await hashImage(toWebp('thumbnail')));
+    expect(card.backFaceThumbnailUrl).toBeNull();
+
+    await deleteCard(storage, cardId, card.imageUrl, card.backFaceImageUrl);
+    await expect(storage.getImageBlob(card.imageUrl)).rejects.toThrow();
+    await expect(storage.getImageBlob(card.thumbnailUrl)).rejects.toThrow();
+  });
+
+  test('uploads the original image without a thumbnail when processImage fails', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const processImage = async () => { throw new Error('decode failed'); };
+
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('001.png')], colors: ['白'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix, processImage,
+    });
+
+    const card = await findCard(cardId);
+    expect(card.imagePath).toBe(`${imagePathPrefix}/${card.imageHash}.png`);
+    expect(card.thumbnailUrl).toBeNull();
+  });
+
+  test('replacing the back face deletes the previous image', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('010.png')], colors: ['緑'], setId, isDoubleFaced: true, backFaceFile: makeImageFile('010_back.png'), imagePathPrefix,
+    });
+    const previousCard = await findCard(cardId);
+
+    const replacedImage = await uploadCardImage(storage, imagePathPrefix, makeImageFile('010_back_fixed.png'), '010_back_fixed.png');
+    await updateCard(storage, cardId, { ...previousCard, ...toCardImageFields('backFaceImageUrl', replacedImage) });
+
+    const card = await findCard(cardId);
+    expect(card.backFaceImagePath).toBe(replacedImage.path);
+    await expect(storage.getImageBlob(previousCard.backFaceImageUrl)).rejects.toThrow();
+    await expect(storage.getImageBlob(card.imageUrl)).resolves.toBeTruthy();
+  });
+
+  test('finds orphaned images and broken card images, and relinks or deletes them', async () => {
+    const setId = await storage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    const [cardId] = await uploadCards(storage, {
+      files: [makeImageFile('001.png')], colors: ['白'], setId, isDoubleFaced: false, backFaceFile: null, imagePathPrefix,
+    });
+    const lostImage = await uploadCardImage(storage, imagePathPrefix, makeImageFile('lost.png'), 'lost.png');
+    const brokenCardId = await storage.add('cards', { name: '002', setId, ...toCardImageFields('imageUrl', lostImage) });
+    await storage.deleteImage(lostImage.url);
+    const orphan = await uploadCardImage(storage, imagePathPrefix, makeImageFile('orphan.png'), 'orphan.png');
+    const extra = await uploadCardImage(storage, imagePathPrefix, makeImageFile('extra.png'), 'extra.png');
+    await storage.add('cards', { name: 'Shock', setId, imageUrl: 'https://cards.scryfall.io/normal/front/shock.jpg' });
+    // 別の保存先 (個人のデータとワークスペースなど) の画像は、一覧を取っていないので壊れているとはみなさない
+    const otherImage = await uploadCardImage(storage, `${imagePathPrefix}-other`, makeImageFile('other.png'), 'other.png');
+    await storage.add('cards', { name: '003', setId, ...toCardImageFields('imageUrl', otherImage) });
+
+    const problems = await findImageProblems(storage, imagePathPrefix);
+    expect(problems.orphanedImages.map(image => image.path).sort()).toEqual([orphan.path, extra.path].sort());
+    expect(problems.brokenImages.map(({ card, field, path }) => [card.id, field, path])).toEqual([[brokenCardId, 'imageUrl', lostImage.path]]);
+
+    const orphanImage = problems.orphanedImages.find(image => image.path === orphan.path);
+    await relinkCardImage(storage, brokenCardId, 'imageUrl', orphanImage, problems.orphanedImages);
+    expect(await deleteOrphanedImages(storage, problems.orphanedImages.filter(image => image.path === extra.path))).toEqual([]);
+
+    expect(await findImageProblems(storage, imagePathPrefix)).toEqual({ orphanedImages: [], brokenImages: [] });
+    const relinkedCard = await findCard(brokenCardId);
+    expect(relinkedCard.imageHash).toBe(orphan.hash);
+    await expect(storage.getImageBlob(relinkedCard.imageUrl)).resolves.toBeTruthy();
+    await expect(storage.getImageBlob((await findCard(cardId)).imageUrl)).resolves.toBeTruthy();
+  });
+});
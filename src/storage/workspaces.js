@@ -0,0 +1,50 @@
+import { doc, addDoc, updateDoc, getDoc, onSnapshot, collection, query, where, arrayUnion, runTransaction } from 'firebase/firestore';
+
+// チームのワークスペース (Firestore のみ)。artifacts/{appId}/workspaces/{workspaceId} に { name, ownerId, memberIds, createdAt } を保存し、
+// カード・セットなどはその配下に個人のデータと同じ構成で保存する (createFirestoreBackend の basePath に getWorkspaceBasePath を渡す)
+const workspacesPath = (appId) => `artifacts/${appId}/workspaces`;
+
+export const getWorkspaceBasePath = (appId, workspaceId) => `${workspacesPath(appId)}/${workspaceId}`;
+
+// ワークスペースの画像の保存先 (storage.rules でメンバーかを確認するため appId を含める)
+export const getWorkspaceImagePathPrefix = (appId, workspaceId) => `workspace_images/${appId}/${workspaceId}`;
+
+// 自分が参加しているワークスペースの一覧を購読する
+export const subscribeWorkspaces = (db, appId, userId, onChange, onError) =>
+  onSnapshot(
+    query(collection(db, workspacesPath(appId)), where('memberIds', 'array-contains', userId)),
+    (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+    onError,
+  );
+
+// ワークスペースを作り、そのIDを返す (作成者だけがメンバーになる)
+export const createWorkspace = async (db, appId, userId, name) => {
+  const workspaceRef = await addDoc(collection(db, workspacesPath(appId)), {
+    name,
+    ownerId: userId,
+    memberIds: [userId],
+    createdAt: new Date().toISOString(),
+  });
+  return workspaceRef.id;
+};
+
+// ワークスペースIDを知っているユーザーは自分をメンバーに追加できる (firestore.rules で自分のIDの追加だけを許可している)。
+// 参加済みのワークスペースに参加し直してもメンバーは変わらない
+export const joinWorkspace = async (db, appId, userId, workspaceId) => {
+  const workspaceRef = doc(db, workspacesPath(appId), workspaceId);
+  await updateDoc(workspaceRef, { memberIds: arrayUnion(userId) });
+  const snapshot = await getDoc(workspaceRef);
+  return { id: snapshot.id, ...snapshot.data() };
+};
+
+// ワークスペースから退出する。最後のメンバーは退出できず、オーナーが退出すると残るメンバーの最初の人がオーナーになる
+// (どちらも firestore.rules で確認している)
+export const leaveWorkspace = (db, appId, userId, workspaceId) => {
+  const workspaceRef = doc(db, workspacesPath(appId), workspaceId);
+  return runTransaction(db, async (transaction) => {
+    const workspace = (await transaction.get(workspaceRef)).data();
+    const memberIds = workspace.memberIds.filter(memberId => memberId !== userId);
+    if (memberIds.length === 0) throw new Error("最後のメンバーはワークスペースから退出できません。");
+    transaction.update(workspaceRef, { memberIds, ownerId: workspace.ownerId === userId ? memberIds[0] : workspace.ownerId });
+  });
+};
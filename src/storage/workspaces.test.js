@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, signInAnonymously } from 'firebase/auth';
+import { getFirestore, doc, getDoc, updateDoc } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import { EMULATOR_FIREBASE_CONFIG, connectFirebaseEmulators } from '../firebaseEmulators';
+import {
+  createFirestoreBackend, getWorkspaceBasePath, createWorkspace, joinWorkspace, leaveWorkspace, saveVote, deleteCard,
+} from '.';
+
+// firestore.rules のワークスペースのルールを確認する。Firebase エミュレーターが起動しているときだけ実行する
+// (npm run test:emulator で firebase emulators:exec から起動すると FIRESTORE_EMULATOR_HOST が設定される)
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST ? process.env.FIRESTORE_EMULATOR_HOST.split(':')[0] : null;
+const APP_ID = 'test-app';
+
+const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+// 別々の匿名ユーザーとしてエミュレーターに接続する
+const signInMember = async () => {
+  const app = initializeApp(EMULATOR_FIREBASE_CONFIG, `test-${Date.now()}-${Math.random()}`);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  const firebaseStorage = getStorage(app);
+  connectFirebaseEmulators({ auth, db, storage: firebaseStorage }, EMULATOR_HOST);
+  const { user } = await signInAnonymously(auth);
+  return { app, db, firebaseStorage, userId: user.uid };
+};
+
+describeWithEmulator('workspace rules (emulator)', () => {
+  let alice;
+  let bob;
+  let aliceStorage;
+  let bobStorage;
+  let workspaceId;
+  let setId;
+  let cardId;
+
+  beforeEach(async () => {
+    alice = await signInMember();
+    bob = await signInMember();
+    workspaceId = await createWorkspace(alice.db, APP_ID, alice.userId, 'テストチーム');
+    await joinWorkspace(bob.db, APP_ID, bob.userId, workspaceId);
+    const basePath = getWorkspaceBasePath(APP_ID, workspaceId);
+    aliceStorage = createFirestoreBackend({ db: alice.db, storage: alice.firebaseStorage, basePath });
+    bobStorage = createFirestoreBackend({ db: bob.db, storage: bob.firebaseStorage, basePath });
+
+    setId = await aliceStorage.add('sets', { name: 'テストセット', createdAt: new Date() });
+    cardId = await aliceStorage.add('cards', { name: '001', setId });
+    await saveVote(aliceStorage, { setId, cardId, memberId: alice.userId, memberName: 'Alice', rating: 4.0 });
+    await saveVote(bobStorage, { setId, cardId, memberId: bob.userId, memberName: 'Bob', rating: 2.0 });
+  });
+
+  afterEach(async () => {
+    await Promise.all([deleteApp(alice.app), deleteApp(bob.app)]);
+  });
+
+  const findVote = async (memberId) => (await aliceStorage.list('votes', { cardId, memberId }))[0];
+  const readWorkspace = async (member) => (await getDoc(doc(member.db, getWorkspaceBasePath(APP_ID, workspaceId)))).data();
+
+  test('members can join again without changing the member list', async () => {
+    await expect(joinWorkspace(bob.db, APP_ID, bob.userId, workspaceId)).resolves.toMatchObject({ id: workspaceId });
+    expect((await readWorkspace(bob)).memberIds).toEqual([alice.userId, bob.userId]);
+  });
+
+  test('the owner hands the workspace over when leaving, and the last member cannot leave', async () => {
+    await leaveWorkspace(alice.db, APP_ID, alice.userId, workspaceId);
+    expect(await readWorkspace(bob)).toMatchObject({ ownerId: bob.userId, memberIds: [bob.userId] });
+    await expect(readWorkspace(alice)).rejects.toThrow();
+
+    await expect(leaveWorkspace(bob.db, APP_ID, bob.userId, workspaceId)).rejects.toThrow();
+    await expect(updateDoc(doc(bob.db, getWorkspaceBasePath(APP_ID, workspaceId)), { memberIds: [] })).rejects.toThrow();
+    expect((await readWorkspace(bob)).memberIds).toEqual([bob.userId]);
+  });
+
+  test('members other than the owner leave without changing the owner', async () => {
+    await expect(updateDoc(doc(bob.db, getWorkspaceBasePath(APP_ID, workspaceId)), { memberIds: [alice.userId], ownerId: bob.userId }))
+      .rejects.toThrow();
+    await leaveWorkspace(bob.db, APP_ID, bob.userId, workspaceId);
+    expect(await readWorkspace(alice)).toMatchObject({ ownerId: alice.userId, memberIds: [alice.userId] });
+  });
+
+  test('members can only update their own votes', async () => {
+    const aliceVote = await findVote(alice.userId);
+    await expect(bobStorage.update('votes', aliceVote.id, { memberId: bob.userId, rating: 0.0 })).rejects.toThrow();
+    await expect(bobStorage.update('votes', aliceVote.id, { rating: 0.0 })).rejects.toThrow();
+    expect((await findVote(alice.userId)).rating).toBe(4.0);
+
+    await saveVote(bobStorage, { setId, cardId, memberId: bob.userId, memberName: 'Bob', rating: 3.0 });
+    expect((await findVote(bob.userId)).rating).toBe(3.0);
+  });
+
+  test("members can delete another member's vote only after the card is deleted", async () => {
+    const aliceVote = await findVote(alice.userId);
+    await expect(bobStorage.remove('votes', aliceVote.id)).rejects.toThrow();
+
+    await saveVote(bobStorage, { setId, cardId, memberId: bob.userId, memberName: 'Bob', rating: null });
+    expect(await findVote(bob.userId)).toBeUndefined();
+
+    await deleteCard(bobStorage, cardId);
+    expect(await aliceStorage.list('votes', { cardId })).toEqual([]);
+  });
+});
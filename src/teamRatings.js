@@ -0,0 +1,32 @@
+// 評価の幅 (最高と最低の差) がこれ以上のカードは意見が割れているものとして強調する
+export const TEAM_RATING_SPLIT_SPREAD = 1.5;
+
+// updatedAt (ISO 文字列・Date・Firestore の Timestamp) を比べられるようにミリ秒にする (不明なら 0)
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const millis = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(millis) ? 0 : millis;
+};
+
+// チームの評価をカードごとに集計する ({ カードID: { average, spread, votes } })。
+// spread は最高と最低の評価の差。同じメンバーの評価が重複していたら新しいものだけを使う
+export const summarizeVotes = (votes) => {
+  const latestVotes = {};
+  votes.forEach(vote => {
+    const key = `${vote.cardId}/${vote.memberId}`;
+    if (!latestVotes[key] || toMillis(vote.updatedAt) > toMillis(latestVotes[key].updatedAt)) latestVotes[key] = vote;
+  });
+  const votesByCard = {};
+  Object.values(latestVotes).forEach(vote => {
+    votesByCard[vote.cardId] = [...(votesByCard[vote.cardId] || []), vote];
+  });
+  return Object.fromEntries(Object.entries(votesByCard).map(([cardId, cardVotes]) => {
+    const ratings = cardVotes.map(vote => vote.rating);
+    return [cardId, {
+      average: Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10,
+      spread: Math.round((Math.max(...ratings) - Math.min(...ratings)) * 10) / 10,
+      votes: [...cardVotes].sort((a, b) => b.rating - a.rating),
+    }];
+  }));
+};
@@ -0,0 +1,42 @@
+import { summarizeVotes } from './teamRatings';
+
+const vote = (cardId, memberId, rating, updatedAt = '2024-06-01T00:00:00.000Z') => ({ id: `${cardId}/${memberId}/${updatedAt}`, cardId, memberId, rating, updatedAt });
+
+test('averages the votes of each card and measures the spread', () => {
+  const summary = summarizeVotes([
+    vote('card-1', 'alice', 4.0),
+    vote('card-1', 'bob', 2.5),
+    vote('card-1', 'carol', 3.0),
+    vote('card-2', 'alice', 1.0),
+  ]);
+  expect(Object.keys(summary)).toEqual(['card-1', 'card-2']);
+  expect(summary['card-1']).toMatchObject({ average: 3.2, spread: 1.5 });
+  expect(summary['card-1'].votes.map(v => v.memberId)).toEqual(['alice', 'carol', 'bob']);
+  expect(summary['card-2']).toMatchObject({ average: 1.0, spread: 0 });
+  expect(summarizeVotes([])).toEqual({});
+});
+
+test('keeps only the latest vote of each member for a card', () => {
+  const summary = summarizeVotes([
+    vote('card-1', 'alice', 5.0, '2024-06-02T00:00:00.000Z'),
+    vote('card-1', 'alice', 1.0, '2024-06-01T00:00:00.000Z'),
+    vote('card-1', 'bob', 3.0),
+    vote('card-2', 'alice', 2.0),
+  ]);
+  expect(summary['card-1'].votes.map(v => [v.memberId, v.rating])).toEqual([['alice', 5.0], ['bob', 3.0]]);
+  expect(summary['card-1']).toMatchObject({ average: 4.0, spread: 2.0 });
+  expect(summary['card-2'].votes).toHaveLength(1);
+});
+
+test('compares update times saved as strings, Dates and Firestore timestamps', () => {
+  const timestamp = (iso) => ({ toMillis: () => Date.parse(iso) });
+  const summary = summarizeVotes([
+    vote('card-1', 'alice', 1.0, '2024-06-01T00:00:00.000Z'),
+    vote('card-1', 'alice', 4.0, new Date('2024-06-03T00:00:00.000Z')),
+    vote('card-1', 'alice', 2.0, timestamp('2024-06-02T00:00:00.000Z')),
+    vote('card-1', 'bob', 5.0, timestamp('2024-06-02T00:00:00.000Z')),
+    vote('card-1', 'bob', 3.0, '2024-06-01T00:00:00.000Z'),
+    vote('card-1', 'bob', 0.0, null),
+  ]);
+  expect(summary['card-1'].votes.map(v => [v.memberId, v.rating])).toEqual([['bob', 5.0], ['alice', 4.0]]);
+});
@@ -0,0 +1,53 @@
+// Tier の区切り。セットの tierScale に { tiers: { name, minRating, color }[] } で保存し、
+// カードは評価 (評価がなければ 0) が minRating 以上の一番上の Tier に入る
+export const TIER_SCALE_PRESETS = {
+  numeric: {
+    label: '数値 (0〜5)',
+    tiers: [
+      { name: 'Tier 5', minRating: 5, color: '#16a34a' },
+      { name: 'Tier 4', minRating: 4, color: '#65a30d' },
+      { name: 'Tier 3', minRating: 3, color: '#ca8a04' },
+      { name: 'Tier 2', minRating: 2, color: '#ea580c' },
+      { name: 'Tier 1', minRating: 1, color: '#dc2626' },
+      { name: 'Tier 0', minRating: 0, color: '#6b7280' },
+    ],
+  },
+  letter: {
+    label: 'レターグレード (A+〜F)',
+    tiers: [
+      { name: 'A+', minRating: 4.5, color: '#15803d' },
+      { name: 'A', minRating: 4.2, color: '#16a34a' },
+      { name: 'A-', minRating: 3.9, color: '#22c55e' },
+      { name: 'B+', minRating: 3.6, color: '#65a30d' },
+      { name: 'B', minRating: 3.3, color: '#84cc16' },
+      { name: 'B-', minRating: 3.0, color: '#a3a30d' },
+      { name: 'C+', minRating: 2.7, color: '#ca8a04' },
+      { name: 'C', minRating: 2.4, color: '#eab308' },
+      { name: 'C-', minRating: 2.1, color: '#f59e0b' },
+      { name: 'D+', minRating: 1.8, color: '#ea580c' },
+      { name: 'D', minRating: 1.5, color: '#f97316' },
+      { name: 'D-', minRating: 1.0, color: '#ef4444' },
+      { name: 'F', minRating: 0, color: '#dc2626' },
+    ],
+  },
+};
+
+// セットの Tier の区切りを minRating の高い順で返す (保存されていなければ数値の区切り)
+export const getSetTierScale = (set) => {
+  const savedTiers = set && set.tierScale && Array.isArray(set.tierScale.tiers) ? set.tierScale.tiers : [];
+  const tiers = savedTiers.length > 0 ? savedTiers : TIER_SCALE_PRESETS.numeric.tiers;
+  return [...tiers].sort((a, b) => b.minRating - a.minRating);
+};
+
+// 評価が入る Tier (どの区切りにも届かなければ一番下の Tier)。
+// 評価がない (チームの評価で誰も投票していないなど) カードはどの Tier にも入れず null を返す
+export const getTierForRating = (tiers, rating) => {
+  if (rating === null || rating === undefined) return null;
+  return tiers.find(tier => rating >= tier.minRating) || tiers[tiers.length - 1];
+};
+
+// Tier の評価の範囲の表示 (例: 4.0 - 4.4)。一番上の Tier は上限を 5.0 とする
+export const formatTierRange = (tiers, index) => {
+  const upper = index === 0 ? 5.0 : Math.max(tiers[index].minRating, tiers[index - 1].minRating - 0.1);
+  return `${tiers[index].minRating.toFixed(1)} - ${upper.toFixed(1)}`;
+};
@@ -0,0 +1,42 @@
+import { TIER_SCALE_PRESETS, getSetTierScale, getTierForRating, formatTierRange } from './tierScales';
+
+const custom = [
+  { name: 'B', minRating: 2.5, color: '#84cc16' },
+  { name: 'S', minRating: 4.5, color: '#15803d' },
+  { name: 'A', minRating: 3.5, color: '#16a34a' },
+  { name: 'C', minRating: 1.0, color: '#ca8a04' },
+];
+
+test('sorts the saved tiers from the highest and falls back to the numeric preset', () => {
+  expect(getSetTierScale({ tierScale: { tiers: custom } }).map(tier => tier.name)).toEqual(['S', 'A', 'B', 'C']);
+  expect(getSetTierScale({ tierScale: { tiers: [] } })).toEqual(TIER_SCALE_PRESETS.numeric.tiers);
+  expect(getSetTierScale(null)).toEqual(TIER_SCALE_PRESETS.numeric.tiers);
+  // 保存されている区切りの順番は変えない
+  expect(custom[0].name).toBe('B');
+});
+
+test('puts a rating in the highest tier it reaches', () => {
+  const letter = getSetTierScale({ tierScale: TIER_SCALE_PRESETS.letter });
+  expect(getTierForRating(letter, 4.5).name).toBe('A+');
+  expect(getTierForRating(letter, 4.4).name).toBe('A');
+  expect(getTierForRating(letter, 3.0).name).toBe('B-');
+  expect(getTierForRating(letter, 0.5).name).toBe('F');
+  const tiers = getSetTierScale({ tierScale: { tiers: custom } });
+  expect(getTierForRating(tiers, 0.5).name).toBe('C');
+  expect(getTierForRating(tiers, 5.0).name).toBe('S');
+});
+
+test('leaves unrated cards out of every tier', () => {
+  const letter = getSetTierScale({ tierScale: TIER_SCALE_PRESETS.letter });
+  expect(getTierForRating(letter, null)).toBeNull();
+  expect(getTierForRating(letter, undefined)).toBeNull();
+  expect(getTierForRating(letter, 0.0).name).toBe('F');
+});
+
+test('shows the range of each tier up to the next one', () => {
+  const tiers = getSetTierScale({ tierScale: { tiers: custom } });
+  expect(tiers.map((_, index) => formatTierRange(tiers, index))).toEqual(['4.5 - 5.0', '3.5 - 4.4', '2.5 - 3.4', '1.0 - 2.4']);
+  const numeric = getSetTierScale(null);
+  expect(formatTierRange(numeric, 0)).toBe('5.0 - 5.0');
+  expect(formatTierRange(numeric, 5)).toBe('0.0 - 0.9');
+});